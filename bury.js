@@ -32,29 +32,39 @@
 *  the carrier. The data to be written to the carrier is organized like this....
 *
 *       +--------+------------------------+----------+
-*       | HEADER | MESSAGE DATA           | CHECKSUM |
+*       | HEADER | MESSAGE DATA           | MAC      |
 *       +--------+------------------------+----------+
 *         |        |                           |
-*         |        |                           +-- MD5, stored as binary (16 bytes). See Note0.
+*         |        |                           +-- HMAC-SHA256, stored as binary (32 bytes). See Note0.
 *         |        |
 *         |        +-- ( IV + ENCRYPT( COMPRESS([FILENAME] + MESSAGE) ) )
 *         |
 *         +--ACTIVE CHANNELS: 3-bits    // Which channels are used to encode the data? See Note1.
 *            VERSION:         2 bytes   // The version of this program that wrote the image.
-*            HEADER LENGTH:   1 byte    // The length of this data structure.
-*            MESSAGE PARAMS:  1 byte    // Control bits for how the message is handled. See Note5.
-*            CHANNEL PARAMS:  1 byte    // These are reserved for later use, but will deal with carrier pre-processing.
-*            PAYLOAD SIZE:    4 bytes   // The size of the payload, including the checksum, but NOT the header.
+*            HEADER LENGTH:   2 bytes   // The length of this data structure, including VERSION and HEADER LENGTH.
+*            FIELDS:          variable  // Type-length-value fields. See Note4.
+*
+*  Versions 0x02 and 0x03 used a fixed 9-byte header instead of FIELDS. Those are still read...
+*            VERSION:         2 bytes
+*            HEADER LENGTH:   1 byte    // Always written as zero.
+*            MESSAGE PARAMS:  1 byte
+*            CHANNEL PARAMS:  1 byte    // Always written as zero.
+*            PAYLOAD SIZE:    4 bytes   // Big-endian.
 *
 * ============================================================================================================================
 * Note0: Regarding the checksum
-*  The MD5 checksum is the final 16-bytes of the bitstream. It is stored as binary, and its length is included in the
-*   payload_size field of the header. The checksum only relates to the MESSAGE DATA, and not to the HEADER.
+*  As of version 0x03, the final 32-bytes of the bitstream are an HMAC-SHA256 (encrypt-then-MAC) computed over the HEADER
+*   and the MESSAGE DATA, under a MAC key that is derived from the password alongside the cipher key (Note3). It is stored
+*   as binary, and its length is included in the payload_size field of the header. A carrier whose MAC does not check is
+*   rejected before anything is decrypted.
+*
+*  Version 0x02 carriers instead end with an unkeyed MD5 of the MESSAGE DATA (16 bytes). That only catches accidental
+*   corruption, since anyone can recompute it. Such carriers are still read, but nothing is authenticated.
 * ============================================================================================================================
 *
 * ============================================================================================================================
 * Note1: Regarding the first important pixel
-*  The channel-parameters are always stored in the pixel at offset 0 (Note3). That pixel's least-significant bits
+*  The channel-parameters are always stored in the pixel at the offset (Note3). That pixel's least-significant bits
 *   are taken to mean which channels were used to encode everything else. Suppose the first pixel was (in RGB) #425523...
 *   RED CHANNEL ENABLED?      0x42 % 0x01  = 0 = FALSE
 *   GREEN CHANNEL ENABLED?    0x55 % 0x01  = 1 = TRUE
@@ -66,14 +76,113 @@
 *   every availible channel to keep the noise profile consistent and maximize capacity (or minimize carrier size). But a
 *   possible reason to use less than the maximum would be to overlay many messages (up to 3) in the same carrier with
 *   different passwords.
+*
+*  A grayscale carrier has only the one channel, so only its least-significant bit is written here. See Note18.
+*
+*  Overlaid messages share the carrier's salt (Note2), so they agree on the preamble, and each keeps to its own channels.
+*   The pixel at each message's offset has all three of its LSBs written, so it must not be on any other message's path.
+*   Bury.overlay() checks all of this, and picks a salt that satisfies it.
+* ============================================================================================================================
+*
+*
+* ============================================================================================================================
+* Note2: Regarding the preamble
+*  The KDF needs a salt, and the salt is needed before we know where anything else is. So the salt (and the KDF cost
+*   parameters that go with it) are stored in the first PREAMBLE_PIXELS pixels of the carrier, which are always at the same
+*   place and always use all three channels, regardless of the channel spec (Note1). The preamble is not encrypted.
+*
+*       KDF ID:          1 byte    // 0x01 is scrypt.
+*       KDF WORK FACTOR: 1 byte    // log2(N) for scrypt.
+*       KDF BLOCK SIZE:  1 byte    // r for scrypt.
+*       KDF PARALLELISM: 1 byte    // p for scrypt.
+*       FLAGS:           1 byte    // Reserved for later use. Written as zero.
+*       SALT:            16 bytes  // Random for every carrier written.
+*
+*  Each byte is laid into the red, green, and blue LSBs (in that order) of consecutive pixels, least-significant bit first.
+*   On a grayscale carrier, each pixel takes one bit, so the preamble covers three times as many pixels. See Note18.
+*
+*  In public-key mode, there is no password to stretch, and the preamble instead holds what the recipient needs to
+*   recompute the key material with their private key. The KDF ID tells which...
+*       0x02: X25519.      KDF ID (1 byte), then the ephemeral public key (32 bytes).
+*       0x03: RSA-OAEP.    KDF ID (1 byte), a length (2 bytes, little-endian), then a random seed wrapped to the
+*                          recipient's key with RSA-OAEP-SHA256.
+*  Either way, the shared secret (or the seed) is run through HKDF-SHA256, salted with the preamble itself, to give the
+*   same 96 bytes that scrypt gives for passwords (Note3). The offset is then counted from the end of the longer preamble.
+*
+*  To let several passwords or keys read the same carrier, the preamble can instead be a table of key slots...
+*       0x04: KEY SLOTS.   KDF ID (1 byte), SLOT COUNT (1 byte), SLOT LENGTH (2 bytes, little-endian), TABLE SALT
+*                          (16 bytes), then SLOT COUNT slots of SLOT LENGTH bytes each.
+*  The payload is encrypted under a random content key, and HKDF-SHA256 of that key under the TABLE SALT gives the 96
+*   bytes of Note3. Each slot holds the content key wrapped (RFC 3394) for one credential. The first byte of a slot is
+*   its type, and the rest is padded with random bytes out to SLOT LENGTH...
+*       0x00: Empty.       Random bytes.
+*       0x01: Password.    scrypt cost (3 bytes), salt (16 bytes), then the wrapped key (40 bytes).
+*       0x02: X25519.      Ephemeral public key (32 bytes), then the wrapped key (40 bytes).
+*       0x03: RSA-OAEP.    Length (2 bytes, little-endian), then the content key wrapped with RSA-OAEP-SHA256.
+*  Since the table is a fixed size and nothing else depends on what's in it, slots can be added or revoked without
+*   touching the payload.
 * ============================================================================================================================
 *
 *
 * ============================================================================================================================
 * Note3: Regarding parameters derived from the password
-*  The password is the indirect source for offset and stride. The most-significant byte of the password's SHA256 hash is taken
-*   to be the offset of the HEADER, The next two bytes are the number of hash rounds on the password. The fourth byte is
-*   used to derive the maximum stride size. And the rest of the bytes are XOR'd to create the seed for the RNG.
+*  The password and the salt from the preamble (Note2) are run through scrypt with the cost parameters stored alongside
+*   the salt. Everything else comes from that one output:
+*   byte 0:        The offset of the HEADER, counted from the end of the preamble.
+*   byte 1:        Used to derive the maximum stride size.
+*   bytes 4-7:     The seed for the RNG.
+*   bytes 8-31:    Round keys for the permutation placement (Note15).
+*   bytes 32-63:   The cipher key.
+*   bytes 64-95:   The MAC key.
+*
+*  If keyfiles are given, the thing run through scrypt isn't the bare password. It is the label "bury-keyfiles", a count
+*   of keyfiles (1 byte), the SHA-256 of each keyfile's contents (sorted, so the order they're given in doesn't matter),
+*   and then the password (which may be empty). So the password alone locates nothing.
+*
+*  Carriers written before the preamble existed used an unsalted derivation: the most-significant byte of the password's
+*   SHA256 hash is the offset of the HEADER, the next two bytes are the number of hash rounds on the password, the fourth
+*   byte is used to derive the maximum stride size, and the rest of the bytes are XOR'd to create the seed for the RNG.
+*   After the hash rounds, the cipher key is the final hash, and the MAC key is an HMAC of a fixed label under that hash.
+*   If the carrier doesn't decode with the salted parameters, we fall back to these.
+* ============================================================================================================================
+*
+*
+* ============================================================================================================================
+* Note4: Regarding header fields
+*  As of version 0x04, everything in the header after the length is a sequence of fields, each laid out as...
+*       TYPE:    1 byte
+*       LENGTH:  2 bytes   // Little-endian. The length of VALUE.
+*       VALUE:   LENGTH bytes
+*
+*  Readers skip fields they don't understand, so fields can be added without changing the version. The exception is a
+*   field whose TYPE has the 0x80 bit set. Such a field changes how the payload must be read, and a reader that doesn't
+*   understand it must refuse the carrier. Fields defined so far...
+*       0x01  MESSAGE PARAMS   1 byte    // See Note5.
+*       0x02  CHANNEL PARAMS   1 byte    // How the payload is laid into the channels. See Note10.
+*       0x03  PAYLOAD SIZE     4 bytes   // Big-endian. The size of the payload, including the MAC, but NOT the header.
+*       0x04  KDF PARAMS       4 bytes   // A copy of the KDF ID and cost from the preamble (Note2), so the MAC covers them.
+*       0x85  CIPHER           1 byte    // The cipher format of the MESSAGE DATA. See lib/ciphers.
+*       0x86  SIGNER           32 bytes  // The signer's Ed25519 public key. See Note8.
+*       0x87  ADAPTIVE         1 byte    // The percentage of the path kept by adaptive selection. See Note11.
+*       0x88  MATRIX           1 byte    // k for matrix embedding. See Note12.
+*       0x89  ECC              1 byte    // Reed-Solomon parity bytes per codeword. See Note14.
+*       0x8A  SHARD            10 bytes  // Set ID (8 bytes), then this carrier's index and the shard count. See Note19.
+*       0x8B  THRESHOLD        11 bytes  // Set ID (8 bytes), then this share's x, the threshold, and the share count. See Note20.
+*
+*  PAYLOAD SIZE is required. The others default to zero if absent, except CIPHER, which defaults to the mcrypt format
+*   because that is all that versions before it wrote.
+* ============================================================================================================================
+*
+*
+* ============================================================================================================================
+* Note8: Regarding signatures
+*  The MAC (Note0) proves that whoever wrote the carrier knew the password, which says nothing about who they were. If the
+*   writer supplies an Ed25519 signing key, their public key goes into the SIGNER field of the header (Note4), and a 64-byte
+*   signature over the HEADER and the MESSAGE DATA is placed between the MESSAGE DATA and the MAC. The MAC covers the
+*   signature too. The signer is identified by a fingerprint: the hex SHA-256 of their raw 32-byte public key.
+*
+*  The signature is checked after the MAC and before anything is decrypted, so a reader that insists on a trusted signer
+*   never sees plaintext from anyone else.
 * ============================================================================================================================
 *
 *
@@ -83,6 +192,9 @@
 *  0x01:  Compress message prior to encryption.
 *  0x02:  Enable encryption. As of version 0x01, this is always enabled, and ignored on read.
 *  0x04:  Prepend filename to stream before compression/encryption. See Note6.
+*  0x38:  As of version 0x04, the compression codec, if 0x01 is set. See Note7 and lib/codecs.
+*           0: bzip2   1: deflate   2: brotli   3: lzma
+*         Earlier versions always used bzip2.
 * ============================================================================================================================
 *
 * ============================================================================================================================
@@ -95,6 +207,9 @@
 *   prepended to the data before compression (and therefore, before encryption as well). The file extension (if present)
 *   will be preserved, regardless of padding and truncation of the rest of the filename.
 *
+*  The data itself comes back byte for byte. Before version 0x04, a string message was padded with spaces, and those are
+*   still trimmed when one is read. A file never was, and isn't trimmed.
+*
 *  When the decrypting party successfully decodes the message, they can set write_file = path-to-dir, and the file will be
 *   re-consituted on their filesystem. This is DANGEROUS on webservers running this code, as an attacker could bypass many
 *   security layers related to file uploads. Then again... you can also leverage it to your advantage (putting back-doors
@@ -109,28 +224,303 @@
 *   reason to pussyfoot around. Go for density, since it carries the most extreme entropic benefit.
 *   Speed? We aren't stremaing data. Be patient. The compression algo must be binary-safe.
 *   I chose BZip2.
+*
+*  ...and then other people wanted choices. The codec is now pluggable (lib/codecs), and its id is kept in the MESSAGE
+*   PARAMS (Note5). BZip2 is still what you get if you just ask for compression. In 'auto' mode, every installed codec is
+*   tried, and the smallest result is kept, but only if it is smaller than the message was to begin with.
+* ============================================================================================================================
+*
+* ============================================================================================================================
+* Note9: Embedding
+*  By default, a bit is embedded by overwriting the LSB of the channel (LSB replacement). That only ever moves a value
+*   between the two members of a pair (2n, 2n+1), which evens out the histogram of those pairs in a way that chi-square
+*   and RS steganalysis are built to notice.
+*
+*  With LSB matching, a channel whose LSB is already right is left alone, and otherwise 1 is added to it or taken from it
+*   at random (0 can only go up, and 255 can only go down). Either way the LSB comes out right, so the reader doesn't
+*   need to know which was used. The coin flips come from AES-256-CTR under a key derived from the cipher key, so the
+*   same key material always writes the same carrier.
+*
+*  With a bit depth above 1 (Note10), LSB matching moves the channel to the nearest value that has the right low bits,
+*   which is at most 2^(depth-1) away, and flips the coin on a tie.
+* ============================================================================================================================
+*
+* ============================================================================================================================
+* Note10: Bit depth
+*  Each enabled channel of a pixel on the path normally holds one bit. With a greater bit depth, it holds up to four, in
+*   its least-significant bits, least-significant first. More bits per channel means a smaller carrier for the same
+*   payload, and more visible noise.
+*
+*  The HEADER is always laid down at one bit per channel, since it has to be read before the depth is known. Everything
+*   after it uses the depth recorded in CHANNEL PARAMS (Note4)...
+*       bits 0-1:  The bit depth, minus one.
+*  The preamble (Note2) and the pixel at the offset (Note1) are always one bit per channel.
+* ============================================================================================================================
+*
+* ============================================================================================================================
+* Note11: Adaptive selection
+*  Changes are hardest to see (and to detect) where the image is busy, and easiest where it is flat. In adaptive mode,
+*   each pixel on the path is scored by how much it differs from its four neighbours, summed over all three channels.
+*   Only the pixels whose scores are in the top ADAPTIVE percent of the path are used, and the rest are left untouched.
+*
+*  The reader has to arrive at the same scores from the modified carrier. So the scores are made only from the bits
+*   above the bit depth (Note10), which embedding never touches. That only holds for LSB replacement, since LSB matching
+*   (Note9) can carry into the higher bits, so the two can't be combined.
+*
+*  The HEADER is not subject to selection, since it has to be read before the percentage is known. Every pixel on the
+*   path that holds a bit of the HEADER is used, and selection starts with the pixel after.
+* ============================================================================================================================
+*
+* ============================================================================================================================
+* Note12: Matrix embedding
+*  Laying each bit of the payload straight into a channel changes about half of the channels it touches. With matrix
+*   embedding, the bits after the HEADER are coded with a (2^k - 1, k) Hamming code first: each group of 2^k - 1 bits on
+*   the path (the cover) carries k bits of payload, in its syndrome. The syndrome is the XOR of the positions (counting
+*   from 1) of the cover bits that are set. To make it equal the payload, at most one cover bit needs to flip.
+*
+*  So larger k means fewer changes per bit of payload, and more cover per bit. k is the largest (up to MATRIX_MAX_K) that
+*   still fits the payload into the carrier, and is recorded in the MATRIX field of the header (Note4). Without that
+*   field, k is 1, which is the same as not coding at all.
+* ============================================================================================================================
+*
+* ============================================================================================================================
+* Note13: JPEG carriers
+*  Bits laid into pixels would not survive JPEG compression, so normally a carrier is written as a PNG, whatever it was
+*   read from. With the jpeg option, a JPEG carrier is instead worked in its quantized DCT coefficients (lib/jpeg), and
+*   written back as a JPEG with the same quantization tables.
+*
+*  Only AC coefficients that are neither 0 nor 1 are used, as in jsteg. Changing the least-significant bit of any other
+*   coefficient can't move it into or out of that set, so the reader finds the same coefficients that the writer used.
+*   These are taken in order (by component, then block, then zigzag position), three to a pixel, and everything else
+*   (preamble, offset, strides, HEADER) works on those pixels as usual. The channels are the first, second, and third
+*   coefficient of each pixel, rather than red, green, and blue.
+*
+*  The HEADER doesn't say so. A JPEG carrier opened by its pixels is read this way anyway, since nothing else can be in
+*   one. Without node-gd it can't be opened by its pixels at all, so the option has to be given to read it too (Note22).
+*   Bit depth, LSB matching, adaptive selection, and rescaling don't apply, since they would move coefficients across 0
+*   and 1.
+* ============================================================================================================================
+*
+* ============================================================================================================================
+* Note14: Error correction
+*  A single bad bit in the payload fails the MAC, and the whole message is lost. With error correction, everything after
+*   the HEADER (the MESSAGE DATA and the MAC, as the PAYLOAD SIZE counts them) is cut into Reed-Solomon codewords
+*   (lib/ecc), each with the number of parity bytes given in the ECC field of the header. Each codeword can have half that
+*   many bad bytes and still be corrected. The codewords are interleaved a byte at a time before they are laid along the
+*   path, so a run of damaged pixels is spread thinly across all of them.
+*
+*  Correction happens before the MAC is checked, and the MAC still has the last word. The preamble, the channel spec,
+*   and the HEADER are not protected, since they have to be read before we know that there is any parity. Between them,
+*   they are a small part of the path. Damage past the end of the payload (say, a few rows cropped off the bottom)
+*   doesn't matter either way, but anything that changes the width of the carrier moves every pixel on the path. Note
+*   that matrix embedding (Note12) may stretch the payload out to the end of the path.
+* ============================================================================================================================
+*
+* ============================================================================================================================
+* Note15: Placement
+*  By default, the path starts at the offset and takes steps of 1 to max-stride pixels (Note3). The offset is at most 255
+*   pixels past the preamble, and max-stride is at most 16, so in a large carrier the payload is packed into the top rows,
+*   and capacity depends on the password.
+*
+*  With the permutation placement, the path is instead every pixel after the preamble (except the one at the offset,
+*   which still holds the channel spec), in a keyed pseudorandom order. The order is a Feistel network of FEISTEL_ROUNDS
+*   rounds over the pixel indices, keyed by bytes 8-31 of the derived parameters, with cycle-walking to stay within the
+*   carrier. Any pixel's place on the path is computed when it is needed, so nothing the size of the carrier is kept.
+*
+*  The placement isn't recorded anywhere. A reader tries the stride first, and then the permutation. The legacy
+*   derivation doesn't give round keys, so those carriers only ever have a stride. Overlaid messages (Note1) need the
+*   stride, since a permutation crosses every other message's channel spec.
+* ============================================================================================================================
+*
+* ============================================================================================================================
+* Note16: Filler
+*  The payload rarely fills the whole path. What happens to the rest of it depends on the filler option...
+*       noise:    Each remaining bit is a fair coin from the CSPRNG. This is the default.
+*       shaped:   Before anything is written, the carrier is cut into FILLER_REGIONS x FILLER_REGIONS regions, and for
+*                 each region, channel, and low bit (as many as the bit depth), we count how often the bit is set. Each
+*                 remaining bit is then drawn from the CSPRNG to be set that often. So filler in a flat or clipped
+*                 region looks like the region did before, rather than like noise.
+*       none:     The rest of the path is left as it was.
+*
+*  Nothing about the filler is recorded, since the reader stops at the end of the payload. Without filler, changes stop
+*   where the payload does, which (along a stride) shows about how long it is. With the permutation placement (Note15),
+*   the payload is spread evenly over the whole carrier, so there is no such edge.
+* ============================================================================================================================
+*
+* ============================================================================================================================
+* Note17: Palette carriers
+*  A palette image (GIF, or 8-bit PNG) used to be upgraded to truecolor, and written as a 24-bit PNG. That is plainly not
+*   the original, so palette images are now worked in their indices instead (lib/palette), as in EzStego, and written back
+*   with the same palette.
+*
+*  The palette is sorted by luminance (ties by index), and each pixel's bit is the parity of its color's place in that
+*   order. Changing the bit moves the pixel to its partner (places 2k and 2k + 1), which is always the next brighter or
+*   darker color. If there are an odd number of colors, the brightest has no partner, and pixels of that color are
+*   skipped. The palette isn't changed, so the reader sorts it the same way and skips the same pixels.
+*
+*  The pixels that are left are taken in order, three to a pixel, and everything else works on those pixels as it does
+*   for JPEG carriers (Note13), with the same limits. Capacity is one bit per usable pixel. As with JPEG carriers, the
+*   HEADER doesn't say so: a palette image is always read this way. The palette option (default true) can be turned off
+*   to upgrade to truecolor as before, for the extra capacity.
+*
+*  A palette PNG is written back at the bit depth it was read with. node-gd would write the fewest bits that reach every
+*   color, which would turn an 8-bit PNG of 16 colors or fewer into a 4-bit one.
+* ============================================================================================================================
+*
+* ============================================================================================================================
+* Note18: Grayscale and 16-bit carriers
+*  The adapters (Note22) read every PNG as 8-bit RGB. So grayscale PNGs, and PNGs with 16 bits per sample, are read (and
+*   written) by lib/png instead. The output has the same color type and bit depth as the input, and any alpha channel is
+*   left alone.
+*
+*  A 16-bit sample is worked in its low byte, so everything that lays bits into 8-bit channels works on it unchanged. Bit
+*   depth (Note10) and LSB matching (Note9) apply, but adaptive selection (Note11) doesn't, since the low byte of a 16-bit
+*   sample says nothing about texture.
+*
+*  A grayscale pixel has one channel, not three. The preamble (Note2) takes one bit per pixel, and so covers three times
+*   as many pixels, which moves the offset (Note3) along with it. The pixel at the offset records only whether its one
+*   channel is in use (Note1). Everything after that takes one channel per pixel, as if only red were enabled. There's
+*   only room for one message, so grayscale carriers can't be overlaid.
+*
+*  None of this is recorded in the HEADER. Since a grayscale or 16-bit PNG is always read this way, the reader knows.
+*   These carriers can't be rescaled.
+* ============================================================================================================================
+*
+* ============================================================================================================================
+* Note19: Split payloads
+*  A message too large for any one carrier can be split across several with Bury.splitAcross(). Every carrier gets the same
+*   salt, and so the same key, and the message is compressed and encrypted only once. The result (the IV and the ciphertext)
+*   is then cut into one piece per carrier, in proportion to how many channels each carrier has.
+*
+*  Each piece is buried as the MESSAGE DATA of its own carrier, with its own HEADER and MAC, as if it were a whole message.
+*   The SHARD field of the HEADER (Note4) gives a random set ID shared by all the pieces, the index of this piece (from 0),
+*   and how many there are. The field is critical, since a reader that didn't know to join the pieces would decrypt one of
+*   them alone. The MESSAGE PARAMS and CIPHER fields describe the whole message, and are the same in every piece.
+*
+*  Bury.join() checks each carrier's MAC, groups the pieces by set ID, and puts them back in order. If any are missing, it
+*   says which, and doesn't decrypt anything. A carrier holding a piece can't be read by getMessage() on its own.
+* ============================================================================================================================
+*
+* ============================================================================================================================
+* Note20: Threshold sharing
+*  Given a threshold of k, Bury.splitAcross() doesn't cut the payload into pieces. It makes one Shamir share of the whole of
+*   it (the IV and the ciphertext) for each of the n carriers instead, over GF(256) (lib/shamir.js). Any k of the shares
+*   give the payload back, and fewer give nothing, not even with the password. So every carrier must be able to hold all of
+*   it, and the whole set holds n times as much as it would otherwise.
+*
+*  The shares are buried just as the pieces of Note19 are, except that the THRESHOLD field of the HEADER takes the place
+*   of the SHARD field. It gives the set ID, the x that the share was taken at (from 1), k, and n. A HEADER with both
+*   fields is malformed. Bury.recover() reads these, and Bury.join() refuses them.
+* ============================================================================================================================
+*
+* ============================================================================================================================
+* Note21: Sound carriers
+*  An uncompressed WAV with 16-bit PCM samples, in one or two channels, is read (and written) by lib/wav. Its samples are
+*   laid out as a single row of one-channel pixels, in the order they are stored, so the channels of a stereo file take
+*   turns. That is a grayscale carrier with 16-bit samples (Note18), and everything there applies: the preamble, the offset,
+*   the stride, and the payload all count in samples, and each sample is worked in its low byte. Adaptive selection
+*   (Note11) doesn't apply, since there is no texture to judge. Nor does rescaling.
+*
+*  The output is the input, byte for byte, except for the samples that were changed. As with the other carriers that
+*   aren't opened by an adapter, the HEADER doesn't say so: a WAV is always read this way.
+* ============================================================================================================================
+*
+* ============================================================================================================================
+* Note22: Carriers and adapters
+*  Everything that lays bits into a carrier does so through a small interface (lib/carrier): its size, getPixel() and
+*   setPixel() as 0xRRGGBB, resize(), and encode(). JPEG coefficients (Note13), palette indices (Note17), raw samples
+*   (Note18), and WAVs (Note21) each have their own carrier. Everything else is read by an adapter, chosen by the adapter
+*   option. The plain JavaScript adapter reads PNGs (of any color type and bit depth) and BMPs (uncompressed, of 1, 4, 8,
+*   24, or 32 bits). The node-gd adapter reads those too, and also GIFs and JPEGs, but only if node-gd is installed, which
+*   is now optional. With 'auto' (the default), the plain JavaScript adapter is used for what it can read.
+*
+*  A carrier's format is taken from the bytes its file starts with, never from its name. So a PNG named .jpg is read as
+*   a PNG, and a JPEG named .png as a JPEG. Without node-gd, a JPEG can't be opened by its pixels at all, and that is an
+*   error: it is not quietly opened by its coefficients instead, which would write a JPEG where a PNG was expected.
+*   Give the jpeg option for that (Note13), which needs nothing installed.
+*
+*  Both adapters give a truecolor image as 8-bit RGB, with any alpha dropped, and a palette image by its palette and
+*   indices. Whichever read it, a carrier is rescaled by nearest neighbor and written by lib/png, so the output is the
+*   same, byte for byte. Only a GIF needs node-gd to be written. None of this is recorded in the HEADER.
 * ============================================================================================================================
 */
 'use strict'
 var fs         = require('fs');           // File i/o
-var gd         = require('node-gd');      // Image manipulation library.
+var carriers   = require('./lib/carrier'); // Images, and the adapters that read them. See Note22.
 var binbuf     = require('bufferpack');   // Bleh... typelessness.... TODO: Node buffers make this superfluous.
+var crypto     = require('crypto');       // HMAC, scrypt, and constant-time comparison.
 var CryptoJS   = require("crypto-js");    // Hash
-var MCrypt     = require('mcrypt');       // Cryptograhy. TODO: Remove this and use crypto-js exclusively.
-var compressjs = require('compressjs');   // Compression library. TODO: Library inadequate. No blockCompress.
+var ciphers    = require('./lib/ciphers'); // Cryptography. Pluggable backends.
+var codecs     = require('./lib/codecs'); // Compression. Pluggable backends.
+var dct        = require('./lib/jpeg');   // JPEG carriers, by their DCT coefficients. See Note13.
+var ecc        = require('./lib/ecc');    // Reed-Solomon error correction. See Note14.
+var shamir     = require('./lib/shamir.js'); // Threshold sharing. See Note20.
+var palette    = require('./lib/palette.js'); // Palette carriers, by their indices. See Note17.
+var samples    = require('./lib/png');    // Grayscale and 16-bit PNG carriers, by their samples. See Note18.
+var sound      = require('./lib/wav.js'); // WAV carriers, by their samples. See Note21.
 var rng        = require('mersenne');     // We can't seed Math.random(). This breaks compat with the PHP implementation.
 
-var bzip2      = compressjs.Bzip2;
-
 // These are global constants for the library.
-var VERSION_CODE    = 0x02;   // The version of the program. Will be included in the carrier.
+var VERSION_CODE    = 0x04;   // The version of the program. Will be included in the carrier.
+var LEGACY_VERSION  = 0x02;   // The last version that used an unkeyed checksum. We can still read these.
 var MIN_PASS_LENGTH = 8;      // The length of the smallest password we will tolerate.
-var HEADER_LENGTH   = 9;      // Length of the header (in bytes).
+var HEADER_LENGTH   = 9;      // Length of the fixed header used by versions 0x02 and 0x03 (in bytes).
+var MAC_LENGTH      = 32;     // Length of the HMAC-SHA256 tag (in bytes).
+var SIGNATURE_LENGTH = 64;    // Length of an Ed25519 signature (in bytes).
+var CHECKSUM_LENGTH = 16;     // Length of the legacy MD5 checksum (in bytes).
+
+var PREAMBLE_LENGTH = 21;     // Length of the preamble (in bytes). See Note2.
+var PREAMBLE_PIXELS = 56;     // Pixels occupied by the preamble, at 3 bits per pixel.
+var SALT_LENGTH     = 16;     // Length of the KDF salt (in bytes).
+var SHARD_SET_LENGTH = 8;     // Length of the set ID that ties the pieces of a split payload together. See Note19.
+var SHARD_MAX       = 255;    // Most carriers a payload can be split across.
+var KDF_SCRYPT      = 0x01;   // KDF ID for scrypt.
+var KDF_X25519      = 0x02;   // KDF ID for public-key mode with an X25519 recipient.
+var KDF_RSA_OAEP    = 0x03;   // KDF ID for public-key mode with an RSA recipient.
+var KDF_SLOTS       = 0x04;   // KDF ID for a key-slot table. See Note2.
+var X25519_KEY_LENGTH = 32;   // Length of a raw X25519 public key (in bytes).
+var RSA_MAX_WRAPPED = 1024;   // Largest RSA-OAEP block we will read out of a preamble (8192-bit keys).
+var X25519_SPKI_PREFIX = new Buffer('302a300506032b656e032100', 'hex');  // DER wrapper for a raw X25519 public key.
+var ED25519_SPKI_PREFIX = new Buffer('302a300506032b6570032100', 'hex'); // DER wrapper for a raw Ed25519 public key.
+
+// Key slots. See Note2.
+var SLOT_EMPTY      = 0x00;
+var SLOT_PASSWORD   = 0x01;
+var SLOT_X25519     = 0x02;
+var SLOT_RSA_OAEP   = 0x03;
+var SLOT_TABLE_HEADER = 20;   // KDF ID, slot count, slot length, and the table's salt (in bytes).
+var SLOT_LENGTH     = 264;    // Default slot length (in bytes). Big enough for any credential with RSA keys up to 2048 bits.
+var SLOT_COUNT      = 8;      // Default number of slots in a new table.
+var CONTENT_KEY_LENGTH = 32;  // Length of the random content key that the slots wrap.
+var WRAPPED_KEY_LENGTH = 40;  // Length of the content key after AES key wrap.
+var AES_WRAP_IV     = new Buffer('A6A6A6A6A6A6A6A6', 'hex');  // RFC 3394 default IV.
+var KDF_OUTPUT_LEN  = 96;     // How many bytes we need from the KDF. See Note3.
+var KDF_MAX_MEMORY  = 256 * 1024 * 1024;  // We won't honor cost parameters that need more memory than this.
+var ADAPTIVE_MARGIN = 1.1;    // How much slack to leave when rescaling a carrier for adaptive selection.
+var MATRIX_MAX_K    = 7;      // The largest Hamming code we will use for matrix embedding: 7 bits in 127. See Note12.
+var FEISTEL_ROUNDS  = 6;      // Rounds in the permutation placement. Each takes 4 bytes of key. See Note15.
+var FILLER_REGIONS  = 8;      // Shaped filler measures the carrier in this many regions across, and this many down. See Note16.
+var FILLER_SAMPLES  = 1 << 20;  // At most this many pixels are sampled to shape the filler.
 
 var LOG_DEBUG = 7;
 var LOG_INFO  = 5;
+var LOG_WARNING = 4;
 var LOG_ERR   = 2;
 
+// Header field types. See Note4.
+var HDR_FIELD_MESSAGE_PARAMS = 0x01;
+var HDR_FIELD_CHANNEL_PARAMS = 0x02;
+var HDR_FIELD_PAYLOAD_SIZE   = 0x03;
+var HDR_FIELD_KDF_PARAMS     = 0x04;
+var HDR_FIELD_CIPHER         = 0x85;  // Critical. See lib/ciphers.
+var HDR_FIELD_SIGNER         = 0x86;  // Critical. See Note8.
+var HDR_FIELD_ADAPTIVE       = 0x87;  // Critical. See Note11.
+var HDR_FIELD_MATRIX         = 0x88;  // Critical. See Note12.
+var HDR_FIELD_ECC            = 0x89;  // Critical. See Note14.
+var HDR_FIELD_SHARD          = 0x8A;  // Critical. See Note19.
+var HDR_FIELD_THRESHOLD      = 0x8B;  // Critical. See Note20.
+var HDR_FIELD_CRITICAL       = 0x80;  // If this bit is set in a field type, readers must understand the field.
+
 var STR_PAD_LEFT  = 1;
 var STR_PAD_RIGHT = 2;
 var STR_PAD_BOTH  = 3;
@@ -167,6 +557,18 @@ var pad = function(str, len, pad, dir) {
 };
 
 
+/**
+* Logging is done this way to make redirection of output more convenient. Returns a log_error(body, level)
+*  that prints whatever is at or above the given verbosity, for a Bury instance or one of the static functions.
+*/
+var logger = function(verbosity) {
+  return function(body, v) {
+    v = v ? v : LOG_DEBUG;
+    if (v <= verbosity) console.log(body);
+  };
+};
+
+
 /**
  * The hash and crypto deal with word arrays. But for sanity's sake, we sometimes
  *   need to access them byte-wise.
@@ -246,273 +648,1909 @@ var normalize_filename = function(base_name) {
 
 
 /**
-* Given the password, derive the following parameters....
-*  0) Offset (in pixels)
-*  1) Hash round count.
-*  2) RNG seed
-*  3) Maximum stride range.
-*  4) Key material via the number from step 1.
-*
-* Without knowing the key, it should be made as difficult as possible to
-*  mine the resulting image for patterns, and it ought to be as unlikely
-*  as possible to guess it on accident.
-*
-* NOTE: RNG implementation will affect the consistency of this function's output.
+* Returns the default KDF cost parameters, or validates the ones given.
+*  Cost parameters read from a carrier are attacker-controlled, so we refuse anything
+*  that would have us allocate more than KDF_MAX_MEMORY.
+*  Returns false if the parameters are not acceptable.
 */
-var deriveParamsFromKey = function(pw) {
-  var params = {};
-  var t_initial = (new Date).getTime();
-
-  var hash      = CryptoJS.SHA256(pw);      // Give us back 32 bytes.
-  var hash_arr  = toByteArray(hash.words);  // Need to access it byte-wise...
-  params.offset = hash_arr[0];              // Where does the first header byte go?
-  params.max_stride = 2+(hash_arr[3] % 14); // Make sure max-stride falls between 2 and 16 pixels.
-  params.hash       = hash_arr;
+var normalizeKdfCost = function(cost) {
+  cost = cost ? cost : {};
+  var nu_cost = {
+    log2n: cost.hasOwnProperty('log2n') ? cost.log2n : 15,
+    r:     cost.hasOwnProperty('r')     ? cost.r     : 8,
+    p:     cost.hasOwnProperty('p')     ? cost.p     : 1
+  };
+  if ((nu_cost.log2n < 10) || (nu_cost.log2n > 24)) return false;
+  if ((nu_cost.r < 1) || (nu_cost.r > 32)) return false;
+  if ((nu_cost.p < 1) || (nu_cost.p > 16)) return false;
+  if ((128 * nu_cost.r * Math.pow(2, nu_cost.log2n)) > KDF_MAX_MEMORY) return false;
+  return nu_cost;
+};
 
-  // How many hash rounds should we run on the password? Limit it to 9000.
-  // We don't want to go over 9000.
-  var rounds        = ((hash_arr[1] * 256) + hash_arr[2]) % 9000;
 
-  // Use the remaining bits to seed the RNG for arythmic stride.
-  var mixer_array  = [];
-  for (var i = 0; i < 7; i++) {
-    mixer_array[0]  = hash_arr[(i+4)]  ^ mixer_array[0];
-    mixer_array[1]  = hash_arr[(i+11)] ^ mixer_array[1];
-    mixer_array[2]  = hash_arr[(i+18)] ^ mixer_array[2];
-    mixer_array[3]  = hash_arr[(i+25)] ^ mixer_array[3];
+/**
+* Combine a password with keyfiles into the one secret that goes into the KDF. See Note3.
+*  Keyfiles are paths, or Buffers of their contents.
+*  Returns a Buffer, or false if a keyfile can't be read or is empty.
+*/
+var combineFactors = function(password, keyfiles) {
+  var digests = [];
+  for (var i = 0; i < keyfiles.length; i++) {
+    var bytes = keyfiles[i];
+    if (!Buffer.isBuffer(bytes)) {
+      if (!fs.existsSync(bytes) || !fs.lstatSync(bytes).isFile()) return false;
+      bytes = fs.readFileSync(bytes);
+    }
+    if (bytes.length == 0) return false;
+    digests.push(crypto.createHash('sha256').update(bytes).digest());
   }
+  digests.sort(Buffer.compare);
+  return Buffer.concat([new Buffer('bury-keyfiles', 'utf8'), new Buffer([digests.length])].concat(digests, [new Buffer(password, 'utf8')]));
+};
 
-  // Recombine into a 32-bit integer...
-  params.stride_seed = (((mixer_array[0] *16777216) % 128) + (mixer_array[1] * 65536) + (mixer_array[2] * 256) + mixer_array[3]);
 
-  // Spin the password around for awhile...
-  for (var i = 0; i < rounds; i++) hash  = CryptoJS.SHA256(hash);
+/**
+* Passwords are strings, unless keyfiles were mixed in, in which case they are already bytes.
+*/
+var secretBytes = function(pw) {
+  return Buffer.isBuffer(pw) ? pw : new Buffer(pw, 'utf8');
+};
 
-  params.key  = toByteArray(hash.words);      // Now we have the 256-bit key.
+
+/**
+* Compress a plaintext (as the compress option says), and encrypt it under a fresh IV.
+*  Returns {body, codec, packed_length}, where the body is the IV followed by the ciphertext, and codec is
+*  false if nothing was compressed. Or returns {error}.
+*/
+var sealMessage = function(plaintext, compress, cipher, key) {
+  var packed = plaintext;
+  var codec  = false;
+  if ('auto' == compress) {
+    var best = codecs.smallest(packed);
+    if (best) {
+      codec  = best.codec;
+      packed = best.data;
+    }
+  }
+  else if (compress) {
+    codec = codecs.byName((true === compress) ? 'bzip2' : compress);
+    if (!codec) return { error: 'The codec \''+compress+'\' is not installed. Installed codecs: '+codecs.installed().join(', ') };
+    packed = codec.compress(packed);
+  }
+  var iv = crypto.randomBytes(cipher.ivSize);
+  return { body: Buffer.concat([iv, cipher.encrypt(key, iv, packed)]), codec: codec, packed_length: packed.length };
+};
+
+
+/**
+* Given the password, the carrier's salt, and the KDF cost, derive the following parameters....
+*  0) Offset (in pixels, past the preamble)
+*  1) Maximum stride range.
+*  2) RNG seed
+*  3) Key material for the cipher.
+*  4) Key material for the MAC.
+*
+* All of these come from a single scrypt output (Note3), so the same password yields
+*  unrelated placement and keys in every carrier. The offset depends on how many channels
+*  the carrier has (3, if not given), since the preamble does. See Note18.
+*/
+var deriveParamsFromKey = function(pw, salt, cost, channels) {
+  var t_initial = (new Date).getTime();
+  var n   = Math.pow(2, cost.log2n);
+  var okm = crypto.scryptSync(secretBytes(pw), salt, KDF_OUTPUT_LEN,
+    { N: n, r: cost.r, p: cost.p, maxmem: 2 * KDF_MAX_MEMORY }
+  );
+
+  var params = paramsFromKeyMaterial(okm, (channels == 1) ? preamblePixels(PREAMBLE_LENGTH, channels) : PREAMBLE_PIXELS);
+  params.salt        = salt;
+  params.cost        = cost;
   params.ms_required = (new Date).getTime() - t_initial;
-  params.rounds      = rounds;
   return params;
 };
 
 
-
+/**
+* Lay out the KDF output as described in Note3. The offset is counted from the end
+*  of the preamble, which is a different length depending on how the key was agreed.
+*/
+var paramsFromKeyMaterial = function(okm, preamble_pixels) {
+  var params = {};
+  params.offset      = preamble_pixels + okm[0];  // Where does the first header byte go?
+  params.max_stride  = 2+(okm[1] % 14);           // Make sure max-stride falls between 2 and 16 pixels.
+  params.stride_seed = okm.readUInt32BE(4);
+  params.permutation_key = okm.slice(8, 8 + (FEISTEL_ROUNDS * 4));
+  params.preamble_pixels = preamble_pixels;
+  params.key         = Array.prototype.slice.call(okm, 32, 64);
+  params.mac_key     = Array.prototype.slice.call(okm, 64, 96);
+  return params;
+};
 
 
 /**
- * Instancing this object represents a full operation on a carrier. Either encrypting or decyrpting.
- * The carrier_path and password parameters are required for both operations.
- * The options parameter is always optional, and if not supplied, defaults will be used.
- */
-function Bury(carrier_path, password, options) {
-  /**************************************************************************
-  * These are the options that can be supplied to the bury operation.       *
-  *   The members below represents an exhaustive list, and the default      *
-  *   values for each option.                                               *
-  **************************************************************************/
-  options = options ? options : {};
-    // Enabled carrier channels. No alpha support due to it standing out like a flare that says: 'ANOMALY!'.
-    // It should also be noted that not using all of the channels makes the statistical profile of the
-    //   noise asymetrical. No human being could ever see this with their eyes, but a machine might.
-    var enableRed      = options.hasOwnProperty('enableRed')      ? options.enableRed         : true;
-    var enableGreen    = options.hasOwnProperty('enableGreen')    ? options.enableGreen       : true;
-    var enableBlue     = options.hasOwnProperty('enableBlue')     ? options.enableBlue        : true;
-
-    // DEBUG OPTION    Set to true to expose the affected pixels in the image.
-    var visibleResult  = options.hasOwnProperty('visibleResult')  ? options.visibleResult     : false;
+* HKDF-SHA256 (RFC 5869). Used to stretch a key-agreement secret into the same
+*  96 bytes that scrypt gives us for passwords.
+*/
+var hkdf = function(ikm, salt, info, length) {
+  var prk = crypto.createHmac('sha256', salt).update(ikm).digest();
+  var okm = [];
+  var t   = new Buffer(0);
+  for (var i = 1; (okm.length * 32) < length; i++) {
+    t = crypto.createHmac('sha256', prk).update(Buffer.concat([t, new Buffer(info, 'utf8'), new Buffer([i])])).digest();
+    okm.push(t);
+  }
+  return Buffer.concat(okm).slice(0, length);
+};
 
-    // Crush the message prior to encrypting?
-    var compress       = options.hasOwnProperty('compress')       ? options.compress          : false;
 
-    // Should the output image be scaled to a minimum-size needed to fit the message?
-    var rescaleCarrier = options.hasOwnProperty('rescaleCarrier') ? options.rescaleCarrier    : true;
+/**
+* A deterministic stream of bits keyed by the given key material: AES-256-CTR over zeros, under a key
+*  that HKDF derives for the given purpose.
+*  Returns a function that gives the next bit each time it is called.
+*/
+var keyedBitStream = function(key, label) {
+  var cipher = crypto.createCipheriv('aes-256-ctr', hkdf(new Buffer(key), new Buffer(0), label, 32), Buffer.alloc(16, 0));
+  var block  = new Buffer(0);
+  var bit    = 0;
+  return function() {
+    if (bit >= block.length * 8) {
+      block = cipher.update(Buffer.alloc(64, 0));
+      bit   = 0;
+    }
+    var b = (block[bit >> 3] >> (bit & 0x07)) & 0x01;
+    bit++;
+    return b;
+  };
+};
 
-    // If supplied, this function will be called when there is a result ready.
-    var callback       = options.hasOwnProperty('callback')       ? options.callback          : false;
 
-    // DEBUG OPTION    How noisy should this class be about what it's doing?
-    var verbosity      = options.hasOwnProperty('verbosity')      ? options.verbosity         : LOG_INFO;
+/**
+* Returns a fraction in [0, 1) from the CSPRNG. Filler needs a great many of these, so they are drawn from a pool.
+*/
+var RANDOM_POOL = { bytes: new Buffer(0), cursor: 0 };
+var secureFraction = function() {
+  if (RANDOM_POOL.cursor + 4 > RANDOM_POOL.bytes.length) {
+    RANDOM_POOL.bytes  = crypto.randomBytes(4096);
+    RANDOM_POOL.cursor = 0;
+  }
+  var value = RANDOM_POOL.bytes.readUInt32BE(RANDOM_POOL.cursor);
+  RANDOM_POOL.cursor += 4;
+  return value / 0x100000000;
+};
 
-    // Decrypt only: Should we write an output file, if applicable? Ignored for encryption.
-    var write_file     = options.hasOwnProperty('writeFile')      ? options.writeFile         : true;
 
+/**
+* For shaped filler, measure how often each of the low bits (as many as depth) is set in each channel, in
+*  each region of the image. See Note16.
+*  Returns a function(x, y, channel, plane) that gives that fraction for the region the pixel is in. Channels
+*  are numbered 0 (red), 1 (green), and 2 (blue).
+*/
+var measureLsbStats = function(image, depth) {
+  var w     = image.width;
+  var h     = image.height;
+  var cols  = Math.min(FILLER_REGIONS, w);
+  var rows  = Math.min(FILLER_REGIONS, h);
+  var ones  = new Uint32Array(cols * rows * 3 * depth);
+  var seen  = new Uint32Array(cols * rows);
+  var region_of = function(x, y) {
+    return (Math.floor((y * rows) / h) * cols) + Math.floor((x * cols) / w);
+  };
+  var step  = Math.max(1, Math.ceil((w * h) / FILLER_SAMPLES));
+  for (var p = 0; p < w * h; p += step) {
+    var x      = p % w;
+    var y      = Math.floor(p / w);
+    var region = region_of(x, y);
+    var color  = image.getPixel(x, y);
+    seen[region]++;
+    for (var c = 0; c < 3; c++) {
+      var value = (color >> (16 - (c * 8))) & 0xFF;
+      for (var d = 0; d < depth; d++) {
+        if ((value >> d) & 0x01) ones[(((region * 3) + c) * depth) + d]++;
+      }
+    }
+  }
+  return function(x, y, channel, plane) {
+    var region = region_of(x, y);
+    return (ones[(((region * 3) + channel) * depth) + plane] + 1) / (seen[region] + 2);   // Never quite 0 or 1.
+  };
+};
 
-  /**************************************************************************
-  * Everything below this block is internal machinary of the class.         *
-  **************************************************************************/
 
-  /* These are instance variables for manipulating the carrier image. */
-    var __image        = false; // Our working copy of the carrier.
-    var __x            = 0;     // Cursor within the image.
-    var __y            = 0;     // Cursor within the image.
-    var __bitCursor    = 0;     // Used to keep track of how many bits we've (de)modulated.
+/**
+* How busy is the image around the given pixel? The sum of the differences from the four neighbours, over
+*  all three channels, made only from the bits above the given depth. See Note11.
+*/
+var textureScore = function(image, x, y, depth) {
+  var here  = image.getPixel(x, y);
+  var score = 0;
+  var neighbours = [[x-1, y], [x+1, y], [x, y-1], [x, y+1]];
+  for (var i = 0; i < neighbours.length; i++) {
+    var nx = neighbours[i][0];
+    var ny = neighbours[i][1];
+    if ((nx < 0) || (ny < 0) || (nx >= image.width) || (ny >= image.height)) continue;
+    var there = image.getPixel(nx, ny);
+    for (var shift = 0; shift <= 16; shift += 8) {
+      score += Math.abs((((here >> shift) & 0xFF) >> depth) - (((there >> shift) & 0xFF) >> depth));
+    }
+  }
+  return score;
+};
 
-  /* Variables for the cryptographic operations. */
-    var __iv_size      = -1;    // The size of the cipher's initialization vector.
-    var __ciphertext   = '';
-    var __plaintext    = '';
-    var __key          = '';    // Key material for the cipher algo.
-    var __header       = '';    // Prepended to the ciphertext to aid choice about length.
-    var __payload_size = -1;    // The size of the message after encryption and compression. Not the header.
 
-  /* These parameters are derived from the password. Do not set them directly. */
-    var __max_size     = -1;    // Used to decide how much plaintext we can stuff into the carrier.
-    var __max_stride   = -1;    // How much range should we allow in the arhythmic stride?
-    var __offset       = -1;    // The first pixel to mean something.
-    var __stride_seed  = -1;    // Use an arythmic stride between relevant pixels.
-    var __strides      = [];    // Count off the intervals between pixels.
-    var __usablePixels = 0;     // How many pixels are we capable of using?
+/**
+* Returns bit i of an array of bytes, counting from the least-significant bit of the first.
+*/
+var bitAt = function(bytes, i) {
+  return (bytes[i >> 3] >> (i & 0x07)) & 0x01;
+};
 
-  /* These parameters apply to treatment of filenames for embedded files. */
-  var __store_filename = false;
-  var __file_name_info = false; // Holds the filename if setMessage() is called with a path.
 
+/**
+* Matrix embedding. See Note12.
+*  Takes the message and the cover as arrays of bytes (least-significant bit first), and codes k bits of the
+*  message into each group of 2^k - 1 bits of the cover by flipping at most one of them.
+*  Returns the bits to write in place of the cover, one per element. The last group is padded with zeros.
+*/
+var matrixEncode = function(message, cover, k) {
+  var n      = (1 << k) - 1;
+  var groups = Math.ceil((message.length * 8) / k);
+  var coded  = new Uint8Array(groups * n);
+  for (var g = 0; g < groups; g++) {
+    var wanted   = 0;
+    var syndrome = 0;
+    for (var j = 0; j < k; j++) {
+      if ((g * k) + j < message.length * 8) wanted |= bitAt(message, (g * k) + j) << j;
+    }
+    for (var i = 0; i < n; i++) {
+      coded[(g * n) + i] = bitAt(cover, (g * n) + i);
+      if (coded[(g * n) + i]) syndrome ^= (i + 1);
+    }
+    if (syndrome != wanted) coded[(g * n) + (syndrome ^ wanted) - 1] ^= 0x01;
+  }
+  return coded;
+};
 
 
-  /* Logging is done this way to make redicrection of output more convenient. */
-  var log_error = function(body, v) {
-    v = v ? v : LOG_DEBUG;
-    if (v <= verbosity) console.log(body);
+/**
+* The other half of matrixEncode(). Takes the cover bits as an array of bytes.
+*  Returns the message as an array of bytes.
+*/
+var matrixDecode = function(cover, k) {
+  var n       = (1 << k) - 1;
+  var groups  = Math.floor((cover.length * 8) / n);
+  var message = [];
+  for (var b = 0; b < Math.floor((groups * k) / 8); b++) message.push(0x00);
+  for (var g = 0; g < groups; g++) {
+    var syndrome = 0;
+    for (var i = 0; i < n; i++) {
+      if (bitAt(cover, (g * n) + i)) syndrome ^= (i + 1);
+    }
+    for (var j = 0; j < k; j++) {
+      var m = (g * k) + j;
+      if ((m >> 3) < message.length) message[m >> 3] |= ((syndrome >> j) & 0x01) << (m & 0x07);
+    }
+  }
+  return message;
+};
+
+
+/**
+* The largest k for which the message still fits into the cover with matrix embedding, or 1 if none does. See Note12.
+*/
+var chooseMatrixK = function(message_bits, cover_bits) {
+  for (var k = MATRIX_MAX_K; k > 1; k--) {
+    if (Math.ceil(message_bits / k) * ((1 << k) - 1) <= cover_bits) return k;
+  }
+  return 1;
+};
+
+
+/**
+* How many pixels does a preamble of the given length take? Three bits per pixel, unless the carrier has some
+*  other number of channels. See Note2.
+*/
+var preamblePixels = function(byte_count, channels) {
+  return Math.ceil((byte_count * 8) / (channels ? channels : 3));
+};
+
+
+/**
+* Load a key for public-key mode. Accepts a KeyObject, a PEM string or Buffer, or
+*  a path to a PEM file.
+*  Returns a KeyObject, or false if we couldn't make one.
+*/
+var loadKey = function(key, is_private) {
+  try {
+    if ((typeof key === 'object') && !Buffer.isBuffer(key) && key.type) return key;
+    if ((typeof key === 'string') && (key.indexOf('-----BEGIN') < 0) && fs.existsSync(key)) {
+      key = fs.readFileSync(key);
+    }
+    return is_private ? crypto.createPrivateKey(key) : crypto.createPublicKey(key);
+  }
+  catch (e) {
+    return false;
+  }
+};
+
+
+/**
+* The raw 32 bytes of an Ed25519 public key (or of the public half of a private key).
+*/
+var rawEd25519 = function(key) {
+  if ('private' == key.type) key = crypto.createPublicKey(key);
+  return key.export({type: 'spki', format: 'der'}).slice(ED25519_SPKI_PREFIX.length);
+};
+
+
+/**
+* A signer's fingerprint is the hex SHA-256 of their raw public key. See Note8.
+*/
+var fingerprintRaw = function(raw) {
+  return crypto.createHash('sha256').update(raw).digest('hex');
+};
+
+
+/**
+* Turn a password, {password, keyfiles}, or {recipientPublicKey: ...} into the form the key-slot functions want.
+*  Returns false if it isn't usable.
+*/
+var parseCredential = function(credential) {
+  if (typeof credential === 'string') {
+    return (credential.length >= MIN_PASS_LENGTH) ? {password: credential} : false;
+  }
+  if (credential && credential.keyfiles && credential.keyfiles.length) {
+    var password = credential.password ? credential.password : '';
+    if ((password.length > 0) && (password.length < MIN_PASS_LENGTH)) return false;
+    var combined = combineFactors(password, credential.keyfiles);
+    return combined ? {password: combined} : false;
+  }
+  if (credential && credential.recipientPublicKey) {
+    var key = loadKey(credential.recipientPublicKey, false);
+    return key ? {publicKey: key} : false;
+  }
+  return false;
+};
+
+
+/**
+* Given the recipient's public key, agree on key material with an ephemeral key (X25519)
+*  or wrap a random seed to the key (RSA-OAEP). Channels is as for deriveParamsFromKey().
+*  Returns {preamble, params}, or false if the key type isn't supported.
+*/
+var deriveParamsForRecipient = function(public_key, channels) {
+  var t_initial = (new Date).getTime();
+  var preamble;
+  var okm;
+  switch (public_key.asymmetricKeyType) {
+    case 'x25519':
+      var ephemeral = crypto.generateKeyPairSync('x25519');
+      var eph_pub   = ephemeral.publicKey.export({type: 'spki', format: 'der'}).slice(X25519_SPKI_PREFIX.length);
+      var shared    = crypto.diffieHellman({privateKey: ephemeral.privateKey, publicKey: public_key});
+      preamble = Buffer.concat([new Buffer([KDF_X25519]), eph_pub]);
+      okm      = hkdf(shared, preamble, 'bury-x25519', KDF_OUTPUT_LEN);
+      break;
+    case 'rsa':
+      var seed    = crypto.randomBytes(32);
+      var wrapped = crypto.publicEncrypt(
+        { key: public_key, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+        seed
+      );
+      var len_field = new Buffer(2);
+      len_field.writeUInt16LE(wrapped.length, 0);
+      preamble = Buffer.concat([new Buffer([KDF_RSA_OAEP]), len_field, wrapped]);
+      okm      = hkdf(seed, preamble, 'bury-rsa-oaep', KDF_OUTPUT_LEN);
+      break;
+    default:
+      return false;
+  }
+  var params = paramsFromKeyMaterial(okm, preamblePixels(preamble.length, channels));
+  params.ms_required = (new Date).getTime() - t_initial;
+  return { preamble: preamble, params: params };
+};
+
+
+/**
+* The other half of deriveParamsForRecipient(). Takes the private key and a function
+*  that reads n bytes of preamble from the carrier. Channels is as for deriveParamsFromKey().
+*  Returns {preamble, params}, or false if the preamble doesn't fit the key.
+*/
+var deriveParamsFromPrivateKey = function(private_key, read_preamble_bytes, channels) {
+  var t_initial = (new Date).getTime();
+  var preamble;
+  var okm;
+  try {
+    switch (private_key.asymmetricKeyType) {
+      case 'x25519':
+        preamble = read_preamble_bytes(1 + X25519_KEY_LENGTH);
+        if (KDF_X25519 != preamble[0]) return false;
+        var eph_pub = crypto.createPublicKey({
+          key: Buffer.concat([X25519_SPKI_PREFIX, preamble.slice(1)]), format: 'der', type: 'spki'
+        });
+        var shared = crypto.diffieHellman({privateKey: private_key, publicKey: eph_pub});
+        okm = hkdf(shared, preamble, 'bury-x25519', KDF_OUTPUT_LEN);
+        break;
+      case 'rsa':
+        preamble = read_preamble_bytes(3);
+        if (KDF_RSA_OAEP != preamble[0]) return false;
+        var wrapped_len = preamble.readUInt16LE(1);
+        if (wrapped_len > RSA_MAX_WRAPPED) return false;
+        preamble = read_preamble_bytes(3 + wrapped_len);
+        var seed = crypto.privateDecrypt(
+          { key: private_key, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+          preamble.slice(3)
+        );
+        okm = hkdf(seed, preamble, 'bury-rsa-oaep', KDF_OUTPUT_LEN);
+        break;
+      default:
+        return false;
+    }
+  }
+  catch (e) {
+    return false;   // Bad point, or the seed wasn't wrapped to this key.
+  }
+  var params = paramsFromKeyMaterial(okm, preamblePixels(preamble.length, channels));
+  params.ms_required = (new Date).getTime() - t_initial;
+  return { preamble: preamble, params: params };
+};
+
+
+/**
+* Legacy derivation, for carriers written before the preamble existed (Note3).
+* Given the password, derive the following parameters....
+*  0) Offset (in pixels)
+*  1) Hash round count.
+*  2) RNG seed
+*  3) Maximum stride range.
+*  4) Key material via the number from step 1.
+*  5) MAC key, from the same key material.
+*
+* Without knowing the key, it should be made as difficult as possible to
+*  mine the resulting image for patterns, and it ought to be as unlikely
+*  as possible to guess it on accident.
+*
+* NOTE: RNG implementation will affect the consistency of this function's output.
+*/
+var deriveLegacyParamsFromKey = function(pw) {
+  var params = {};
+  var t_initial = (new Date).getTime();
+
+  var hash      = CryptoJS.SHA256(pw);      // Give us back 32 bytes.
+  var hash_arr  = toByteArray(hash.words);  // Need to access it byte-wise...
+  params.offset = hash_arr[0];              // Where does the first header byte go?
+  params.max_stride = 2+(hash_arr[3] % 14); // Make sure max-stride falls between 2 and 16 pixels.
+  params.hash       = hash_arr;
+
+  // How many hash rounds should we run on the password? Limit it to 9000.
+  // We don't want to go over 9000.
+  var rounds        = ((hash_arr[1] * 256) + hash_arr[2]) % 9000;
+
+  // Use the remaining bits to seed the RNG for arythmic stride.
+  var mixer_array  = [];
+  for (var i = 0; i < 7; i++) {
+    mixer_array[0]  = hash_arr[(i+4)]  ^ mixer_array[0];
+    mixer_array[1]  = hash_arr[(i+11)] ^ mixer_array[1];
+    mixer_array[2]  = hash_arr[(i+18)] ^ mixer_array[2];
+    mixer_array[3]  = hash_arr[(i+25)] ^ mixer_array[3];
+  }
+
+  // Recombine into a 32-bit integer...
+  params.stride_seed = (((mixer_array[0] *16777216) % 128) + (mixer_array[1] * 65536) + (mixer_array[2] * 256) + mixer_array[3]);
+
+  // Spin the password around for awhile...
+  for (var i = 0; i < rounds; i++) hash  = CryptoJS.SHA256(hash);
+
+  params.key  = toByteArray(hash.words);      // Now we have the 256-bit key.
+  params.mac_key = toByteArray(CryptoJS.HmacSHA256('bury-mac-key', hash).words);
+  params.ms_required = (new Date).getTime() - t_initial;
+  params.rounds      = rounds;
+  return params;
+};
+
+
+
+
+/**************************************************************************
+* Key slots. See Note2.                                                   *
+**************************************************************************/
+
+/**
+* Wrap (or unwrap) the content key under a key-encryption key, per RFC 3394.
+*  Unwrapping returns false if the KEK is wrong.
+*/
+var wrapKey = function(kek, key) {
+  var cipher = crypto.createCipheriv('id-aes256-wrap', kek, AES_WRAP_IV);
+  return Buffer.concat([cipher.update(key), cipher.final()]);
+};
+
+var unwrapKey = function(kek, wrapped) {
+  try {
+    var decipher = crypto.createDecipheriv('id-aes256-wrap', kek, AES_WRAP_IV);
+    return Buffer.concat([decipher.update(wrapped), decipher.final()]);
+  }
+  catch (e) {
+    return false;
+  }
+};
+
+
+/**
+* Makes a key slot that holds the content key for the given credential. Credentials are
+*  {password: string} or {publicKey: KeyObject}.
+*  Returns the slot as a Buffer (not yet padded to the slot length), or false.
+*/
+var makeKeySlot = function(credential, content_key, cost) {
+  if (credential.password) {
+    var salt = crypto.randomBytes(SALT_LENGTH);
+    var kek  = crypto.scryptSync(secretBytes(credential.password), salt, 32,
+      { N: Math.pow(2, cost.log2n), r: cost.r, p: cost.p, maxmem: 2 * KDF_MAX_MEMORY }
+    );
+    return Buffer.concat([new Buffer([SLOT_PASSWORD, cost.log2n, cost.r, cost.p]), salt, wrapKey(kek, content_key)]);
+  }
+  if (credential.publicKey) {
+    switch (credential.publicKey.asymmetricKeyType) {
+      case 'x25519':
+        var ephemeral = crypto.generateKeyPairSync('x25519');
+        var eph_pub   = ephemeral.publicKey.export({type: 'spki', format: 'der'}).slice(X25519_SPKI_PREFIX.length);
+        var shared    = crypto.diffieHellman({privateKey: ephemeral.privateKey, publicKey: credential.publicKey});
+        return Buffer.concat([new Buffer([SLOT_X25519]), eph_pub, wrapKey(hkdf(shared, eph_pub, 'bury-slot-x25519', 32), content_key)]);
+      case 'rsa':
+        var wrapped = crypto.publicEncrypt(
+          { key: credential.publicKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+          content_key
+        );
+        var len_field = new Buffer(2);
+        len_field.writeUInt16LE(wrapped.length, 0);
+        return Buffer.concat([new Buffer([SLOT_RSA_OAEP]), len_field, wrapped]);
+    }
+  }
+  return false;
+};
+
+
+/**
+* Try to open a key slot with the given credential. Credentials are {password: string}
+*  or {privateKey: KeyObject}.
+*  Returns the content key, or false if the slot isn't for this credential.
+*/
+var openKeySlot = function(slot, credential) {
+  try {
+    switch (slot[0]) {
+      case SLOT_PASSWORD:
+        if (!credential.password) return false;
+        var cost = normalizeKdfCost({log2n: slot[1], r: slot[2], p: slot[3]});
+        if (!cost) return false;
+        var kek  = crypto.scryptSync(secretBytes(credential.password), slot.slice(4, 4 + SALT_LENGTH), 32,
+          { N: Math.pow(2, cost.log2n), r: cost.r, p: cost.p, maxmem: 2 * KDF_MAX_MEMORY }
+        );
+        return unwrapKey(kek, slot.slice(4 + SALT_LENGTH, 4 + SALT_LENGTH + WRAPPED_KEY_LENGTH));
+      case SLOT_X25519:
+        if (!credential.privateKey || ('x25519' != credential.privateKey.asymmetricKeyType)) return false;
+        var eph_pub = slot.slice(1, 1 + X25519_KEY_LENGTH);
+        var shared  = crypto.diffieHellman({
+          privateKey: credential.privateKey,
+          publicKey:  crypto.createPublicKey({key: Buffer.concat([X25519_SPKI_PREFIX, eph_pub]), format: 'der', type: 'spki'})
+        });
+        return unwrapKey(hkdf(shared, eph_pub, 'bury-slot-x25519', 32), slot.slice(1 + X25519_KEY_LENGTH, 1 + X25519_KEY_LENGTH + WRAPPED_KEY_LENGTH));
+      case SLOT_RSA_OAEP:
+        if (!credential.privateKey || ('rsa' != credential.privateKey.asymmetricKeyType)) return false;
+        var wrapped_len = slot.readUInt16LE(1);
+        if (3 + wrapped_len > slot.length) return false;
+        return crypto.privateDecrypt(
+          { key: credential.privateKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+          slot.slice(3, 3 + wrapped_len)
+        );
+    }
+  }
+  catch (e) {
+    // Wrong key, or a corrupt slot. Either way, not ours.
+  }
+  return false;
+};
+
+
+/**
+* An empty slot is indistinguishable from noise, apart from its type byte.
+*/
+var emptyKeySlot = function(slot_length) {
+  var slot = crypto.randomBytes(slot_length);
+  slot[0]  = SLOT_EMPTY;
+  return slot;
+};
+
+
+/**
+* Placement and keys for a key-slot carrier come from the content key, so they don't
+*  change when slots are added or revoked.
+*/
+var paramsFromContentKey = function(content_key, table_salt, preamble_pixels) {
+  var t_initial = (new Date).getTime();
+  var params = paramsFromKeyMaterial(hkdf(content_key, table_salt, 'bury-key-slots', KDF_OUTPUT_LEN), preamble_pixels);
+  params.ms_required = (new Date).getTime() - t_initial;
+  return params;
+};
+
+
+/**************************************************************************
+* Overlays. Several messages in one carrier. See Note1.                   *
+**************************************************************************/
+
+/**
+* Channel bits, as they are laid out in the pixel at the offset (Note1).
+*/
+var CHANNEL_RED     = 0x04;
+var CHANNEL_GREEN   = 0x02;
+var CHANNEL_BLUE    = 0x01;
+var CHANNEL_ALL     = 0x07;
+var CHANNEL_NAMES   = { red: CHANNEL_RED, green: CHANNEL_GREEN, blue: CHANNEL_BLUE };
+var OVERLAY_ATTEMPTS = 32;    // How many salts to try before giving up on an overlay.
+
+
+/**
+* Turn a list of channel names ('red', 'green', 'blue') into channel bits.
+*  Returns false if a name isn't one of those.
+*/
+var channelMask = function(names) {
+  var mask = 0;
+  for (var i = 0; i < names.length; i++) {
+    var name = String(names[i]).toLowerCase();
+    if (!CHANNEL_NAMES.hasOwnProperty(name)) return false;
+    mask |= CHANNEL_NAMES[name];
+  }
+  return mask;
+};
+
+
+/**
+* The reverse of channelMask().
+*/
+var channelNames = function(mask) {
+  var names = [];
+  for (var name in CHANNEL_NAMES) {
+    if (mask & CHANNEL_NAMES[name]) names.push(name);
+  }
+  return names;
+};
+
+
+/**
+* Walk the stride path for the given parameters out to the end of a carrier of pixel_count pixels.
+*  This must land on the same pixels as demarcate_strides() in the Bury instance.
+*  Returns the absolute pixel indices, in order. The offset itself isn't among them.
+*/
+var stridePath = function(params, pixel_count) {
+  var pixels  = [];
+  var abs_pix = params.offset;
+  rng.seed(params.stride_seed);
+  while (true) {
+    abs_pix += rng.rand(params.max_stride-1)+1;
+    if (abs_pix >= pixel_count) break;
+    pixels.push(abs_pix);
+  }
+  return pixels;
+};
+
+
+/**
+* A keyed pseudorandom permutation of the integers from 0 to size - 1. A balanced Feistel network works on the
+*  smallest even number of bits that covers them, and anything it maps out of range is fed back in until it isn't.
+*  See Note15.
+*  Returns a function from an integer to its image.
+*/
+var keyedPermutation = function(key, size) {
+  var half = 1;
+  while (Math.pow(4, half) < size) half++;
+  var span = Math.pow(2, half);   // Each half of an index is less than this.
+  var keys = [];
+  for (var r = 0; r < FEISTEL_ROUNDS; r++) keys.push(key.readUInt32BE(r * 4));
+
+  // The round function is the finalizer of MurmurHash3, which mixes every bit of its input into every bit of its output.
+  var round = function(x, k) {
+    var h = (x ^ k) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return ((h ^ (h >>> 16)) >>> 0) % span;
+  };
+  var encipher = function(i) {
+    var left  = Math.floor(i / span);
+    var right = i % span;
+    for (var r = 0; r < FEISTEL_ROUNDS; r++) {
+      var next = left ^ round(right, keys[r]);
+      left  = right;
+      right = next;
+    }
+    return (left * span) + right;
+  };
+  return function(i) {
+    do {
+      i = encipher(i);
+    } while (i >= size);
+    return i;
+  };
+};
+
+
+/**
+* The path for the permutation placement (Note15), for the given parameters in a carrier of pixel_count pixels.
+*  This must land on the same pixels as the Bury instance.
+*  Returns {length, pixel(n)}, where pixel(n) is the absolute index of the nth pixel on the path, or false if
+*  the parameters have no round keys or the carrier is too small.
+*/
+var permutationPath = function(params, pixel_count) {
+  var size = pixel_count - params.preamble_pixels - 1;   // Everything after the preamble, less the offset.
+  if (!params.permutation_key || (size < 1) || (params.offset >= pixel_count)) return false;
+  var permute = keyedPermutation(params.permutation_key, size);
+  return {
+    length: size,
+    pixel:  function(n) {
+      var p = params.preamble_pixels + permute(n);
+      return (p >= params.offset) ? (p + 1) : p;
+    }
+  };
+};
+
+
+/**
+* The pixels a message lands on: {offset, length, pixel(n), channels}, where pixel(n) is the nth pixel of
+*  the path, and only the first length of them count. The path is a list from stridePath(), or a
+*  permutationPath(), which is never listed out, since it can be as long as the carrier.
+*/
+var footprintOf = function(offset, path, length, channels) {
+  var pixel = Array.isArray(path) ? function(n) { return path[n]; } : path.pixel;
+  return { offset: offset, length: length, pixel: pixel, channels: channels };
+};
+
+
+/**
+* Where each pixel of a footprint falls in it, as a Map from the pixel to its position (0 is the offset,
+*  1 is the first pixel of the path).
+*/
+var positionsOf = function(footprint) {
+  var positions = new Map([[footprint.offset, 0]]);
+  for (var n = 0; n < footprint.length; n++) positions.set(footprint.pixel(n), n + 1);
+  return positions;
+};
+
+
+/**
+* The channels a message writes at a position of its footprint. The pixel at the offset has all three
+*  of its channels written (Note1), so it counts as using all of them.
+*/
+var channelsAt = function(footprint, position) {
+  return (0 == position) ? CHANNEL_ALL : footprint.channels;
+};
+
+
+/**
+* Find every pixel touched by more than one message. Each footprint is as footprintOf() gives it.
+*  Returns a list of {pixel, messages: [a, b], positions: [i, j], channels}, where the positions are
+*  where the pixel falls in each footprint (0 is the offset, 1 is the first pixel of the path), and
+*  channels are the bits both messages write in that pixel. An overlap with no channels in common
+*  is harmless. Overlaps are listed in pixel order for each pair of messages.
+*  Each footprint after the first is indexed once by positionsOf(), and the ones before it are walked
+*  past that, so no path is sorted or copied. The index can be given, if the caller already has it.
+*/
+var findOverlaps = function(footprints, indexed) {
+  indexed = indexed ? indexed : footprints.map(function(footprint, b) { return (b > 0) ? positionsOf(footprint) : null; });
+  var overlaps = [];
+  for (var a = 0; a < footprints.length; a++) {
+    var fa = footprints[a];
+    for (var b = a + 1; b < footprints.length; b++) {
+      var hits = [];
+      for (var i = 0; i <= fa.length; i++) {
+        var pixel = (0 == i) ? fa.offset : fa.pixel(i - 1);
+        var j     = indexed[b].get(pixel);
+        if (undefined === j) continue;
+        hits.push({ pixel: pixel, messages: [a, b], positions: [i, j], channels: channelsAt(fa, i) & channelsAt(footprints[b], j) });
+      }
+      overlaps = overlaps.concat(hits.sort(function(x, y) { return x.pixel - y.pixel; }));
+    }
+  }
+  return overlaps;
+};
+
+
+/**
+* Decide which channels each message of an overlay gets. Messages that name their channels keep
+*  them. The channels nobody named are dealt out to the rest in turn.
+*  Returns a list of channel bits, one per message, or false if the messages can't all have
+*  channels of their own.
+*  If sharing is allowed, named channels may overlap, and if none are left over, the messages
+*  that didn't name any get all three (which is what a Bury instance uses by default).
+*/
+var assignChannels = function(messages, allow_sharing) {
+  var masks  = [];
+  var taken  = 0;
+  var unassigned = [];
+  for (var i = 0; i < messages.length; i++) {
+    if (messages[i].channels && messages[i].channels.length) {
+      var mask = channelMask(messages[i].channels);
+      if (!mask || ((mask & taken) && !allow_sharing)) return false;
+      taken |= mask;
+      masks.push(mask);
+    }
+    else {
+      masks.push(0);
+      unassigned.push(i);
+    }
+  }
+  var free = channelNames(CHANNEL_ALL & ~taken);
+  if (allow_sharing && (free.length == 0)) free = channelNames(CHANNEL_ALL);
+  if (free.length < unassigned.length) {
+    if (!allow_sharing) return false;
+    for (i = 0; i < unassigned.length; i++) masks[unassigned[i]] = CHANNEL_ALL;
+    return masks;
+  }
+  for (i = 0; i < free.length; i++) {
+    if (unassigned.length) masks[unassigned[i % unassigned.length]] |= CHANNEL_NAMES[free[i]];
+  }
+  return masks;
+};
+
+
+/**************************************************************************
+* Header codecs. See Note4.                                               *
+**************************************************************************/
+
+/**
+* Writes a version 0x04 header.
+*  Takes an array of fields, each of the form {type: int, value: Buffer}.
+*  Returns the header as a Buffer.
+*/
+var encodeHeader = function(fields) {
+  var chunks = [new Buffer(4)];
+  var length = 4;
+  for (var i = 0; i < fields.length; i++) {
+    var tl = new Buffer(3);
+    tl.writeUInt8(fields[i].type, 0);
+    tl.writeUInt16LE(fields[i].value.length, 1);
+    chunks.push(tl, fields[i].value);
+    length += 3 + fields[i].value.length;
+  }
+  chunks[0].writeUInt16LE(VERSION_CODE, 0);
+  chunks[0].writeUInt16LE(length, 2);
+  return Buffer.concat(chunks);
+};
+
+
+/**
+* Reads the fixed 9-byte header written by versions 0x02 and 0x03.
+*/
+var decodeFixedHeader = function(bytes) {
+  if (bytes.length < HEADER_LENGTH) return false;
+  return {
+    version:        binbuf.unpack('<H', bytes, 0)[0],
+    length:         HEADER_LENGTH,
+    message_params: binbuf.unpack('<B', bytes, 3)[0],
+    channel_params: binbuf.unpack('<B', bytes, 4)[0],
+    payload_size:   binbuf.unpack('>I', bytes, 5)[0],
+    cipher:         ciphers.CIPHER_MCRYPT,
+    signer:         false,
+    adaptive:       0,
+    matrix_k:       1,
+    ecc:            0,
+    shard:          false,
+    fields:         {}
+  };
+};
+
+
+/**
+* Reads a version 0x04 header. Fields we don't understand are skipped, unless they
+*  are marked critical, in which case we refuse the whole thing.
+*  Returns false if the header is malformed.
+*/
+var decodeFieldHeader = function(bytes) {
+  if (bytes.length < 4) return false;
+  var buf    = new Buffer(bytes.slice(0, 4));
+  var length = buf.readUInt16LE(2);
+  if ((length < 4) || (length > bytes.length)) return false;
+  buf = new Buffer(bytes.slice(0, length));
+
+  var header = {
+    version:        buf.readUInt16LE(0),
+    length:         length,
+    message_params: 0,
+    channel_params: 0,
+    payload_size:   -1,
+    cipher:         ciphers.CIPHER_MCRYPT,
+    signer:         false,
+    adaptive:       0,
+    matrix_k:       1,
+    ecc:            0,
+    shard:          false,
+    fields:         {}
+  };
+  var cursor = 4;
+  while (cursor < length) {
+    if (cursor + 3 > length) return false;
+    var type  = buf.readUInt8(cursor);
+    var f_len = buf.readUInt16LE(cursor + 1);
+    if (cursor + 3 + f_len > length) return false;
+    var value = buf.slice(cursor + 3, cursor + 3 + f_len);
+    cursor += 3 + f_len;
+
+    switch (type) {
+      case HDR_FIELD_MESSAGE_PARAMS:
+        if (f_len != 1) return false;
+        header.message_params = value[0];
+        break;
+      case HDR_FIELD_CHANNEL_PARAMS:
+        if (f_len != 1) return false;
+        header.channel_params = value[0];
+        break;
+      case HDR_FIELD_PAYLOAD_SIZE:
+        if (f_len != 4) return false;
+        header.payload_size = value.readUInt32BE(0);
+        break;
+      case HDR_FIELD_CIPHER:
+        if (f_len != 1) return false;
+        header.cipher = value[0];
+        break;
+      case HDR_FIELD_SIGNER:
+        if (f_len != 32) return false;
+        header.signer = value;
+        break;
+      case HDR_FIELD_ADAPTIVE:
+        if ((f_len != 1) || (value[0] < 1) || (value[0] > 99)) return false;
+        header.adaptive = value[0];
+        break;
+      case HDR_FIELD_MATRIX:
+        if ((f_len != 1) || (value[0] < 1) || (value[0] > MATRIX_MAX_K)) return false;
+        header.matrix_k = value[0];
+        break;
+      case HDR_FIELD_ECC:
+        if ((f_len != 1) || (value[0] < ecc.MIN_SYMBOLS) || (value[0] > ecc.MAX_SYMBOLS)) return false;
+        header.ecc = value[0];
+        break;
+      case HDR_FIELD_SHARD:
+        if (header.shard || (f_len != SHARD_SET_LENGTH + 2) || (value[SHARD_SET_LENGTH + 1] < 1) || (value[SHARD_SET_LENGTH] >= value[SHARD_SET_LENGTH + 1])) return false;
+        header.shard = { set: value.slice(0, SHARD_SET_LENGTH), index: value[SHARD_SET_LENGTH], count: value[SHARD_SET_LENGTH + 1], threshold: 0 };
+        break;
+      case HDR_FIELD_THRESHOLD:
+        // The share's x is stored as is. Internally, it is kept as an index from 0, as for a piece.
+        var share_x   = value[SHARD_SET_LENGTH];
+        var threshold = value[SHARD_SET_LENGTH + 1];
+        var shares    = value[SHARD_SET_LENGTH + 2];
+        if (header.shard || (f_len != SHARD_SET_LENGTH + 3) || (share_x < 1) || (share_x > shares) || (threshold < shamir.MIN_THRESHOLD) || (threshold > shares)) return false;
+        header.shard = { set: value.slice(0, SHARD_SET_LENGTH), index: share_x - 1, count: shares, threshold: threshold };
+        break;
+      default:
+        if (type & HDR_FIELD_CRITICAL) return false;
+        break;
+    }
+    header.fields[type] = value;
+  }
+  return (header.payload_size >= 0) ? header : false;
+};
+
+
+/**
+* Header decoders, keyed by the version code in the first two bytes of the header.
+*  To change the header layout, add a version here rather than branching inside a decoder.
+*/
+var HEADER_DECODERS = {};
+HEADER_DECODERS[0x02] = decodeFixedHeader;
+HEADER_DECODERS[0x03] = decodeFixedHeader;
+HEADER_DECODERS[0x04] = decodeFieldHeader;
+
+
+/**
+* Is the path one that should be written as a JPEG?
+*/
+var isJpegPath = function(output_path) {
+  return (typeof output_path === 'string') && /\.jpe?g$/i.test(output_path);
+};
+
+
+/**
+* Is the carrier a path to a JPEG? This is by what the file holds, and not what it's named. See Note22.
+*/
+var isJpegFile = function(carrier_path) {
+  return (typeof carrier_path === 'string') && ('.jpg' == carriers.formatOf(carrier_path));
+};
+
+
+/**
+* Is the path one that should be written as a WAV?
+*/
+var isWavPath = function(output_path) {
+  return (typeof output_path === 'string') && /\.wav$/i.test(output_path);
+};
+
+
+/**
+* Is the path one that should be written as a GIF?
+*/
+var isGifPath = function(output_path) {
+  return (typeof output_path === 'string') && /\.gif$/i.test(output_path);
+};
+
+
+/**
+* Load a carrier. The argument is a path (the format is taken from the file's magic bytes), or an image
+*  already loaded (a carrier, or a node-gd image), which is used in place. Images are read by the
+*  given adapter: 'auto', 'pure', or 'gd'. See Note22. Palette images are worked by their
+*  indices (see Note17), unless in_palette is false, in which case they are upgraded to truecolor.
+*  Grayscale and 16-bit PNGs are read by their samples. See Note18. So are WAVs. See Note21.
+*  If in_dct is true, the carrier must be a JPEG, and is opened by its coefficients instead. See Note13.
+*  Returns {image, upgraded}, or {error} saying why there is no image.
+*/
+var openCarrier = function(carrier_path, in_dct, in_palette, adapter) {
+  var image = false;
+  if ((typeof carrier_path === 'object') && carrier_path) {
+    if (in_dct && !carrier_path.dct) return { error: 'The carrier was loaded by its pixels, so it can\'t be worked as a JPEG.' };
+    image = carriers.wrap(carrier_path);
+  }
+  else if (in_dct) {
+    if (!fs.existsSync(carrier_path)) return { error: 'Bad path. Doesn\'t exist, or isn\'t a file.' };
+    if (!isJpegFile(carrier_path)) return { error: 'Only a JPEG carrier can be worked in its DCT coefficients.' };
+    try {
+      image = dct.open(fs.readFileSync(carrier_path));
+    }
+    catch (e) {
+      return { error: 'Could not read the JPEG: '+e.message };
+    }
+  }
+  else if (fs.existsSync(carrier_path)) {
+    switch (carriers.formatOf(carrier_path)) {
+      case '.png':
+        var png_bytes = fs.readFileSync(carrier_path);
+        if (samples.handles(png_bytes)) {
+          // These would be made 8-bit. See Note18.
+          try {
+            return { image: samples.open(png_bytes), upgraded: false };
+          }
+          catch (e) {
+            return { error: 'Could not read the PNG: '+e.message };
+          }
+        }
+        break;
+      case '.wav':
+        try {
+          return { image: sound.open(fs.readFileSync(carrier_path)), upgraded: false };
+        }
+        catch (e) {
+          return { error: 'Could not read the WAV: '+e.message };
+        }
+    }
+    var opened = carriers.open(carrier_path, adapter);
+    if (opened.error && isJpegFile(carrier_path)) {
+      // Never worked by its coefficients unless that's asked for, as that changes what is written. See Note13.
+      return { error: opened.error+' Give the jpeg option to work it by its DCT coefficients instead.' };
+    }
+    if (opened.error) return { error: opened.error };
+    image = opened.image;
+  }
+  else {
+    return { error: 'Bad path. Doesn\'t exist, or isn\'t a file.' };
+  }
+
+  if (image.indexed && (in_palette !== false)) {
+    return { image: palette.open(image), upgraded: false };
+  }
+  else if (image.indexed) {
+    var img = carriers.toRaster(image);
+    image.destroy();
+    return { image: img, upgraded: true };
+  }
+  return { image: image, upgraded: false };
+};
+
+
+/**
+ * Instancing this object represents a full operation on a carrier. Either encrypting or decyrpting.
+ * The carrier_path and password parameters are required for both operations. The carrier may also be
+ *  an image already loaded (a carrier, or a node-gd image), in which case it is worked on in place.
+ * In public-key mode, the password is replaced by {recipientPublicKey: ...} when encrypting, and
+ *  by {privateKey: ...} when decrypting (or the private key can be given to getMessage() instead).
+ * To make a carrier that any of several credentials can read, give a list of passwords and
+ *  {recipientPublicKey: ...} objects when encrypting. Each gets a key slot (Note2).
+ * The options parameter is always optional, and if not supplied, defaults will be used.
+ */
+function Bury(carrier_path, password, options) {
+  /**************************************************************************
+  * These are the options that can be supplied to the bury operation.       *
+  *   The members below represents an exhaustive list, and the default      *
+  *   values for each option.                                               *
+  **************************************************************************/
+  options = options ? options : {};
+    // Enabled carrier channels. No alpha support due to it standing out like a flare that says: 'ANOMALY!'.
+    // It should also be noted that not using all of the channels makes the statistical profile of the
+    //   noise asymetrical. No human being could ever see this with their eyes, but a machine might.
+    var enableRed      = options.hasOwnProperty('enableRed')      ? options.enableRed         : true;
+    var enableGreen    = options.hasOwnProperty('enableGreen')    ? options.enableGreen       : true;
+    var enableBlue     = options.hasOwnProperty('enableBlue')     ? options.enableBlue        : true;
+
+    // Encrypt only: How bits are laid into a channel. 'lsb-replacement' or 'lsb-matching'. See Note9.
+    var embedding      = options.hasOwnProperty('embedding')      ? options.embedding         : 'lsb-replacement';
+
+    // Encrypt only: How many of each channel's low bits to use, from 1 to 4. See Note10.
+    var bit_depth      = options.hasOwnProperty('bitDepth')       ? options.bitDepth          : 1;
+
+    // Encrypt only: If a fraction (0.01 to 0.99), only use that much of the path, in the busiest parts of the
+    //   image. Needs lsb-replacement. See Note11.
+    var adaptive       = options.hasOwnProperty('adaptive')       ? options.adaptive          : false;
+
+    // Encrypt only: Code the payload so that fewer channels need to change. See Note12.
+    var matrix_embedding = options.hasOwnProperty('matrixEmbedding') ? options.matrixEmbedding : false;
+
+    // Encrypt only: How the path is laid across the carrier. 'stride' or 'permutation'. A reader tries both. See Note15.
+    var placement      = options.hasOwnProperty('placement')      ? options.placement         : 'stride';
+
+    // Encrypt only: What to write on the path after the payload. 'noise', 'shaped', or 'none'. See Note16.
+    var filler         = options.hasOwnProperty('filler')         ? options.filler            : 'noise';
+
+    // Encrypt only: Work a JPEG carrier in its DCT coefficients, and write a JPEG. JPEG carriers are always
+    //   read this way. See Note13.
+    var jpeg           = options.hasOwnProperty('jpeg')           ? options.jpeg              : false;
+
+    // Work a palette carrier (GIF, or 8-bit PNG) by its indices, and keep its palette. If false, it is
+    //   upgraded to truecolor instead, which holds more but is plainly not the original. See Note17.
+    var keep_palette   = options.hasOwnProperty('palette')        ? options.palette           : true;
+
+    // How images are read: 'auto', 'pure' (plain JavaScript, for PNGs and BMPs), or 'gd' (node-gd, which must be
+    //   installed). Auto takes the plain JavaScript adapter for what it reads, and node-gd for the rest. See Note22.
+    var adapter        = options.hasOwnProperty('adapter')        ? options.adapter           : 'auto';
+
+    // Encrypt only: If set, protect the payload with this many Reed-Solomon parity bytes per 255-byte codeword,
+    //   from 2 to 128. Half as many bad bytes per codeword can be corrected. See Note14.
+    var error_correction = options.hasOwnProperty('errorCorrection') ? options.errorCorrection : false;
+
+    // DEBUG OPTION    Set to true to expose the affected pixels in the image.
+    var visibleResult  = options.hasOwnProperty('visibleResult')  ? options.visibleResult     : false;
+
+    // Encrypt only: Crush the message prior to encrypting? One of false, true (bzip2), 'bzip2', 'deflate', 'brotli',
+    //   'lzma', or 'auto'. Auto tries them all, and only compresses if it helps. See Note7.
+    var compress       = options.hasOwnProperty('compress')       ? options.compress          : false;
+
+    // Should the output image be scaled to a minimum-size needed to fit the message?
+    var rescaleCarrier = options.hasOwnProperty('rescaleCarrier') ? options.rescaleCarrier    : true;
+
+    // If supplied, this function will be called when there is a result ready.
+    var callback       = options.hasOwnProperty('callback')       ? options.callback          : false;
+
+    // DEBUG OPTION    How noisy should this class be about what it's doing?
+    var verbosity      = options.hasOwnProperty('verbosity')      ? options.verbosity         : LOG_INFO;
+
+    // Encrypt only: Which cipher provider writes the payload? One of 'node', 'crypto-js', or 'mcrypt'.
+    //   Decryption uses whichever installed provider can read the format named in the header.
+    var cipher_name    = options.hasOwnProperty('cipher')         ? options.cipher            : 'node';
+
+    // Encrypt only: If the user sets this to false, we will not store file information.
+    var store_filename = options.hasOwnProperty('storeFilename')  ? options.storeFilename     : true;
+
+    // Decrypt only: Should we write an output file, if applicable? Ignored for encryption.
+    var write_file     = options.hasOwnProperty('writeFile')      ? options.writeFile         : true;
+
+    // Encrypt only: KDF cost. The work factor is log2(N) for scrypt. These are recorded in the preamble. See Note2.
+    var kdf_cost       = normalizeKdfCost({
+      log2n: options.hasOwnProperty('kdfWorkFactor')  ? options.kdfWorkFactor  : 15,
+      r:     options.hasOwnProperty('kdfBlockSize')   ? options.kdfBlockSize   : 8,
+      p:     options.hasOwnProperty('kdfParallelism') ? options.kdfParallelism : 1
+    });
+
+    // Keyfiles (paths, or Buffers of their contents) to combine with the password. With keyfiles, the
+    //   password may be empty. Everything derived from the password depends on all of them. See Note3.
+    var keyfiles       = (options.keyfiles && options.keyfiles.length) ? options.keyfiles : false;
+
+    // Encrypt only: An Ed25519 private key (KeyObject, PEM, or path) to sign the carrier with. See Note8.
+    var signing_key    = options.hasOwnProperty('signingKey')     ? loadKey(options.signingKey, true) : false;
+
+    // Encrypt only: How many key slots to reserve, when the password is given as a list of credentials.
+    var key_slot_count = options.hasOwnProperty('keySlotCount')   ? options.keySlotCount      : SLOT_COUNT;
+
+    // Encrypt only: Use this salt instead of a random one. Only needed to overlay messages under a common salt.
+    var salt           = options.hasOwnProperty('salt')           ? options.salt              : false;
+
+    // Encrypt only: One piece (or share) of a split payload, as {set, index, count, threshold, body, message_params}.
+    //   Set by Bury.splitAcross(). See Note19 and Note20.
+    var shard          = options.hasOwnProperty('shard')          ? options.shard             : false;
+
+
+  /**************************************************************************
+  * Everything below this block is internal machinary of the class.         *
+  **************************************************************************/
+
+  /* These are instance variables for manipulating the carrier image. */
+    var __image        = false; // Our working copy of the carrier.
+    var __x            = 0;     // Cursor within the image.
+    var __y            = 0;     // Cursor within the image.
+    var __bitCursor    = 0;     // Used to keep track of how many bits we've (de)modulated.
+    var __coin         = false; // LSB matching: keyed source of the coin flips. See Note9.
+    var __lsb_stats    = false; // Shaped filler: the carrier's own low-bit statistics. See Note16.
+
+  /* Variables for the cryptographic operations. */
+    var __iv_size      = -1;    // The size of the cipher's initialization vector.
+    var __cipher_id    = ciphers.CIPHER_MCRYPT;  // The cipher format named in the header. See lib/ciphers.
+    var __codec_id     = -1;    // The compression codec named in the header, or -1 for none. See lib/codecs.
+    var __ciphertext   = '';
+    var __plaintext    = '';
+    var __key          = '';    // Key material for the cipher algo.
+    var __mac_key      = '';    // Key material for the MAC.
+    var __version      = VERSION_CODE;  // The version code found in (or written to) the header.
+    var __header_length = 0;    // The length of the header found in (or written to) the carrier.
+    var __header       = '';    // Prepended to the ciphertext to aid choice about length.
+    var __payload_size = -1;    // The size of the message after encryption and compression. Not the header.
+
+  /* These parameters are derived from the password. Do not set them directly. */
+    var __password     = false; // Held until we know the salt.
+    var __salt         = false; // Read from (or written to) the preamble.
+    var __preamble     = false; // The whole preamble, as a Buffer. See Note2.
+    var __recipient_key = false;  // Public-key mode: the recipient's public key, when encrypting.
+    var __private_key  = false; // Public-key mode: our private key, when decrypting.
+    var __slot_credentials = false;  // Key-slot mode: the credentials to make slots for, when encrypting.
+    var __max_size     = -1;    // Used to decide how much plaintext we can stuff into the carrier.
+    var __max_stride   = -1;    // How much range should we allow in the arhythmic stride?
+    var __offset       = -1;    // The first pixel to mean something.
+    var __stride_seed  = -1;    // Use an arythmic stride between relevant pixels.
+    var __strides      = [];    // Count off the intervals between pixels.
+    var __permutation  = false; // Or, with the permutation placement, the path as {length, pixel(n)}. See Note15.
+    var __params       = false; // The parameters derived from the key, as apply_params() got them.
+    var __selected     = false; // Adaptive selection: which pixels on the path get used, by stride. See Note11.
+    var __cover_slots  = 0;     // How many channels on the path we can write.
+    var __matrix_k     = 1;     // Matrix embedding: k bits per 2^k - 1 bits of cover. 1 means no coding. See Note12.
+    var __coded        = false; // Matrix embedding: the bits to write after the header.
+    var __ecc_symbols  = 0;     // Error correction: parity bytes per codeword. 0 means none. See Note14.
+    var __usablePixels = 0;     // How many pixels are we capable of using?
+
+  /* Signature state. See Note8. */
+    var __signer       = false; // The signer's raw public key, from the header.
+    var __signature    = { verified: false, signerFingerprint: false };
+
+  /* Split payloads. See Note19. */
+    var __shard        = false; // {set, index, count, threshold} from the header, if the carrier holds a piece or a share.
+    var __located      = false; // True once the payload has been found, so that it is only read once.
+
+  /* These parameters apply to treatment of filenames for embedded files. */
+  var __store_filename = store_filename;
+  var __file_name_info = false; // Holds the filename if setMessage() is called with a path.
+  var __padded_text    = false; // True if the message read is a string padded with spaces, as before version 0x04.
+
+
+
+  var log_error = logger(verbosity);
+
+
+  /*
+  * Alrighty.... Let's setup crypto stuff...
+  *  Decryption picks its provider from the header, so this only matters for encryption.
+  */
+  var aes_cipher = ciphers.byName(cipher_name);
+
+
+  /**
+  * Call to shink the carrier to the minimum size required to store the bitstream.
+  *  Replaces the carrier image with the rescaled version.
+  *  Maintains aspect ratio.
+  *  Checks for adequate size.
+  *  Regenerates strides.
+  *
+  * Returns true on success, false on failure.
+  */
+  var rescale_carrier = function() {
+    var return_value  = false;
+    var ratio  = Math.max(__x, __y) / Math.min(__x, __y);
+    var required_pixels  = __offset;
+    var bpp = getBitsPerPixel();  // How many bits-per-pixel can we have?
+    var path_pixels = Math.ceil(slotsNeeded(__payload_size) / bpp);
+    if (adaptive) {
+      // Only some of the path will be selected. We can't know how much until we've scaled it, so leave some slack.
+      var header_pixels = Math.ceil((__header_length * 8) / bpp);
+      path_pixels = header_pixels + Math.ceil(((path_pixels - header_pixels) / adaptive) * ADAPTIVE_MARGIN);
+    }
+    var n  = 0;
+    if (__permutation) {
+      // The path covers whatever is left after the preamble and the offset, so we only need that many more pixels.
+      required_pixels = Math.max(__offset, __params.preamble_pixels + path_pixels) + 1;
+    }
+    else {
+      while ((n < path_pixels) && (__strides[n])) {
+        required_pixels  += __strides[n++];
+      }
+    }
+    log_error('Need a total of ' + required_pixels + ' pixels to store the given message with given password.');
+
+    n  = Math.ceil(Math.sqrt(required_pixels / ratio));
+    var width  = n;
+    var height  = n;
+    if (__x >= __y) width = Math.ceil(width * ratio);
+    else height = Math.ceil(height * ratio);
+
+    var img  = __image.resize(width, height);  // False if this kind of carrier can't be.
+    if (img) {
+      if ((height * width) < (__x * __y)) {    // Did we actually shrink the carrier?
+        if ((height * width) >= required_pixels) {    // Do we have enough space in the new carrier?
+          var original = __image;
+          __image  = img;
+          __x  = img.width;
+          __y  = img.height;
+          demarcate_strides();  // We will need to truncate the stride array because our image has shrunk.
+          if (payload_fits()) {
+            original.destroy();
+            log_error('Scaled carrier into minimum required size for the given password: (' + __x + ', ' + __y + ').', LOG_INFO);
+          }
+          else {
+            // Adaptive selection found less texture in the scaled carrier than we guessed.
+            img.destroy();
+            __image  = original;
+            __x  = original.width;
+            __y  = original.height;
+            demarcate_strides();
+            log_error('The scaled carrier didn\'t have enough room after all. Using the original carrier...', LOG_WARNING);
+          }
+        }
+        else log_error('Somehow we scaled the carrier and now it doesn\'t have enough space. Using the original carrier...', LOG_WARNING);
+      }
+      else log_error('Somehow we scaled the carrier and it got larger. Using the original carrier...', LOG_WARNING);
+      return_value  = true;
+    }
+    else log_error('Failed to scale the carrier.', LOG_ERR);
+    return return_value;
+  }
+
+
+  /**************************************************************************
+  * These functions deal with deriving parameters from the key material.    *
+  **************************************************************************/
+
+  /**
+  * Projective function that will run the arythmic stride as far out as the carrier
+  *  will allow, and save the results as an array of integers. The modulator will
+  *  need this array later to lay the data down into the proper pixels.
+  */
+  var demarcate_strides = function() {
+    if ('permutation' == placement) {
+      __strides      = [];
+      __permutation  = permutationPath(__params, __x * __y);
+      if (__permutation) {
+        log_error('There are ' + __permutation.length + ' usable pixels, in a keyed permutation.', LOG_INFO);
+        findMaxPayloadSize();
+      }
+      else log_error('The permutation placement needs the salted parameters, and a carrier larger than the preamble.', LOG_WARNING);
+    }
+    else if (__stride_seed >= 0) {
+      __strides  = [];
+      __permutation = false;
+      rng.seed(__stride_seed);
+      var usable_pixels  = 0;  // How many pixels can we use?
+      var total_remaining  = (__x * __y) - __offset;  // Total remaining pixels.
+      while (total_remaining > 0) {
+        var delta  = rng.rand(__max_stride-1)+1;
+        total_remaining  = total_remaining - delta;
+        if (total_remaining > 0) {
+          usable_pixels++;
+          __strides.push(delta);
+        }
+      }
+      log_error('There are ' + usable_pixels + ' usable pixels.', LOG_INFO);
+      findMaxPayloadSize();
+    }
+    else {
+      log_error("Somehow there is no seed value.", LOG_WARNING);
+    }
   };
 
 
-  /*
-  * Alrighty.... Let's setup crypto stuff...
+  /*
+  *  Given the stride info, figure out how much data we can pack into the carrier.
+  */
+  var findMaxPayloadSize = function() {
+    var enabled_channels  = enableRed   ? 'Red '   : '';
+    enabled_channels     += enableGreen ? 'Green ' : '';
+    enabled_channels     += enableBlue  ? 'Blue '  : '';
+    log_error('Enabled channels: ' + enabled_channels);
+    select_pixels();
+    var path_pixels = path_length();
+    if (__selected) {
+      path_pixels = 0;
+      for (var n = 0; n < __selected.length; n++) {
+        if (__selected[n]) path_pixels++;
+      }
+    }
+    var slots = getBitsPerPixel() * path_pixels;   // How many channels can we write?
+    var header_bits = Math.min(slots, __header_length * 8);
+    __cover_slots = slots;
+    __max_size = Math.floor((header_bits + ((slots - header_bits) * bit_depth)) / 8);    // The gross size.
+    log_error('Maximum message size is ' + __max_size + ' bytes.', LOG_INFO);
+  }
+
+
+  /**
+  * For adaptive selection, decide which pixels on the path to use. See Note11.
+  *  The pixels that hold the header are always used. Of the rest, those that score in the top fraction are used.
+  */
+  var select_pixels = function() {
+    __selected = false;
+    if (!adaptive) return;
+    var bpp = getBitsPerPixel();
+    var header_pixels = bpp ? Math.ceil((__header_length * 8) / bpp) : 0;
+    var scores = [];
+    walk_path(function(n, abs_pix) {
+      scores.push((n < header_pixels) ? -1 : textureScore(__image, get_x_coords_by_linear(abs_pix), get_y_coords_by_linear(abs_pix), bit_depth));
+    });
+    var ranked = scores.slice(header_pixels).sort(function(a, b) { return b - a; });
+    var threshold = ranked.length ? ranked[Math.max(0, Math.floor(ranked.length * adaptive) - 1)] : 0;
+    __selected = new Uint8Array(scores.length);
+    for (var n = 0; n < scores.length; n++) {
+      __selected[n] = ((n < header_pixels) || (scores[n] >= threshold)) ? 1 : 0;
+    }
+    log_error('Adaptive selection kept pixels scoring at least '+threshold+'.');
+  }
+
+
+  /**
+  * Visit each pixel on the path in order, as visit(n, pixel), where n counts along the path from 0, and
+  *  pixel is the absolute index of the pixel. See Note15.
+  */
+  var walk_path = function(visit) {
+    var n;
+    if (__permutation) {
+      for (n = 0; n < __permutation.length; n++) visit(n, __permutation.pixel(n));
+    }
+    else {
+      var abs_pix = __offset;
+      for (n = 0; n < __strides.length; n++) {
+        abs_pix += __strides[n];
+        visit(n, abs_pix);
+      }
+    }
+  }
+
+
+  /**
+  * How many pixels are on the path?
+  */
+  var path_length = function() {
+    return __permutation ? __permutation.length : __strides.length;
+  }
+
+
+  /**
+  * How many channels on the path does a payload of the given size (header included) need? The header
+  *  takes one bit per channel, and the rest takes the bit depth (Note10), after matrix embedding (Note12).
+  */
+  var slotsNeeded = function(byte_count) {
+    var header_bits = Math.min(byte_count, __header_length) * 8;
+    var body_bits   = (byte_count * 8) - header_bits;
+    if (__matrix_k > 1) body_bits = Math.ceil(body_bits / __matrix_k) * ((1 << __matrix_k) - 1);
+    return header_bits + Math.ceil(body_bits / bit_depth);
+  }
+
+
+  /**
+  * Does the payload fit into what's left of the path?
+  */
+  var payload_fits = function() {
+    return (slotsNeeded(__payload_size) <= __cover_slots);
+  }
+
+
+  /**
+  * How many channels does each pixel of the carrier have? One for grayscale (Note18), or else three.
+  */
+  var carrier_channels = function() {
+    return (__image && __image.grayscale) ? 1 : 3;
+  }
+
+
+  /**
+  * Returns an integer that indicates how many bits we can fit into each pixel using the current settings.
+  */
+  var getBitsPerPixel = function() {
+    var bpp = (enableRed)   ? 1:0;  // How many bits-per-pixel can we have?
+    bpp    += (enableGreen) ? 1:0;
+    bpp    += (enableBlue)  ? 1:0;
+    return bpp;
+  }
+
+
+  /**************************************************************************
+  * Functions related to shoveling the message into the carrier image.      *
+  *   Compress, encrypt, measure.                                           *
+  *   Decide if we can fit it in the image. If we can, we might try.        *
+  *   If we try, we need to write the header.                               *
+  *                                                                         *
+  *   Optionally rescale the image.                                         *
+  **************************************************************************/
+
+  /**
+  * Adopt the parameters derived from the password.
+  */
+  var apply_params = function(params) {
+    __key         = params.key;
+    __mac_key     = params.mac_key;
+    __stride_seed = params.stride_seed;
+    __max_stride  = params.max_stride;
+    __offset      = params.offset;
+    __params      = params;
+    __coin        = false;   // Keyed by the old key, if there was one.
+    log_error('Derived parameters from key in '+params.ms_required+'ms.');
+    demarcate_strides();
+  }
+
+
+  /**
+  * Pick a salt (or an ephemeral key) for a new carrier and derive everything from it.
+  *  Returns true on success, false on failure.
+  */
+  var prepare_params = function() {
+    if (__slot_credentials) {
+      return prepare_key_slots();
+    }
+    if (__recipient_key) {
+      var agreed = deriveParamsForRecipient(__recipient_key, carrier_channels());
+      if (!agreed) {
+        log_error('Recipient keys must be X25519 or RSA. This one is '+__recipient_key.asymmetricKeyType+'.', LOG_ERR);
+        return false;
+      }
+      __preamble = agreed.preamble;
+      apply_params(agreed.params);
+      return true;
+    }
+    if (!__password) {
+      log_error('No usable password.', LOG_ERR);
+      return false;
+    }
+    if (!kdf_cost) {
+      log_error('The given KDF cost parameters are out of bounds.', LOG_ERR);
+      return false;
+    }
+    __salt = salt ? new Buffer(salt) : crypto.randomBytes(SALT_LENGTH);
+    if (__salt.length != SALT_LENGTH) {
+      log_error('Salt must be '+SALT_LENGTH+' bytes.', LOG_ERR);
+      return false;
+    }
+    __preamble = Buffer.concat([new Buffer([KDF_SCRYPT, kdf_cost.log2n, kdf_cost.r, kdf_cost.p, 0x00]), __salt]);
+    apply_params(deriveParamsFromKey(__password, __salt, kdf_cost, carrier_channels()));
+    return true;
+  }
+
+
+  /**
+  * Build a key-slot table for a new carrier. See Note2.
+  *  Returns true on success, false on failure.
+  */
+  var prepare_key_slots = function() {
+    if (!kdf_cost) {
+      log_error('The given KDF cost parameters are out of bounds.', LOG_ERR);
+      return false;
+    }
+    if ((key_slot_count < __slot_credentials.length) || (key_slot_count > 255)) {
+      log_error('Need between '+__slot_credentials.length+' and 255 key slots. Asked for '+key_slot_count+'.', LOG_ERR);
+      return false;
+    }
+    var content_key = crypto.randomBytes(CONTENT_KEY_LENGTH);
+    var slots = [];
+    var slot_length = SLOT_LENGTH;
+    for (var n = 0; n < __slot_credentials.length; n++) {
+      var slot = makeKeySlot(__slot_credentials[n], content_key, kdf_cost);
+      if (!slot) {
+        log_error('Could not make a key slot for credential '+n+'. Public keys must be X25519 or RSA.', LOG_ERR);
+        return false;
+      }
+      slot_length = Math.max(slot_length, slot.length);
+      slots.push(slot);
+    }
+    var table = Buffer.alloc(SLOT_TABLE_HEADER);
+    table[0] = KDF_SLOTS;
+    table[1] = key_slot_count;
+    table.writeUInt16LE(slot_length, 2);
+    crypto.randomBytes(SALT_LENGTH).copy(table, 4);
+
+    var chunks = [table];
+    for (n = 0; n < key_slot_count; n++) {
+      var padded = emptyKeySlot(slot_length);
+      if (n < slots.length) slots[n].copy(padded);
+      chunks.push(padded);
+    }
+    __preamble = Buffer.concat(chunks);
+    apply_params(paramsFromContentKey(content_key, table.slice(4, SLOT_TABLE_HEADER), preamblePixels(__preamble.length, carrier_channels())));
+    log_error('Made '+slots.length+' of '+key_slot_count+' key slots.', LOG_INFO);
+    return true;
+  }
+
+
+  /**
+  * Read the key-slot table out of the carrier.
+  *  Returns {count, slot_length, salt}, or false if the carrier doesn't have a sensible table.
+  *  On success, the whole table is in __preamble.
+  */
+  var read_key_slots = function() {
+    var table = read_preamble_bytes(SLOT_TABLE_HEADER);
+    if (KDF_SLOTS != table[0]) return false;
+    var count       = table[1];
+    var slot_length = table.readUInt16LE(2);
+    if ((count < 1) || (slot_length < 1 + X25519_KEY_LENGTH + WRAPPED_KEY_LENGTH) || (slot_length > 3 + RSA_MAX_WRAPPED)) return false;
+    var total = SLOT_TABLE_HEADER + (count * slot_length);
+    if (preamblePixels(total, carrier_channels()) >= (__x * __y)) return false;
+    __preamble = read_preamble_bytes(total);
+    return {
+      count:       count,
+      slot_length: slot_length,
+      salt:        __preamble.slice(4, SLOT_TABLE_HEADER)
+    };
+  }
+
+
+  /**
+  * Returns the given slot from the table in __preamble.
+  */
+  var key_slot = function(table, n) {
+    var start = SLOT_TABLE_HEADER + (n * table.slot_length);
+    return __preamble.slice(start, start + table.slot_length);
+  }
+
+
+  /**
+  * Our own credential, as the slot functions want it.
   */
-  var aes_cipher = new MCrypt.MCrypt('rijndael-128', 'cbc');
+  var own_credential = function() {
+    if (__password)    return {password: __password};
+    if (__private_key) return {privateKey: __private_key};
+    return false;
+  }
 
 
   /**
-  * Call to shink the carrier to the minimum size required to store the bitstream.
-  *  Replaces the carrier image with the rescaled version.
-  *  Maintains aspect ratio.
-  *  Checks for adequate size.
-  *  Regenerates strides.
-  *
-  * Returns true on success, false on failure.
+  * Find the slot that our credential opens, and derive everything from the content key inside.
+  *  Returns {table, index, content_key}, or false.
   */
-  var rescale_carrier = function() {
-    var return_value  = false;
-    var bits  = __payload_size * 8;
-    var ratio  = Math.max(__x, __y) / Math.min(__x, __y);
-    var required_pixels  = __offset;
-    var bpp = getBitsPerPixel();  // How many bits-per-pixel can we have?
-    var n  = 0;
-    while ((bits > 0) && (__strides[n])) {
-      required_pixels  += __strides[n++];
-      bits  = bits - bpp;
+  var unlock_key_slots = function() {
+    var credential = own_credential();
+    var table = read_key_slots();
+    if (!credential || !table) return false;
+    for (var n = 0; n < table.count; n++) {
+      var content_key = openKeySlot(key_slot(table, n), credential);
+      if (content_key) {
+        log_error('Opened key slot '+n+'.', LOG_INFO);
+        apply_params(paramsFromContentKey(content_key, table.salt, preamblePixels(__preamble.length, carrier_channels())));
+        return { table: table, index: n, content_key: content_key };
+      }
     }
-    log_error('Need a total of ' + required_pixels + ' pixels to store the given message with given password.');
+    log_error('None of the '+table.count+' key slots open with the given credential.', LOG_INFO);
+    return false;
+  }
 
-    n  = Math.ceil(Math.sqrt(required_pixels / ratio));
-    var width  = n;
-    var height  = n;
-    if (__x >= __y) width = Math.ceil(width * ratio);
-    else height = Math.ceil(height * ratio);
 
-    var img  = gd.createTrueColorSync(width, height);
-    if (img) {
-      if (__image.copyResized(img, 0, 0, 0, 0, width, height, __x, __y)) {
-        if ((height * width) < (__x * __y)) {    // Did we actually shrink the carrier?
-          if ((height * width) >= required_pixels) {    // Do we have enough space in the new carrier?
-            __image.destroy();
-            __image  = img;
-            __x  = img.width;
-            __y  = img.height;
-            log_error('Scaled carrier into minimum required size for the given password: (' + __x + ', ' + __y + ').', LOG_INFO);
-            __strides  = [];  // We will need to truncate the stride array because our image has shrunk.
-            demarcate_strides();
-          }
-          else log_error('Somehow we scaled the carrier and now it doesn\'t have enough space. Using the original carrier...', LOG_WARNING);
-        }
-        else log_error('Somehow we scaled the carrier and it got larger. Using the original carrier...', LOG_WARNING);
-        return_value  = true;
+  /**
+  * Lay the preamble into the first pixels of the carrier, using all three channels
+  *  regardless of which ones are enabled. See Note2.
+  */
+  var write_preamble = function() {
+    var bit = 0;
+    var next_bit = function() {
+      var byte = Math.floor(bit / 8);
+      var b = (byte < __preamble.length) ? ((__preamble[byte] >> (bit % 8)) & 0x01) : rng.rand(2);
+      bit++;
+      return b;
+    };
+    var channels = carrier_channels();
+    for (var pix = 0; pix < preamblePixels(__preamble.length, channels); pix++) {
+      var i  = get_x_coords_by_linear(pix);
+      var j  = get_y_coords_by_linear(pix);
+      var temp  = __image.getPixel(i, j);
+      var red   = embed_bits((temp >> 16) & 0xFF, next_bit(), 1);
+      var green = (channels > 1) ? embed_bits((temp >> 8) & 0xFF, next_bit(), 1) : red;
+      var blue  = (channels > 1) ? embed_bits(temp & 0xFF,        next_bit(), 1) : red;
+      __image.setPixel(i, j, (red << 16) | (green << 8) | blue);
+    }
+  }
+
+
+  /**
+  * Read the given number of preamble bytes back out of the carrier. This doesn't need the key.
+  *  Returns a Buffer.
+  */
+  var read_preamble_bytes = function(count) {
+    var bytes = Buffer.alloc(count, 0);
+    var bit   = 0;
+    var push_bit = function(b) {
+      if (bit < count * 8) bytes[Math.floor(bit / 8)] |= (b << (bit % 8));
+      bit++;
+    };
+    var channels = carrier_channels();
+    var pixels = Math.min(preamblePixels(count, channels), __x * __y);
+    for (var pix = 0; pix < pixels; pix++) {
+      var temp  = __image.getPixel(get_x_coords_by_linear(pix), get_y_coords_by_linear(pix));
+      push_bit((temp >> 16) & 0x01);
+      if (channels > 1) {
+        push_bit((temp >> 8) & 0x01);
+        push_bit(temp & 0x01);
       }
-      else log_error('Failed to scale the carrier.', LOG_ERR);
     }
-    else log_error('Failed to create the scaled carrier..', LOG_ERR);
-    return return_value;
+    return bytes;
   }
 
 
   /**
-  * We need a truecolor image to do our trick. Save the user from vimself if ve submits
-  *  an image that isn't up to spec.
+  * Read a password preamble back out of the carrier.
+  *  Returns an object with the salt and KDF cost, or false if the preamble is not sensible.
   */
-  var upgrade_color = function() {
-    var img  = gd.createTrueColorSync(__x, __y);
-    __image.copy(img, 0, 0, 0, 0, __x, __y);
-    __image.destroy();
-    __image = img;
-    log_error('Resampled image into truecolor.', LOG_WARNING);
+  var read_preamble = function() {
+    var bytes = read_preamble_bytes(PREAMBLE_LENGTH);
+    if (KDF_SCRYPT != bytes[0]) {
+      log_error('Preamble does not name a KDF we know.');
+      return false;
+    }
+    var cost = normalizeKdfCost({log2n: bytes[1], r: bytes[2], p: bytes[3]});
+    if (!cost) {
+      log_error('Preamble has unreasonable KDF cost parameters.');
+      return false;
+    }
+    __preamble = bytes;
+    return {
+      cost: cost,
+      salt: bytes.slice(5, 5 + SALT_LENGTH)
+    };
   }
 
 
-  /**************************************************************************
-  * These functions deal with deriving parameters from the key material.    *
-  **************************************************************************/
+  /**
+  * Find the payload. If the preamble is a key-slot table, our credential opens one of the slots.
+  *  With a private key, the preamble holds the other half of the key agreement.
+  *  With a password, we try the salted parameters from the preamble first. Carriers written
+  *  before the preamble existed fall back to the legacy derivation.
+  *  Returns true if a payload was demodulated and checked out.
+  */
+  var locate_payload = function() {
+    if (unlock_key_slots()) {
+      return demodulate_placements();
+    }
+    if (__private_key) {
+      var agreed = deriveParamsFromPrivateKey(__private_key, read_preamble_bytes, carrier_channels());
+      if (!agreed) {
+        log_error('The preamble was not written for this private key.', LOG_ERR);
+        return false;
+      }
+      __preamble = agreed.preamble;
+      apply_params(agreed.params);
+      return demodulate_placements();
+    }
+    if (!__password) {
+      log_error('No usable password or private key.', LOG_ERR);
+      return false;
+    }
+    var preamble = read_preamble();
+    if (preamble) {
+      __salt   = preamble.salt;
+      kdf_cost = preamble.cost;
+      apply_params(deriveParamsFromKey(__password, __salt, kdf_cost, carrier_channels()));
+      if (demodulate_placements()) return true;
+      if (Buffer.isBuffer(__password)) return false;   // Keyfiles postdate the legacy derivation.
+      log_error('Salted parameters failed. Trying the legacy derivation...', LOG_INFO);
+    }
+    if (Buffer.isBuffer(__password)) return false;
+    apply_params(deriveLegacyParamsFromKey(__password));
+    return demodulate_placements();
+  }
 
   /**
-  * Projective function that will run the arythmic stride as far out as the carrier
-  *  will allow, and save the results as an array of integers. The modulator will
-  *  need this array later to lay the data down into the proper pixels.
+  * Find the payload, unless that has already been done. getShard() and getMessage() may both be called.
+  *  Returns true if a payload was demodulated and checked out.
   */
-  var demarcate_strides = function() {
-    if (__stride_seed >= 0) {
-      rng.seed(__stride_seed);
-      var usable_pixels  = 0;  // How many pixels can we use?
-      var total_remaining  = (__x * __y) - __offset;  // Total remaining pixels.
-      while (total_remaining > 0) {
-        var delta  = rng.rand(__max_stride-1)+1;
-        total_remaining  = total_remaining - delta;
-        if (total_remaining > 0) {
-          usable_pixels++;
-          __strides.push(delta);
-        }
+  var read_payload = function() {
+    if (!__located) {
+      __located = locate_payload();
+      if (__located && __shard) __shard.data = new Buffer(__ciphertext);
+    }
+    return __located;
+  }
+
+
+  /**
+  * Anything in a JPEG is in its coefficients (Note13), so a JPEG opened as pixels is opened again before reading.
+  */
+  var reopen_for_reading = function() {
+    if (__image && !__image.dct && isJpegFile(carrier_path)) {
+      var opened = openCarrier(carrier_path, true, keep_palette, adapter);
+      if (opened.image) {
+        __image.destroy();
+        __image = opened.image;
+        __x  = __image.width;
+        __y  = __image.height;
       }
-      log_error('There are ' + usable_pixels + ' usable pixels.', LOG_INFO);
-      findMaxPayloadSize();
+      else log_error(opened.error, LOG_ERR);
     }
-    else {
-      log_error("Somehow there is no seed value.", LOG_WARNING);
+  }
+
+
+  /**
+  * Put the pieces of a split payload back in order, in place of our own piece. The pieces are as getShard()
+  *  returns them, and must include ours. See Note19. Shares are combined instead (Note20).
+  *  Returns true if every piece of our set was there, once, or enough of its shares.
+  */
+  var join_shards = function(shards) {
+    var set    = __shard.set.toString('hex');
+    var pieces = new Array(__shard.count);
+    for (var i = 0; i < shards.length; i++) {
+      if ((shards[i].set != set) || (shards[i].count != __shard.count) || (shards[i].threshold != __shard.threshold)) {
+        log_error('Piece '+i+' belongs to another split payload.', LOG_ERR);
+        return false;
+      }
+      if (pieces[shards[i].index]) {
+        log_error('Piece '+(shards[i].index+1)+' was given twice.', LOG_ERR);
+        return false;
+      }
+      pieces[shards[i].index] = shards[i].data;
     }
-  };
+    if (!pieces[__shard.index] || !pieces[__shard.index].equals(__shard.data)) {
+      log_error('The pieces given don\'t include the one in this carrier.', LOG_ERR);
+      return false;
+    }
+    if (__shard.threshold) return combine_shares(pieces);
+    for (i = 0; i < __shard.count; i++) {
+      if (!pieces[i]) {
+        log_error('Piece '+(i+1)+' of '+__shard.count+' is missing.', LOG_ERR);
+        return false;
+      }
+    }
+    __ciphertext = Buffer.concat(pieces);
+    return true;
+  }
 
 
-  /*
-  *  Given the stride info, figure out how much data we can pack into the carrier.
+  /**
+  * Combine shares (indexed as join_shards() lays them out) back into the payload. See Note20.
+  *  Returns true if there were enough of them.
   */
-  var findMaxPayloadSize = function() {
-    var enabled_channels  = enableRed   ? 'Red '   : '';
-    enabled_channels     += enableGreen ? 'Green ' : '';
-    enabled_channels     += enableBlue  ? 'Blue '  : '';
-    log_error('Enabled channels: ' + enabled_channels);
-    var bpp = getBitsPerPixel();
-    var raw_pixels  = (__x * __y) - __offset;
-    var stride_pix  = __strides.length;
-    __max_size = Math.floor((bpp * stride_pix) / 8);    // The gross size.
-    log_error('Maximum message size is ' + __max_size + ' bytes.', LOG_INFO);
+  var combine_shares = function(pieces) {
+    var shares = [];
+    for (var i = 0; (i < pieces.length) && (shares.length < __shard.threshold); i++) {
+      if (!pieces[i]) continue;
+      if (pieces[i].length != __shard.data.length) {
+        log_error('Share '+(i+1)+' is not the same length as the others.', LOG_ERR);
+        return false;
+      }
+      shares.push({ x: i + 1, data: pieces[i] });
+    }
+    if (shares.length < __shard.threshold) {
+      log_error('Only '+shares.length+' of the '+__shard.threshold+' shares needed were given.', LOG_ERR);
+      return false;
+    }
+    __ciphertext = shamir.combine(shares);
+    return true;
   }
 
 
   /**
-  * Returns an integer that indicates how many bits we can fit into each pixel using the current settings.
+  * The reader isn't told which placement the writer used (Note15), so try the stride, and then the permutation.
+  *  Returns true if a payload was demodulated and checked out.
   */
-  var getBitsPerPixel = function() {
-    var bpp = (enableRed)   ? 1:0;  // How many bits-per-pixel can we have?
-    bpp    += (enableGreen) ? 1:0;
-    bpp    += (enableBlue)  ? 1:0;
-    return bpp;
+  var demodulate_placements = function() {
+    if ('stride' != placement) {
+      placement = 'stride';
+      demarcate_strides();
+    }
+    if (demodulate()) return true;
+    if (!__params.permutation_key) return false;
+    log_error('Nothing found along the stride. Trying the permutation...', LOG_INFO);
+    placement = 'permutation';
+    demarcate_strides();
+    return (__permutation && demodulate()) ? true : false;
   }
 
 
-  /**************************************************************************
-  * Functions related to shoveling the message into the carrier image.      *
-  *   Compress, encrypt, measure.                                           *
-  *   Decide if we can fit it in the image. If we can, we might try.        *
-  *   If we try, we need to write the header.                               *
-  *                                                                         *
-  *   Optionally rescale the image.                                         *
-  **************************************************************************/
+
+  /**
+  * Returns the channel value with its low bits (as many as depth) set to the given bits, by whichever
+  *  embedding is in use. See Note9.
+  */
+  var embed_bits = function(value, bits, depth) {
+    var mask     = (1 << depth) - 1;
+    var replaced = (value & ~mask & 0xFF) | bits;
+    if ((replaced == value) || ('lsb-matching' != embedding)) return replaced;
+    if (!__coin) __coin = keyedBitStream(__key, 'bury-lsb-matching');
+    // The nearest value with the right low bits is this one, or one a step away on either side of it.
+    var best = replaced;
+    var candidates = [replaced - (mask + 1), replaced + (mask + 1)];
+    for (var i = 0; i < candidates.length; i++) {
+      var c = candidates[i];
+      if ((c < 0x00) || (c > 0xFF)) continue;
+      var nearer = Math.abs(c - value) - Math.abs(best - value);
+      if ((nearer < 0) || ((nearer == 0) && __coin())) best = c;
+    }
+    return best;
+  }
+
 
   /**
   * We need to record which channels we are going to make use of.
@@ -521,13 +2559,13 @@ function Bury(carrier_path, password, options) {
   var set_channel_spec = function() {
     var j  = __offset % __x;
     var i  = Math.floor(__offset / __x);
-    var temp  = __image.imageColorAt(j, i);
+    var temp  = __image.getPixel(j, i);
 
-    var red   = ((temp >> 16) & 0xFE) | (enableRed   ? 0x01:0x00);
-    var green = ((temp >> 8) & 0xFE)  | (enableGreen ? 0x01:0x00);
-    var blue  = (temp & 0xFE)         | (enableBlue  ? 0x01:0x00);
+    var red   = embed_bits((temp >> 16) & 0xFF, enableRed   ? 0x01:0x00, 1);
+    var green = embed_bits((temp >> 8) & 0xFF,  enableGreen ? 0x01:0x00, 1);
+    var blue  = embed_bits(temp & 0xFF,         enableBlue  ? 0x01:0x00, 1);
 
-    __image.setPixel(j, i, __image.colorAllocate(red, green, blue));
+    __image.setPixel(j, i, (red << 16) | (green << 8) | blue);
     log_error('Wrote ('+red+', '+green+', '+blue+') (R, G, B) to offset ' + __offset + '.');
   }
 
@@ -544,87 +2582,148 @@ function Bury(carrier_path, password, options) {
         log_error('Filename was not 32 bytes. storing it generically...', LOG_WARNING);
         __file_name_info  = '                bad_filename.txt';
       }
-      __plaintext  = __file_name_info + __plaintext;
+      __plaintext  = Buffer.concat([new Buffer(__file_name_info, 'binary'), __plaintext]);
     }
 
     __plaintext = __plaintext.toString('binary');
 
-    var nu_iv      = aes_cipher.generateIv();
-
-    var compressed = (compress) ? bzip2.compressBlock(__plaintext, __plaintext.length, 9) : __plaintext;
-    aes_cipher.open(new Buffer(__key, 'binary'), nu_iv);
-    var encrypted  = aes_cipher.encrypt(new Buffer(compressed, 'binary'));
-
-    var checksum  = toByteArray(CryptoJS.MD5(encrypted).words);
-    var message_params  = message_params | ((compress)         ? 0x01:0x00);
-        message_params  = message_params | ((__store_filename) ? 0x04:0x00);
-
-    var payload_length = (encrypted.length + aes_cipher.getIvSize() + checksum.length);
-    __ciphertext  = Buffer.alloc(payload_length + HEADER_LENGTH, 0, 'binary');
-    if (binbuf.packTo('<HxBx', __ciphertext, 0, [VERSION_CODE, message_params])) {
-      if (binbuf.packTo('>I',  __ciphertext, 5, [payload_length])) {
-        if (binbuf.packTo(aes_cipher.getIvSize()+'B', __ciphertext, HEADER_LENGTH, nu_iv)) {
-          log_error('nu_iv:     '+JSON.stringify(nu_iv)+'\n\n', LOG_DEBUG);
-          log_error('encrypted: '+JSON.stringify(encrypted)+'\n\n', LOG_DEBUG);
-          log_error('checksum:  '+JSON.stringify(new Buffer(checksum))+'\n\n', LOG_DEBUG);
-          var merged = Buffer.concat([encrypted, new Buffer(checksum)])
-          if (binbuf.packTo(merged.length+'B', __ciphertext, (HEADER_LENGTH+aes_cipher.getIvSize()), merged)) {
-            log_error('Packed payload. Ready for modulation.', LOG_INFO);
-            log_error('__ciphertext:  '+JSON.stringify(__ciphertext)+'\n\n', LOG_DEBUG);
-            __payload_size  = __ciphertext.length;  // Record the number of bytes to modulate.
-            if (compress) {
-              var pt_len    = __plaintext.length;
-              var comp_len  = compressed.length;
-              log_error('Compressed '+pt_len+' bytes into '+comp_len+'.', LOG_INFO);
-            }
-            if (__store_filename) {
-              log_error('Prepended filename to plaintext: '+__file_name_info, LOG_INFO);
-            }
-            log_error('Encrypted payload with header is '+__payload_size+' bytes.', LOG_INFO);
-            return_value = true;
-          }
-          else log_error('Failed to pack ciphertext into payload.', LOG_ERR);
-        }
-        else log_error('Failed to pack IV into payload.', LOG_ERR);
+    // A shard was sealed along with the rest of its message, by Bury.splitAcross(). See Note19.
+    var sealed     = shard;
+    var codec      = false;
+    if (!sealed) {
+      sealed = sealMessage(new Buffer(__plaintext, 'binary'), compress, aes_cipher, __key);
+      if (sealed.error) {
+        log_error(sealed.error, LOG_ERR);
+        return false;
       }
-      else log_error('Failed to pack length into payload.', LOG_ERR);
+      codec = sealed.codec;
+      if (!codec && ('auto' == compress)) log_error('None of the codecs made the message smaller. Storing it uncompressed.', LOG_INFO);
+
+      var message_params  = message_params | ((codec)            ? (0x01 | (codec.id << 3)):0x00);
+          message_params  = message_params | ((__store_filename) ? 0x04:0x00);
+      sealed.message_params = message_params;
+    }
+
+    var payload_length = (sealed.body.length + MAC_LENGTH + (signing_key ? SIGNATURE_LENGTH : 0));
+    var coded_length   = __ecc_symbols ? ecc.encodedLength(payload_length, __ecc_symbols) : payload_length;
+    var header = build_header(payload_length, sealed.message_params);
+    __header_length = header.length;
+    if (matrix_embedding) {
+      // The header is the same length whatever k is, so we can measure the room with it, and then fill k in.
+      findMaxPayloadSize();
+      __matrix_k = chooseMatrixK(coded_length * 8, Math.max(0, __cover_slots - (__header_length * 8)) * bit_depth);
+      header = build_header(payload_length, sealed.message_params);
+      if (__matrix_k > 1) log_error('Matrix embedding will code '+__matrix_k+' bits into every '+((1 << __matrix_k) - 1)+'.', LOG_INFO);
+      else log_error('The payload is too large for matrix embedding to help. Writing it uncoded.', LOG_INFO);
+    }
+    log_error('sealed:    '+JSON.stringify(sealed.body)+'\n\n', LOG_DEBUG);
+
+    // Encrypt-then-MAC. The tag covers the header, the IV, the ciphertext, and the signature (if any).
+    var authenticated = Buffer.concat([header, sealed.body]);
+    if (signing_key) {
+      authenticated = Buffer.concat([authenticated, crypto.sign(null, authenticated, signing_key)]);
+      log_error('Signed payload as '+fingerprintRaw(rawEd25519(signing_key))+'.', LOG_INFO);
+    }
+    var tag = compute_mac(authenticated);
+    log_error('mac:       '+JSON.stringify(tag)+'\n\n', LOG_DEBUG);
+
+    __ciphertext  = Buffer.concat([authenticated, tag]);
+    if (__ecc_symbols) {
+      // Everything after the header gets parity. See Note14.
+      __ciphertext = Buffer.concat([header, ecc.encode(__ciphertext.slice(header.length), __ecc_symbols)]);
+      log_error('Error correction added '+(coded_length - payload_length)+' bytes of parity.', LOG_INFO);
     }
-    else log_error('Failed to pack header into payload.', LOG_ERR);
+    __payload_size  = __ciphertext.length;  // Record the number of bytes to modulate.
+    log_error('Packed payload. Ready for modulation.', LOG_INFO);
+    log_error('__ciphertext:  '+JSON.stringify(__ciphertext)+'\n\n', LOG_DEBUG);
+    if (codec) {
+      log_error('Compressed '+__plaintext.length+' bytes into '+sealed.packed_length+' with '+codec.name+'.', LOG_INFO);
+    }
+    if (__store_filename) {
+      log_error('Prepended filename to plaintext: '+__file_name_info, LOG_INFO);
+    }
+    log_error('Encrypted payload with header is '+__payload_size+' bytes.', LOG_INFO);
     return return_value;
   }
 
 
+  /**
+  * Assemble the header fields for this carrier. See Note4.
+  *  Returns the encoded header as a Buffer.
+  */
+  var build_header = function(payload_length, message_params) {
+    var size_field = new Buffer(4);
+    size_field.writeUInt32BE(payload_length, 0);
+    var fields = [
+      { type: HDR_FIELD_MESSAGE_PARAMS, value: new Buffer([message_params]) },
+      { type: HDR_FIELD_CHANNEL_PARAMS, value: new Buffer([bit_depth - 1]) },
+      { type: HDR_FIELD_PAYLOAD_SIZE,   value: size_field },
+      { type: HDR_FIELD_KDF_PARAMS,     value: __preamble.slice(0, (KDF_SCRYPT == __preamble[0]) ? 4 : 1) },
+      { type: HDR_FIELD_CIPHER,         value: new Buffer([aes_cipher.id]) }
+    ];
+    if (signing_key) fields.push({ type: HDR_FIELD_SIGNER, value: rawEd25519(signing_key) });
+    if (adaptive)    fields.push({ type: HDR_FIELD_ADAPTIVE, value: new Buffer([Math.round(adaptive * 100)]) });
+    if (matrix_embedding) fields.push({ type: HDR_FIELD_MATRIX, value: new Buffer([__matrix_k]) });
+    if (__ecc_symbols) fields.push({ type: HDR_FIELD_ECC, value: new Buffer([__ecc_symbols]) });
+    if (shard && shard.threshold) {
+      fields.push({ type: HDR_FIELD_THRESHOLD, value: Buffer.concat([shard.set, new Buffer([shard.index + 1, shard.threshold, shard.count])]) });
+    }
+    else if (shard) fields.push({ type: HDR_FIELD_SHARD, value: Buffer.concat([shard.set, new Buffer([shard.index, shard.count])]) });
+    return encodeHeader(fields);
+  }
+
+
+  /**
+  * Computes the HMAC-SHA256 tag for the given bytes under the MAC key.
+  *  Returns the tag as a Buffer.
+  */
+  var compute_mac = function(bytes) {
+    var hmac = crypto.createHmac('sha256', new Buffer(__mac_key));
+    hmac.update(new Buffer(bytes));
+    return hmac.digest();
+  }
+
+
   /*
   *  Embed the header and ciphertext into the carrier.
   */
   var modulate = function() {
+    // Shaped filler has to be measured before we touch anything.
+    __lsb_stats  = ('shaped' == filler) ? measureLsbStats(__image, bit_depth) : false;
+    write_preamble();      // Record the salt and KDF parameters.
     set_channel_spec();    // Record the channels in use.
     __bitCursor  = 0;
-    var initial  = __offset + __strides[0];  // The offset stores the active channel settings.
+    __coded      = false;
+    if (__matrix_k > 1) {
+      // Code the rest of the payload against what's on the path now. See Note12.
+      var cover = read_path(__header_length * 8, bit_depth);
+      __coded   = matrixEncode(__ciphertext.slice(__header_length), cover.slice(__header_length), __matrix_k);
+    }
+    var initial  = __permutation ? __permutation.pixel(0) : (__offset + __strides[0]);  // The offset stores the active channel settings.
 
     log_error('Initial pixel of modulation: (' + get_x_coords_by_linear(initial) + ', ' + get_y_coords_by_linear(initial) + ') (x, y).');
 
     // Visit each usable pixel and modulate it.
-    var abs_pix  = __offset;
-    for (var n = 0; n < __strides.length; n++) {
-      var abs_pix  = abs_pix + __strides[n];
+    walk_path(function(n, abs_pix) {
+      if (__selected && !__selected[n]) return;   // Too flat. See Note11.
       var i  = get_x_coords_by_linear(abs_pix);
       var j  = get_y_coords_by_linear(abs_pix);
 
-      var temp  = __image.imageColorAt(i, j);
+      var temp  = __image.getPixel(i, j);
 
       var red   = (temp >> 16) & 0xFF;
       var green = (temp >> 8) & 0xFF;
       var blue  = (temp) & 0xFF;
 
-      var bit;
+      var bits;
+      var depth;
 
       if (visibleResult) {
-         if (enableRed)    bit = getBit();
-         if (enableBlue)   bit = getBit();
-         if (enableGreen)  bit = getBit();
+         if (enableRed)    bits = getSlotBits(slotDepth());
+         if (enableBlue)   bits = getSlotBits(slotDepth());
+         if (enableGreen)  bits = getSlotBits(slotDepth());
 
-         if (bit === false) {
+         if (bits === false) {
            red   = 0x00;
            blue  = 0x00;
            green = 0xff;
@@ -637,33 +2736,73 @@ function Bury(carrier_path, password, options) {
        }
       else {
         if (enableRed) {
-          bit = getBit();
-          if (bit !== false) red  = (red & 0xFE) + bit;
+          depth = slotDepth();
+          bits  = getSlotBits(depth);
+          if (bits === false) bits = filler_bits(i, j, 0, depth);
+          if (bits !== false) red  = embed_bits(red, bits, depth);
         }
 
         if (enableBlue) {
-          bit = getBit();
-          if (bit !== false) blue  = (blue & 0xFE) + bit;
+          depth = slotDepth();
+          bits  = getSlotBits(depth);
+          if (bits === false) bits = filler_bits(i, j, 2, depth);
+          if (bits !== false) blue  = embed_bits(blue, bits, depth);
         }
 
         if (enableGreen) {
-          bit = getBit();
-          if (bit !== false) green  = (green & 0xFE) + bit;
+          depth = slotDepth();
+          bits  = getSlotBits(depth);
+          if (bits === false) bits = filler_bits(i, j, 1, depth);
+          if (bits !== false) green  = embed_bits(green, bits, depth);
         }
       }
-      __image.setPixel(i, j, __image.colorAllocate(red, green, blue));
-    }
+      __image.setPixel(i, j, (red << 16) | (green << 8) | blue);
+    });
     return true;
   }
 
 
+  /**
+  * The bit depth of the channel that the bit cursor is at. The header is always one bit per channel. See Note10.
+  */
+  var slotDepth = function() {
+    return (__bitCursor < (__header_length * 8)) ? 1 : bit_depth;
+  }
+
+
+  /**
+  * Get the bits for the next channel on the path, as many as the given depth, least-significant first.
+  *  Returns false in the same cases that getBit() does.
+  */
+  var getSlotBits = function(depth) {
+    var bits  = 0;
+    for (var d = 0; d < depth; d++) {
+      var bit = getBit();
+      if (bit === false) {
+        if (d == 0) return false;
+        bit = 0;
+      }
+      bits |= bit << d;
+    }
+    return bits;
+  }
+
+
   /**
   *  Given image coordinates, get the bit to be embedded in that pixel.
+  *  Returns false once the payload has run out, and the rest is left to filler_bits(). See Note16.
   *  Otherwise, returns 0 or 1, as the case may dictate.
   */
   var getBit = function() {
     var return_value  = false;
-    if (__bitCursor < (__payload_size * 8)) {
+    var header_bits   = __header_length * 8;
+    if (__coded && (__bitCursor >= header_bits)) {
+      if ((__bitCursor - header_bits) < __coded.length) {
+        return_value  = __coded[__bitCursor - header_bits];
+        __bitCursor++;
+      }
+    }
+    else if (__bitCursor < (__payload_size * 8)) {
       var byte = Math.floor(__bitCursor / 8);
       var bit  = __bitCursor % 8;
       var mask = 0x01 << bit;
@@ -671,13 +2810,25 @@ function Bury(carrier_path, password, options) {
       return_value  = (feed & mask) ? 0x01:0x00;
       __bitCursor++;
     }
-    else {
-      return_value  = (visibleResult) ? false: (rng.rand(1))  ? 0x01:0x00;
-    }
     return return_value;
   }
 
 
+  /**
+  * Once the payload runs out, get the filler for a channel of the given pixel (0 for red, 1 for green, 2 for blue),
+  *  as many bits as the given depth. Returns false if the channel should be left alone. See Note16.
+  */
+  var filler_bits = function(x, y, channel, depth) {
+    if ('none' == filler) return false;
+    var bits = 0;
+    for (var d = 0; d < depth; d++) {
+      var ones = __lsb_stats ? __lsb_stats(x, y, channel, d) : 0.5;
+      if (secureFraction() < ones) bits |= (0x01 << d);
+    }
+    return bits;
+  }
+
+
   /**
   * Helper function that returns the x-component of an image co-ordinate if
   *  we give it a linear length argument.
@@ -699,13 +2850,18 @@ function Bury(carrier_path, password, options) {
   *  across.
   */
   var get_channel_spec = function() {
-    var temp    = __image.imageColorAt(
+    var temp    = __image.getPixel(
       __offset % __x,
       Math.floor(__offset / __x)
     );
     enableRed   = ((temp >> 16) & 0x01) ? true : false;
     enableGreen = ((temp >> 8) & 0x01)  ? true : false;
     enableBlue  = (temp & 0x01)         ? true : false;
+    if (1 == carrier_channels()) {
+      // Gray is given as all three, but only the one is real. See Note18.
+      enableGreen = false;
+      enableBlue  = false;
+    }
   }
 
 
@@ -714,19 +2870,47 @@ function Bury(carrier_path, password, options) {
   */
   var decrypt = function() {
     var return_value  = true;
-    __iv_size  = aes_cipher.getIvSize();    // We need the size of the IV...
+    var provider = ciphers.forId(__cipher_id);
+    if (!provider) {
+      log_error('None of the installed cipher providers ('+ciphers.installed().join(', ')+') can read cipher '+__cipher_id+'.', LOG_ERR);
+      return false;
+    }
+    log_error('Decrypting with the '+provider.name+' provider.');
+    __iv_size  = provider.ivSize;    // We need the size of the IV...
     var nu_iv  = __ciphertext.slice(0, __iv_size);
 
-    var ct     = __ciphertext.slice(__iv_size, __iv_size + __payload_size + HEADER_LENGTH);
-    aes_cipher.open(new Buffer(__key, 'binary'), new Buffer(nu_iv, 'binary'));
+    var ct     = __ciphertext.slice(__iv_size);
     log_error('nu_iv:  '+JSON.stringify(nu_iv)+'\n\n', LOG_DEBUG);
     log_error('ct:     '+JSON.stringify(ct)+'\n\n', LOG_DEBUG);
-    var decrypted    = aes_cipher.decrypt(new Buffer(ct, 'binary'), {iv: nu_iv});
-    var decompressed = (compress) ? bzip2.decompressFile(decrypted) : decrypted;
+    var decrypted;
+    try {
+      decrypted = provider.decrypt(__cipher_id, __key, nu_iv, ct);
+    }
+    catch (e) {
+      log_error('Cipher provider failed: '+e.message, LOG_ERR);
+      return false;
+    }
+    var decompressed = decrypted;
+    if (__codec_id >= 0) {
+      var codec = codecs.forId(__codec_id);
+      if (!codec) {
+        log_error('None of the installed codecs ('+codecs.installed().join(', ')+') can read codec '+__codec_id+'.', LOG_ERR);
+        return false;
+      }
+      try {
+        decompressed = codec.decompress(decrypted);
+      }
+      catch (e) {
+        log_error('Codec failed: '+e.message, LOG_ERR);
+        return false;
+      }
+    }
+    // A file is given back byte for byte. Only a string padded by an older version loses its padding.
     __file_name_info = __store_filename ? decompressed.slice(0, 32).toString('binary').trim() : '';
-    __plaintext      = __store_filename ? decompressed.slice(32).toString('binary').trim() : decompressed.toString('binary').trim();
+    __plaintext      = (__store_filename ? decompressed.slice(32) : decompressed).toString('binary');
+    if (__padded_text) __plaintext = __plaintext.trim();
 
-    if (compress) log_error('Compression inflated '+decrypted.length+' bytes into '+decompressed.length+' bytes.', LOG_INFO);
+    if (__codec_id >= 0) log_error('Compression inflated '+decrypted.length+' bytes into '+decompressed.length+' bytes.', LOG_INFO);
     if (__store_filename) log_error('Retrieved file name: '+__file_name_info, LOG_INFO);
     return return_value;
   }
@@ -737,86 +2921,199 @@ function Bury(carrier_path, password, options) {
   */
   var demodulate = function() {
     get_channel_spec();
-    var all_bytes  = [0x00];
-    var byte  = 0;
-    var bit   = 0;
-
-    var initial  = __offset + __strides[0];  // The offset stores the active channel settings.
+    var initial  = __permutation ? __permutation.pixel(0) : (__offset + __strides[0]);  // The offset stores the active channel settings.
     log_error('Initial pixel of demodulation: ('+get_x_coords_by_linear(initial)+', '+get_y_coords_by_linear(initial)+') (x, y).');
 
-    // Visit each usable pixel and demodulate it.
-    var abs_pix  = __offset;
-    for (var n = 0; n < __strides.length; n++) {
-      abs_pix  = abs_pix + __strides[n];
-      var i  = get_x_coords_by_linear(abs_pix);
-      var j  = get_y_coords_by_linear(abs_pix);
-
-      var temp  = __image.imageColorAt(i, j);
+    // We can't know the bit depth (or the selection) until we've read the header. So read everything at
+    //   a depth of 1, and read it again if the header says otherwise. See Note10 and Note11.
+    __selected     = false;
+    var all_bytes  = read_path(0, 1);
 
-      if (enableRed) {
-        all_bytes[byte]  = (all_bytes[byte] >> 1) + (((temp >> 16) & 0x01) << 7);
-        bit++;
-        if (bit % 8 == 0)  all_bytes[++byte] = 0x00;
+    // This function call makes a choice about the data we just read,
+    //  and unifies the channels into a single coherrant bit-stream, or
+    //  it errors.
+    if (decodeHeader(all_bytes)) {
+      if ((bit_depth > 1) || adaptive || (__matrix_k > 1)) {
+        findMaxPayloadSize();   // Selects pixels, now that we know the header.
+        all_bytes    = read_path(__header_length * 8, bit_depth);
+        __ciphertext = all_bytes.slice(__header_length);
+        if (__matrix_k > 1) __ciphertext = matrixDecode(__ciphertext, __matrix_k);
       }
-
-      if (enableBlue) {
-        all_bytes[byte]  = (all_bytes[byte] >> 1) + (((temp) & 0x01) << 7);
-        bit++;
-        if (bit % 8 == 0) all_bytes[++byte] = 0x00;
+      if (__ecc_symbols) {
+        var decoded = ecc.decode(__ciphertext, __payload_size, __ecc_symbols);
+        if (!decoded) {
+          log_error('The payload is too badly damaged to correct.', LOG_ERR);
+          return false;
+        }
+        if (decoded.corrected) log_error('Corrected '+decoded.corrected+' damaged bytes.', LOG_INFO);
+        __ciphertext = decoded.data;
+      }
+      if (LEGACY_VERSION == __version) {
+        if (verify_checksum()) {
+          log_error('Message passed checksum.', LOG_INFO);
+          return true;
+        }
+        else log_error('Message failed checksum.', LOG_ERR);
       }
+      else if (verify_mac(all_bytes.slice(0, __header_length))) {
+        log_error('Message passed authentication.', LOG_INFO);
+        if (__signer) verify_signature(all_bytes.slice(0, __header_length));
+        return true;
+      }
+      else log_error('Message failed authentication. The carrier was tampered with, or the password is wrong.', LOG_ERR);
+    }
+    else log_error('Failed to decode the header.', LOG_ERR);
+    return false;
+  }
+
+
 
-      if (enableGreen) {
-        all_bytes[byte]  = (all_bytes[byte] >> 1) + (((temp >> 8) & 0x01) << 7);
+  /**
+  * Read the bits along the path, in the order that modulate() wrote them. The first header_bits bits are
+  *  read at one bit per channel, and the rest at the given depth. See Note10.
+  *  Returns an array of bytes. The last one may be partial.
+  */
+  var read_path = function(header_bits, depth) {
+    var bytes = [0x00];
+    var bit   = 0;
+    var read_channel = function(value) {
+      var count = (bit < header_bits) ? 1 : depth;
+      for (var d = 0; d < count; d++) {
+        bytes[bytes.length - 1] |= ((value >> d) & 0x01) << (bit % 8);
         bit++;
-        if (bit % 8 == 0) all_bytes[++byte] = 0x00;
+        if (bit % 8 == 0) bytes.push(0x00);
       }
+    };
+
+    // Visit each usable pixel and demodulate it.
+    walk_path(function(n, abs_pix) {
+      if (__selected && !__selected[n]) return;
+      var temp  = __image.getPixel(get_x_coords_by_linear(abs_pix), get_y_coords_by_linear(abs_pix));
+      if (enableRed)   read_channel((temp >> 16) & 0xFF);
+      if (enableBlue)  read_channel(temp & 0xFF);
+      if (enableGreen) read_channel((temp >> 8) & 0xFF);
+    });
+    return bytes;
+  }
+
+
+  /**
+  * Find the header decoder for the version code at the front of the bytes, and
+  *  take the message parameters from whatever it finds.
+  */
+  var decodeHeader = function(bytes) {
+    var ver     = (bytes[0] | (bytes[1] << 8));   // Every header version starts with this.
+    var decoder = HEADER_DECODERS.hasOwnProperty(ver) ? HEADER_DECODERS[ver] : false;
+    if (!decoder) {
+      log_error('Version code mismatch. File was written by version '+ver+' and this is version '+VERSION_CODE+'.', LOG_ERR);
+      return false;
+    }
+    var header = decoder(bytes);
+    if (!header) {
+      log_error('Header for version '+ver+' is malformed.', LOG_ERR);
+      return false;
+    }
+    __version        = header.version;
+    __header_length  = header.length;
+    __payload_size   = header.payload_size;
+    __cipher_id      = header.cipher;
+    __signer         = header.signer;
+    bit_depth        = (decodeFieldHeader == decoder) ? ((header.channel_params & 0x03) + 1) : 1;
+    adaptive         = header.adaptive ? (header.adaptive / 100) : false;
+    __matrix_k       = header.matrix_k;
+    __ecc_symbols    = header.ecc;
+    __codec_id       = -1;
+    if (header.message_params & 0x0001) {
+      // Only the field header defines codec bits. Before that, they were noise, and it was always bzip2.
+      __codec_id     = (decodeFieldHeader == decoder) ? ((header.message_params >> 3) & 0x07) : codecs.CODEC_BZIP2;
     }
+    __store_filename = (header.message_params & 0x0004) ? true : false;
+    __padded_text    = (decodeFixedHeader == decoder) && !__store_filename;
+    __shard          = header.shard;
+    __ciphertext     = bytes.slice(header.length);
+    log_error('Found a version '+ver+' header of '+header.length+' bytes, and a payload length of '+__payload_size+' bytes.');
+    return true;
+  }
 
-    // This function call makes a choice about the data we just read,
-    //  and unifies the channels into a single coherrant bit-stream, or
-    //  it errors.
-    if (decodeHeader(all_bytes)) {
-      if (verify_checksum()) {
-        log_error('Message passed checksum.', LOG_INFO);
-        return true;
-      }
-      else log_error('Message failed checksum.', LOG_ERR);
+
+  /**
+  * The last 32 bytes of the payload are an HMAC over the header and the message data.
+  *  Unlike the legacy checksum, this must be computed over the header as well, so we need it passed in.
+  *  Returns true if the message is authentic. False otherwise. On success, the tag is
+  *  stripped from the ciphertext.
+  */
+  var verify_mac = function(header_bytes) {
+    if ((__payload_size < MAC_LENGTH) || (__ciphertext.length < __payload_size)) {
+      log_error('Payload is too short to hold a MAC.', LOG_ERR);
+      return false;
+    }
+    var msg    = __ciphertext.slice(0, __payload_size-MAC_LENGTH);
+    var tag    = new Buffer(__ciphertext.slice(__payload_size-MAC_LENGTH, __payload_size));
+    var calc   = compute_mac(header_bytes.concat(msg));
+    if (crypto.timingSafeEqual(tag, calc)) {
+      __ciphertext = msg;
+      return true;
+    }
+    return false;
+  }
+
+
+  /**
+  * Check the signature between the message data and the MAC (Note8), and strip it from
+  *  the ciphertext. The result is recorded for signer(). A bad signature doesn't fail
+  *  demodulation by itself; getMessage() decides what to do about it.
+  */
+  var verify_signature = function(header_bytes) {
+    var msg = __ciphertext.slice(0, __ciphertext.length - SIGNATURE_LENGTH);
+    var sig = new Buffer(__ciphertext.slice(__ciphertext.length - SIGNATURE_LENGTH));
+    __ciphertext = msg;
+    __signature.signerFingerprint = fingerprintRaw(__signer);
+    try {
+      var public_key = crypto.createPublicKey({key: Buffer.concat([ED25519_SPKI_PREFIX, __signer]), format: 'der', type: 'spki'});
+      __signature.verified = crypto.verify(null, new Buffer(header_bytes.concat(msg)), public_key, sig);
     }
-    else log_error('Failed to decode the header.', LOG_ERR);
-    return false;
+    catch (e) {
+      __signature.verified = false;
+    }
+    log_error('Signature from '+__signature.signerFingerprint+(__signature.verified ? ' checks.' : ' does NOT check.'), LOG_INFO);
   }
 
 
-
-  var decodeHeader = function(bytes) {
-    // First, we need to find the header...
-    var ver        = binbuf.unpack('<H', bytes, 0);
-    var msg_params = binbuf.unpack('<B', bytes, 3);
-    __payload_size = binbuf.unpack('>I', bytes, 5);
-
-    compress         = (msg_params & 0x0001) ? true : false;
-    __store_filename = (msg_params & 0x0004) ? true : false;
-    __ciphertext  = bytes.slice(HEADER_LENGTH);
-    if (VERSION_CODE == ver) {
-      log_error('Found a payload length of '+__payload_size+' bytes.');
-      return true;
+  /**
+  * Decide whether the signature satisfies the caller. Returns true if we may decrypt.
+  */
+  var signature_acceptable = function(require_signature, trusted) {
+    if (!require_signature && !trusted) return true;
+    if (!__signature.verified) {
+      log_error(__signer ? 'The carrier\'s signature does not check.' : 'The carrier is not signed.', LOG_ERR);
+      return false;
     }
-    else {
-      log_error('Version code mismatch. File was written by version '+ver+' and this is version '+VERSION_CODE+'.', LOG_ERR);
+    if (trusted) {
+      for (var i = 0; i < trusted.length; i++) {
+        var fingerprint = trusted[i];
+        if (!/^[0-9a-f]{64}$/i.test(fingerprint)) {
+          var key = loadKey(trusted[i], false);
+          fingerprint = (key && ('ed25519' == key.asymmetricKeyType)) ? fingerprintRaw(rawEd25519(key)) : '';
+        }
+        if (fingerprint.toLowerCase() == __signature.signerFingerprint) return true;
+      }
+      log_error('The carrier was signed by '+__signature.signerFingerprint+', who is not trusted.', LOG_ERR);
       return false;
     }
+    return true;
   }
 
 
   /**
+  * Version 0x02 only.
   * The last 16 bytes of the ciphertext will be a checksum for the encrypted message.
   *  The header has already been removed from the cipher text, so no need to tip-toe around it.
   *  Returns true if the message checks ok.
   *  False otherwise.
   */
   var verify_checksum = function() {
-    var msg      = __ciphertext.slice(0, __payload_size-16);
-    var chksum   = __ciphertext.slice(__payload_size-16);
+    var msg      = __ciphertext.slice(0, __payload_size-CHECKSUM_LENGTH);
+    var chksum   = __ciphertext.slice(__payload_size-CHECKSUM_LENGTH);
     var hash     = CryptoJS.MD5(msg);
     __ciphertext = msg;
     return (!strncmp(chksum.toString(), hash.toString(), 32));
@@ -828,7 +3125,11 @@ function Bury(carrier_path, password, options) {
   */
   this.setMessage = function(message, name_override) {
     var return_value  = false;
-    if (message) {
+    if (shard) {
+      log_error('Burying '+(shard.threshold ? 'share' : 'piece')+' '+(shard.index+1)+' of '+shard.count+' of a split payload.', LOG_INFO);
+      __store_filename = false;   // Any file name went in with the rest of the message.
+    }
+    else if (message) {
       if (__plaintext.length == 0) {
         if ((message.length < 256) && fs.existsSync(message) && fs.lstatSync(message).isFile()) {
           // If the message is short, and there is a file extant when the message is treated
@@ -850,9 +3151,7 @@ function Bury(carrier_path, password, options) {
         }
         else if (message.length > 0) {
           log_error('Message looks like a string.', LOG_INFO);
-          // Must pad the message...
-          var padded_len = Math.floor(message.length) + (message.length % 16) ? 16 : 0;
-          message = pad(message, padded_len, ' ', STR_PAD_RIGHT).toString('binary');
+          // Not padded. Every cipher provider pads for itself, and the message comes back exactly.
           __plaintext  = new Buffer(message, 'binary');
           __store_filename  = false;    // No need for this.
         }
@@ -863,13 +3162,71 @@ function Bury(carrier_path, password, options) {
     else log_error('Message length is zero.', LOG_ERR);
 
     // If we loaded a message successfully, try to encrypt it and fit it into the carrier.
-    if (__plaintext.length > 0) {
-      __iv_size  = aes_cipher.getIvSize();    // We need the size of the IV...
+    if (signing_key && ('ed25519' != signing_key.asymmetricKeyType)) {
+      log_error('The signing key must be an Ed25519 private key.', LOG_ERR);
+      return false;
+    }
+    if (('lsb-replacement' != embedding) && ('lsb-matching' != embedding)) {
+      log_error('Embedding must be \'lsb-replacement\' or \'lsb-matching\'. Not \''+embedding+'\'.', LOG_ERR);
+      return false;
+    }
+    if ((bit_depth !== 1) && (bit_depth !== 2) && (bit_depth !== 3) && (bit_depth !== 4)) {
+      log_error('Bit depth must be 1, 2, 3, or 4. Not '+bit_depth+'.', LOG_ERR);
+      return false;
+    }
+    if (adaptive && !((adaptive >= 0.01) && (adaptive <= 0.99))) {
+      log_error('Adaptive selection takes a fraction between 0.01 and 0.99. Not '+adaptive+'.', LOG_ERR);
+      return false;
+    }
+    if (adaptive && ('lsb-matching' == embedding)) {
+      log_error('Adaptive selection can\'t be combined with LSB matching, which changes the bits the pixels are scored by.', LOG_ERR);
+      return false;
+    }
+    if (adaptive) adaptive = Math.round(adaptive * 100) / 100;   // As the header will record it.
+    if (('noise' != filler) && ('shaped' != filler) && ('none' != filler)) {
+      log_error('Filler must be \'noise\', \'shaped\', or \'none\'. Not \''+filler+'\'.', LOG_ERR);
+      return false;
+    }
+    if (('stride' != placement) && ('permutation' != placement)) {
+      log_error('Placement must be \'stride\' or \'permutation\'. Not \''+placement+'\'.', LOG_ERR);
+      return false;
+    }
+    if (error_correction && !((error_correction % 1 === 0) && (error_correction >= ecc.MIN_SYMBOLS) && (error_correction <= ecc.MAX_SYMBOLS))) {
+      log_error('Error correction takes a number of parity bytes from '+ecc.MIN_SYMBOLS+' to '+ecc.MAX_SYMBOLS+'. Not '+error_correction+'.', LOG_ERR);
+      return false;
+    }
+    __ecc_symbols = error_correction ? error_correction : 0;
+    if (__image && __image.dct && ((bit_depth != 1) || adaptive || ('lsb-matching' == embedding))) {
+      log_error('A JPEG carrier can only take one bit per coefficient, by LSB replacement, without adaptive selection.', LOG_ERR);
+      return false;
+    }
+    if (__image && __image.palette && ((bit_depth != 1) || adaptive || ('lsb-matching' == embedding))) {
+      log_error('A palette carrier can only take one bit per pixel, by LSB replacement, without adaptive selection.', LOG_ERR);
+      return false;
+    }
+    if (__image && __image.png && (16 == __image.bitDepth) && adaptive) {
+      log_error('Adaptive selection can\'t judge texture from the low byte of a 16-bit sample.', LOG_ERR);
+      return false;
+    }
+    if (__image && __image.audio && adaptive) {
+      log_error('Adaptive selection judges the texture of an image. A sound has none.', LOG_ERR);
+      return false;
+    }
+    if (1 == carrier_channels()) {
+      // Whichever channels were asked for, a grayscale carrier has only the one. See Note18.
+      enableRed   = enableRed || enableGreen || enableBlue;
+      enableGreen = false;
+      enableBlue  = false;
+    }
+    if (((__plaintext.length > 0) || shard) && prepare_params()) {
+      __iv_size  = aes_cipher ? aes_cipher.ivSize : 0;    // We need the size of the IV...
       if (__iv_size) {
         if (encrypt()) {
-          if (__payload_size <= __max_size) {
+          findMaxPayloadSize();   // Now that we know how long the header is.
+          if (payload_fits()) {
             // Only scale the image down. Never up. To do otherwise exposes the message.
-            if (rescaleCarrier) rescale_carrier();
+            //   Coefficients, palette indices, and samples read by lib/png or lib/wav can't be scaled at all.
+            if (rescaleCarrier && !__image.dct && !__image.palette && !__image.png && !__image.audio) rescale_carrier();
             if (modulate()) {
               return_value  = true;
             }
@@ -879,7 +3236,7 @@ function Bury(carrier_path, password, options) {
         }
         else log_error('Encryption failed.', LOG_ERR);
       }
-      else log_error('Bad cipher/mode combination.', LOG_ERR);
+      else log_error('The cipher provider \''+cipher_name+'\' is not installed. Installed providers: '+ciphers.installed().join(', '), LOG_ERR);
     }
     return return_value;
   }
@@ -887,15 +3244,42 @@ function Bury(carrier_path, password, options) {
 
   /**
   * Tries to retreive a message from the carrier and the given password.
+  *  Options...
+  *    privateKey:        A private key (KeyObject, PEM, or path to a PEM file) for carriers written in public-key mode.
+  *    requireSignature:  Refuse carriers that aren't signed, or whose signature doesn't check. See Note8.
+  *    trusted:           A list of Ed25519 public keys (or their fingerprints). Refuse carriers not signed by one of them.
+  *    shards:            If the carrier holds a piece of a split payload, all of the pieces, as getShard() returns them.
+  *                         Or for a share, at least as many shares as the threshold. Bury.join() and Bury.recover()
+  *                         give these. See Note19 and Note20.
+  *  Returns the message, or false. If requireSignature or trusted is given, returns {message, verified,
+  *   signerFingerprint} instead, since the caller cares who wrote it. Without them, the message alone is
+  *   returned, as it always was, and signer() reports on the signature (if any) afterward.
   */
-  this.getMessage = function() {
+  this.getMessage = function(opts) {
     var return_value  = false;
+    if (opts && opts.privateKey) {
+      __private_key = loadKey(opts.privateKey, true);
+      if (!__private_key) log_error('Could not load the private key.', LOG_ERR);
+    }
+    reopen_for_reading();
     if (__image) {
-      if (demodulate()) {
-        if (decrypt()) {
+      if (read_payload()) {
+        if (!signature_acceptable(opts && opts.requireSignature, opts && opts.trusted)) {
+          log_error('Refusing to decrypt.', LOG_ERR);
+        }
+        else if (__shard && !(opts && opts.shards)) {
+          if (__shard.threshold) {
+            log_error('This carrier holds share '+(__shard.index+1)+' of '+__shard.count+' of a split payload, any '+__shard.threshold+' of which are needed. Use Bury.recover().', LOG_ERR);
+          }
+          else log_error('This carrier holds piece '+(__shard.index+1)+' of '+__shard.count+' of a split payload. Use Bury.join().', LOG_ERR);
+        }
+        else if (__shard && !join_shards(opts.shards)) {
+          log_error('Could not put the split payload back together.', LOG_ERR);
+        }
+        else if (decrypt()) {
           if (__store_filename) {
             if (write_file) {
-              fs.writeFile(__file_name_info, __plaintext, 'utf8',
+              fs.writeFile(__file_name_info, __plaintext, 'binary',
                 function(err) {
                   if (err) {
                     log_error('Failed to write to file: '+__file_name_info+' because '+err, LOG_WARNING);
@@ -908,6 +3292,9 @@ function Bury(carrier_path, password, options) {
             }
           }
           return_value  = __plaintext;
+          if (opts && (opts.requireSignature || opts.trusted)) {
+            return_value  = { message: __plaintext, verified: __signature.verified, signerFingerprint: __signature.signerFingerprint };
+          }
         }
         else log_error('Decryption failed.', LOG_ERR);
       }
@@ -918,20 +3305,173 @@ function Bury(carrier_path, password, options) {
   }
 
 
+  /**
+  * Reads the piece of a split payload that this carrier holds, after checking its MAC (and signature, if any).
+  *  Returns {set, index, count, threshold, data}, where the set ID is given in hex and the data is a Buffer. The
+  *  threshold is 0 for a piece, or k for a share (Note20). Returns false if the carrier can't be read, or holds a
+  *  whole message instead. See Note19.
+  */
+  this.getShard = function() {
+    reopen_for_reading();
+    if (!__image) {
+      log_error('No carrier loaded.', LOG_ERR);
+      return false;
+    }
+    if (!(read_payload())) {
+      log_error('Demodulation failed.', LOG_ERR);
+      return false;
+    }
+    if (!__shard) {
+      log_error('This carrier holds a whole message, not a piece of a split payload.', LOG_ERR);
+      return false;
+    }
+    return { set: __shard.set.toString('hex'), index: __shard.index, count: __shard.count, threshold: __shard.threshold, data: __shard.data };
+  }
+
+
+  /**
+  * Add a key slot to a carrier that was written with key slots. The carrier must first
+  *  be opened with a credential it already knows (the one given to the constructor).
+  *  The new credential is a password, {password, keyfiles}, or {recipientPublicKey: ...}. The payload isn't
+  *  touched. Call outputImage() afterward to save the result.
+  *  Returns the index of the new slot, or false on failure.
+  */
+  this.addKeySlot = function(credential) {
+    if (!__image) {
+      log_error('No carrier loaded.', LOG_ERR);
+      return false;
+    }
+    var unlocked = unlock_key_slots();
+    if (!unlocked) {
+      log_error('Could not open a key slot in this carrier. Adding a slot needs a credential that already works.', LOG_ERR);
+      return false;
+    }
+    var nu_credential = parseCredential(credential);
+    if (!nu_credential || !kdf_cost) {
+      log_error('The new credential is not usable.', LOG_ERR);
+      return false;
+    }
+    var slot = makeKeySlot(nu_credential, unlocked.content_key, kdf_cost);
+    if (!slot || (slot.length > unlocked.table.slot_length)) {
+      log_error('The new credential does not fit in a '+unlocked.table.slot_length+'-byte key slot.', LOG_ERR);
+      return false;
+    }
+    for (var n = 0; n < unlocked.table.count; n++) {
+      var existing = key_slot(unlocked.table, n);
+      if (SLOT_EMPTY == existing[0]) {
+        var padded = emptyKeySlot(unlocked.table.slot_length);
+        slot.copy(padded);
+        padded.copy(existing);
+        write_preamble();
+        log_error('Added key slot '+n+'.', LOG_INFO);
+        return n;
+      }
+    }
+    log_error('All '+unlocked.table.count+' key slots are in use.', LOG_ERR);
+    return false;
+  }
+
+
+  /**
+  * Revoke a key slot. The slot can be given by its index, or by the credential that opens
+  *  it (a password, {password, keyfiles}, or {privateKey: ...}). As with addKeySlot(), the carrier must be opened
+  *  with a credential that works. The last working slot can't be revoked.
+  *  Returns true on success, false on failure.
+  */
+  this.revokeKeySlot = function(which) {
+    if (!__image) {
+      log_error('No carrier loaded.', LOG_ERR);
+      return false;
+    }
+    var unlocked = unlock_key_slots();
+    if (!unlocked) {
+      log_error('Could not open a key slot in this carrier. Revoking a slot needs a credential that already works.', LOG_ERR);
+      return false;
+    }
+    var target = -1;
+    if (typeof which === 'number') {
+      target = which;
+    }
+    else {
+      var credential = (which && which.privateKey) ? {privateKey: loadKey(which.privateKey, true)} : parseCredential(which);
+      if (!credential) {
+        log_error('The credential given for the slot to revoke is not usable.', LOG_ERR);
+        return false;
+      }
+      for (var n = 0; n < unlocked.table.count; n++) {
+        if (openKeySlot(key_slot(unlocked.table, n), credential)) {
+          target = n;
+          break;
+        }
+      }
+    }
+    if ((target < 0) || (target >= unlocked.table.count) || (SLOT_EMPTY == key_slot(unlocked.table, target)[0])) {
+      log_error('No such key slot.', LOG_ERR);
+      return false;
+    }
+    var in_use = 0;
+    for (n = 0; n < unlocked.table.count; n++) {
+      if (SLOT_EMPTY != key_slot(unlocked.table, n)[0]) in_use++;
+    }
+    if (in_use < 2) {
+      log_error('Refusing to revoke the last key slot. Nothing could read the carrier afterward.', LOG_ERR);
+      return false;
+    }
+    emptyKeySlot(unlocked.table.slot_length).copy(key_slot(unlocked.table, target));
+    write_preamble();
+    log_error('Revoked key slot '+target+'.', LOG_INFO);
+    return true;
+  }
+
+
+  /**
+  * Lists the key slots in the carrier by type: 'empty', 'password', 'x25519', or 'rsa'.
+  *  Returns false if the carrier doesn't have key slots. This doesn't need a credential.
+  */
+  this.keySlots = function() {
+    var table = __image ? read_key_slots() : false;
+    if (!table) return false;
+    var names = {};
+    names[SLOT_EMPTY]    = 'empty';
+    names[SLOT_PASSWORD] = 'password';
+    names[SLOT_X25519]   = 'x25519';
+    names[SLOT_RSA_OAEP] = 'rsa';
+    var list = [];
+    for (var n = 0; n < table.count; n++) {
+      var type = key_slot(table, n)[0];
+      list.push(names.hasOwnProperty(type) ? names[type] : 'unknown');
+    }
+    return list;
+  }
+
+
   /**
   * Dumps the image as a base64 string (no parameter given), or a file (if a path was provided.
+  *  A JPEG carrier worked in its coefficients is written as a JPEG, and anything else as a PNG.
+  *  A palette carrier keeps its palette, and is written as a GIF if the path is named like one. See Note17.
+  *  A grayscale or 16-bit PNG is written with the color type and bit depth it had. See Note18.
+  *  A sound carrier is written as a WAV. See Note21.
+  *  Whichever adapter read the carrier, the same bytes are written. See Note22.
   */
   this.outputImage = function(output_path, callback) {
+    var format = (output_path && __image.palette && isGifPath(output_path)) ? 'gif' : __image.format;
+    var bytes  = __image.encode(format);
+    if (!bytes) {
+      log_error('The carrier can\'t be written as a '+format.toUpperCase()+' here.', LOG_ERR);
+      return false;
+    }
     if (output_path) {
-      __image.savePng(output_path, function(err) {
+      if (('wav' == format) && !isWavPath(output_path)) log_error('Writing a WAV to '+output_path+', which isn\'t named like one.', LOG_WARNING);
+      if (('jpeg' == format) && !isJpegPath(output_path)) log_error('Writing a JPEG to '+output_path+', which isn\'t named like one.', LOG_WARNING);
+      fs.writeFile(output_path, bytes, function(err) {
         if (err) {
-          log_error('Failed to save PNG file.', LOG_ERR);
+          log_error('Failed to save '+format.toUpperCase()+' file.', LOG_ERR);
         }
         if (callback) callback(err)
       });
     }
     else {
-      return new Buffer(__image.pngPtr(), 'binary').toString('base64');
+      return bytes.toString('base64');
     }
   }
 
@@ -943,6 +3483,13 @@ function Bury(carrier_path, password, options) {
     return __file_name_info;
   }
 
+  /**
+  * Returns {verified, signerFingerprint} for the carrier read by getMessage(). See Note8.
+  */
+  this.signer = function() {
+    return { verified: __signature.verified, signerFingerprint: __signature.signerFingerprint };
+  }
+
   /**
   *  Clean up our mess.
   */
@@ -952,62 +3499,84 @@ function Bury(carrier_path, password, options) {
   }
 
 
-  if (password.length < MIN_PASS_LENGTH) {
-    console.log('Password is too short. You must supply a password with at least ' + MIN_PASS_LENGTH + ' characters.');
+  if (Array.isArray(password)) {
+    // Key-slot mode. Each credential gets a slot that unlocks the same payload.
+    __slot_credentials = [];
+    for (var n = 0; n < password.length; n++) {
+      var credential = parseCredential(password[n]);
+      if (credential) __slot_credentials.push(credential);
+      else log_error('Credential '+n+' is not usable. Passwords need at least '+MIN_PASS_LENGTH+' characters.', LOG_ERR);
+    }
+    if (__slot_credentials.length != password.length) __slot_credentials = false;
   }
-  else {
-    var params = deriveParamsFromKey(password);
-    __key         = params.key;
-    __stride_seed = params.stride_seed;
-    __max_stride  = params.max_stride;
-    __offset      = params.offset;
+  else if ((typeof password === 'object') && password) {
+    // Public-key mode. Either we are writing to a recipient, or reading with our own key.
+    if (password.recipientPublicKey) {
+      __recipient_key = loadKey(password.recipientPublicKey, false);
+      if (!__recipient_key) log_error('Could not load the recipient\'s public key.', LOG_ERR);
+    }
+    if (password.privateKey) {
+      __private_key = loadKey(password.privateKey, true);
+      if (!__private_key) log_error('Could not load the private key.', LOG_ERR);
+    }
   }
-
-  /**
-  * Try to load the carrier file specified by the argument.
-  *  Returns true on success and false on failure.
-  */
-  if (fs.existsSync(carrier_path)) {
-    var ptr = carrier_path.lastIndexOf('.');
-    if (ptr > 0) {  // Gee... I sure hope we have a file extension...
-      switch (carrier_path.substring(ptr).toLowerCase()) {
-        case '.bmp':
-          __image  = gd.createFromWBMP(carrier_path);
-          break;
-        case '.gif':
-          __image  = gd.createFromGif(carrier_path);
-          break;
-        case '.png':
-          __image  = gd.createFromPng(carrier_path);
-          break;
-        case '.jpeg':
-        case '.jpg':
-          __image  = gd.createFromJpeg(carrier_path);
-          break;
-        default:
-          log_error(carrier_path + ' does not have a supported file extention. Failing, because: no carrier.', LOG_ERR);
-      }
-      if (__image) {
-        __x  = __image.width;
-        __y  = __image.height;
-        log_error('Loaded carrier with size ('+__x+', '+__y+').');
-        if (!__image.trueColor) upgrade_color();
-        demarcate_strides();
+  else if ((typeof password === 'string') || keyfiles) {
+    password = (typeof password === 'string') ? password : '';
+    if (keyfiles) {
+      // The password is optional alongside keyfiles, but if there is one, it must still be decent.
+      if ((password.length > 0) && (password.length < MIN_PASS_LENGTH)) {
+        log_error('Password is too short. You must supply a password with at least ' + MIN_PASS_LENGTH + ' characters, or none at all.', LOG_ERR);
       }
       else {
-        log_error('We got to a point where we ought to have an image, and we don\'t.', LOG_ERR);
+        __password = combineFactors(password, keyfiles);
+        if (!__password) log_error('Could not read all of the keyfiles, or one of them is empty.', LOG_ERR);
       }
     }
+    else if (password.length < MIN_PASS_LENGTH) {
+      log_error('Password is too short. You must supply a password with at least ' + MIN_PASS_LENGTH + ' characters.', LOG_ERR);
+    }
     else {
-     log_error('Cannot determine file extention.', LOG_ERR);
+      // Nothing can be derived until we know the salt. For encryption, that happens
+      //   in setMessage(). For decryption, it's read from the carrier in getMessage().
+      __password = password;
     }
   }
+
+  /**
+  * Try to load the carrier given by the argument.
+  */
+  var opened = openCarrier(carrier_path, jpeg, keep_palette, adapter);
+  if (opened.image) {
+    __image  = opened.image;
+    __x  = __image.width;
+    __y  = __image.height;
+    log_error('Loaded carrier with size ('+__x+', '+__y+').');
+    if (opened.upgraded) log_error('Resampled image into truecolor.', LOG_WARNING);
+  }
   else {
-    log_error('Bad path. Doesn\'t exist, or isn\'t a file.', LOG_ERR);
+    log_error(opened.error, LOG_ERR);
   }
 };
 
 
+/**
+* Returns a fresh random salt, for use with testPasswordCompatibility() and the 'salt' option.
+*/
+Bury.generateSalt = function() {
+  return crypto.randomBytes(SALT_LENGTH);
+};
+
+
+/**
+* Returns the fingerprint of an Ed25519 key (KeyObject, PEM, or path), for use in trust lists.
+*  Returns false if the key isn't Ed25519.
+*/
+Bury.fingerprint = function(key) {
+  var obj = loadKey(key, false) || loadKey(key, true);
+  return (obj && ('ed25519' == obj.asymmetricKeyType)) ? fingerprintRaw(rawEd25519(obj)) : false;
+};
+
+
 /**
 * Report our version.
 */
@@ -1018,84 +3587,486 @@ Bury.getVersion = function() {
 
 
 /**
-* Takes two (or three) passwords and tests them for mutual compatibility. This is needed only in cases
-*  where you want to overlay more than one message (up to three, total) in the same carrier.
-*  Returns true if the passwords are compatible. False otherwise.
+* Bury several messages in one carrier, each on its own channels and under its own password, and write
+*  a single output. Each message is then read back the usual way, with its own password.
+*  Messages are given as [{password, message, channels}, ...]. A message may also have keyfiles. The
+*  channels are a list of 'red', 'green', and 'blue'. Messages that don't name any get a share of
+*  whatever channels are left, so there can be at most three messages.
+*  The options are those of a Bury instance, and apply to every message. The carrier is never rescaled.
 *
-* Compatibility is defined as the condition where no password results in an offset or a stride that overwrites
-*  the first byte of a header from any other password.
+* Every message's path is checked against every other's, all the way to the end of the carrier. If any
+*  pixel would be written twice on the same channel (which includes each message's offset pixel, Note1),
+*  the whole layout is tried again under a fresh salt.
+*
+* Returns what outputImage() does (the base64 image if no output_path is given), or false on failure.
 */
-Bury.testPasswordCompatibility = function(pass0, pass1, pass2) {
-  var return_value  = false;
-  var params0   = {};
-  var params1   = {};
-  var params2   = {};
-  var strides0  = [];
-  var strides1  = [];
-  var strides2  = [];
+Bury.overlay = function(carrier_path, messages, output_path, options) {
+  options = options ? options : {};
+  var log_error = logger(options.hasOwnProperty('verbosity') ? options.verbosity : LOG_INFO);
+
+  if (!Array.isArray(messages) || (messages.length == 0)) {
+    log_error('Overlay needs a list of messages.', LOG_ERR);
+    return false;
+  }
+  if (options.placement && ('stride' != options.placement)) {
+    log_error('Overlaid messages need the stride placement. A permutation crosses every other message\'s channel spec.', LOG_ERR);
+    return false;
+  }
+  var masks = assignChannels(messages);
+  if (!masks) {
+    log_error('The messages can\'t each have channels of their own. There are only three, and no two messages may share one.', LOG_ERR);
+    return false;
+  }
+  var secrets = [];
+  for (var i = 0; i < messages.length; i++) {
+    var credential = parseCredential((messages[i].keyfiles && messages[i].keyfiles.length) ? messages[i] : messages[i].password);
+    if (!credential) {
+      log_error('The password for message '+i+' is not usable. Passwords need at least '+MIN_PASS_LENGTH+' characters.', LOG_ERR);
+      return false;
+    }
+    secrets.push(credential.password);
+  }
+  var cost = normalizeKdfCost({
+    log2n: options.hasOwnProperty('kdfWorkFactor')  ? options.kdfWorkFactor  : 15,
+    r:     options.hasOwnProperty('kdfBlockSize')   ? options.kdfBlockSize   : 8,
+    p:     options.hasOwnProperty('kdfParallelism') ? options.kdfParallelism : 1
+  });
+  if (!cost) {
+    log_error('The given KDF cost parameters are out of bounds.', LOG_ERR);
+    return false;
+  }
+  var opened = openCarrier(carrier_path, options.jpeg, options.palette, options.adapter);
+  if (!opened.image) {
+    log_error(opened.error, LOG_ERR);
+    return false;
+  }
+  var image = opened.image;
+  if (image.grayscale) {
+    log_error('A grayscale (or sound) carrier has only one channel, so it can only hold one message. See Note18.', LOG_ERR);
+    return false;
+  }
+  var pixel_count = image.width * image.height;
+
+  // Every message shares the salt, so they all agree on the preamble. Find one that keeps them apart.
+  var salt = false;
+  for (var attempt = 0; (attempt < OVERLAY_ATTEMPTS) && !salt; attempt++) {
+    var candidate  = crypto.randomBytes(SALT_LENGTH);
+    var footprints = [];
+    for (i = 0; i < messages.length; i++) {
+      var params = deriveParamsFromKey(secrets[i], candidate, cost);
+      var path   = stridePath(params, pixel_count);
+      footprints.push(footprintOf(params.offset, path, path.length, masks[i]));
+    }
+    var collisions = findOverlaps(footprints).filter(function(overlap) { return overlap.channels; });
+    if (collisions.length == 0) salt = candidate;
+    else log_error('Salt '+attempt+' puts messages '+collisions[0].messages.join(' and ')+' on the same bits of pixel '+collisions[0].pixel+'. Trying another...', LOG_INFO);
+  }
+  if (!salt) {
+    log_error('Could not find a salt that keeps these messages apart in '+OVERLAY_ATTEMPTS+' tries.', LOG_ERR);
+    return false;
+  }
 
-  params0 = deriveParamsFromKey(pass0);
-  console.log('pass0: "' + pass0 + '"');
-  console.log(JSON.stringify(params0, null, 2));
+  var bury = false;
+  for (i = 0; i < messages.length; i++) {
+    var nu_options = {};
+    for (var key in options) {
+      if (options.hasOwnProperty(key)) nu_options[key] = options[key];
+    }
+    nu_options.enableRed      = (masks[i] & CHANNEL_RED)   ? true : false;
+    nu_options.enableGreen    = (masks[i] & CHANNEL_GREEN) ? true : false;
+    nu_options.enableBlue     = (masks[i] & CHANNEL_BLUE)  ? true : false;
+    nu_options.rescaleCarrier = false;
+    nu_options.visibleResult  = false;
+    nu_options.salt           = salt;
+    nu_options.keyfiles       = messages[i].keyfiles;
+    bury = new Bury(image, messages[i].password, nu_options);
+    if (!bury.setMessage(messages[i].message)) {
+      log_error('Message '+i+' did not fit on the '+channelNames(masks[i]).join(' and ')+' channel(s).', LOG_ERR);
+      return false;
+    }
+    log_error('Buried message '+i+' on the '+channelNames(masks[i]).join(' and ')+' channel(s).', LOG_INFO);
+  }
+  var result = bury.outputImage(output_path, options.callback);
+  return output_path ? true : result;
+};
 
-  params1 = deriveParamsFromKey(pass1);
-  console.log('pass1: "' + pass1 + '"');
-  console.log(JSON.stringify(params1, null, 2));
 
-  var test_limit  = Math.max(params0.offset, params1.offset);
+/**
+* Split one message across several carriers, under one password. The message is compressed and encrypted once, and
+*  the result is cut into a piece for each carrier, in proportion to its size. Each piece is then buried the usual way.
+*  The message is a path or a string, as for setMessage(), or a Buffer. The options are those of a Bury instance,
+*  and apply to every carrier. The password may be given with keyfiles, as options.keyfiles. See Note19.
+*  Options...
+*    threshold:  Instead of cutting the message into pieces, give each carrier a share of all of it, so that any
+*                  this many of the carriers can be read with Bury.recover(), and fewer reveal nothing. See Note20.
+*
+* Returns the Bury instances, in the order of the carriers, so that the caller can outputImage() each of them.
+*  Returns false on failure.
+*/
+Bury.splitAcross = function(carrier_paths, password, message, options) {
+  options = options ? options : {};
+  var log_error = logger(options.hasOwnProperty('verbosity') ? options.verbosity : LOG_INFO);
 
-  if (pass2) {
-    params2 = deriveParamsFromKey(pass2);
-    test_limit  = Math.max(test_limit, params2.offset);
-    console.log('pass2: "' + pass2 + '"');
-    console.log(JSON.stringify(params2, null, 2));
+  if (!Array.isArray(carrier_paths) || (carrier_paths.length < 2) || (carrier_paths.length > SHARD_MAX)) {
+    log_error('A payload can be split across 2 to '+SHARD_MAX+' carriers.', LOG_ERR);
+    return false;
+  }
+  var threshold = options.hasOwnProperty('threshold') ? options.threshold : 0;
+  if (threshold && !((threshold % 1 === 0) && (threshold >= shamir.MIN_THRESHOLD) && (threshold <= carrier_paths.length))) {
+    log_error('The threshold must be a whole number from '+shamir.MIN_THRESHOLD+' to the number of carriers. Not '+threshold+'.', LOG_ERR);
+    return false;
+  }
+  var credential = parseCredential((options.keyfiles && options.keyfiles.length) ? { password: password, keyfiles: options.keyfiles } : password);
+  if (!credential || !credential.password) {
+    log_error('The password is not usable. Passwords need at least '+MIN_PASS_LENGTH+' characters.', LOG_ERR);
+    return false;
+  }
+  var cipher = ciphers.byName(options.hasOwnProperty('cipher') ? options.cipher : 'node');
+  if (!cipher) {
+    log_error('The cipher provider \''+options.cipher+'\' is not installed. Installed providers: '+ciphers.installed().join(', '), LOG_ERR);
+    return false;
+  }
+  var cost = normalizeKdfCost({
+    log2n: options.hasOwnProperty('kdfWorkFactor')  ? options.kdfWorkFactor  : 15,
+    r:     options.hasOwnProperty('kdfBlockSize')   ? options.kdfBlockSize   : 8,
+    p:     options.hasOwnProperty('kdfParallelism') ? options.kdfParallelism : 1
+  });
+  if (!cost) {
+    log_error('The given KDF cost parameters are out of bounds.', LOG_ERR);
+    return false;
   }
 
-  console.log('The test only needs to find strides up to ' + test_limit + ' bytes.');
+  // As setMessage() reads it, except that the message is read once for all the carriers.
+  var plaintext      = false;
+  var message_params = 0x00;
+  if (Buffer.isBuffer(message)) {
+    plaintext = message;
+  }
+  else if (message && (message.length < 256) && fs.existsSync(message) && fs.lstatSync(message).isFile()) {
+    plaintext = fs.readFileSync(message);
+    if (!options.hasOwnProperty('storeFilename') || options.storeFilename) {
+      plaintext       = Buffer.concat([new Buffer(normalize_filename(basename(message)), 'binary'), plaintext]);
+      message_params |= 0x04;
+    }
+  }
+  else if (message && (message.length > 0)) {
+    plaintext = new Buffer(message, 'binary');
+  }
+  if (!plaintext || (plaintext.length == 0)) {
+    log_error('Message length is zero.', LOG_ERR);
+    return false;
+  }
 
-  rng.seed(params0.stride_seed);
-  var i = 0;
-  var n = params0.offset;
-  while (n < test_limit) {
-    n += rng.rand(params0.max_stride);
-    strides0.push(n);
+  var images = [];
+  var weight = 0;
+  for (var i = 0; i < carrier_paths.length; i++) {
+    var opened = openCarrier(carrier_paths[i], options.jpeg, options.palette, options.adapter);
+    if (!opened.image) {
+      log_error('Carrier '+i+': '+opened.error, LOG_ERR);
+      return false;
+    }
+    images.push(opened.image);
+    weight += opened.image.width * opened.image.height * (opened.image.grayscale ? 1 : 3);
   }
 
-  rng.seed(params1.stride_seed);
-  i = 0;
-  n = params1.offset;;
-  while (n < test_limit) {
-    n += rng.rand(params1.max_stride);
-    strides1.push(n);
+  var salt = options.salt ? new Buffer(options.salt) : crypto.randomBytes(SALT_LENGTH);
+  if (salt.length != SALT_LENGTH) {
+    log_error('Salt must be '+SALT_LENGTH+' bytes.', LOG_ERR);
+    return false;
+  }
+  var key    = deriveParamsFromKey(credential.password, salt, cost).key;
+  var sealed = sealMessage(plaintext, options.hasOwnProperty('compress') ? options.compress : false, cipher, key);
+  if (sealed.error) {
+    log_error(sealed.error, LOG_ERR);
+    return false;
+  }
+  if (sealed.codec) message_params |= 0x01 | (sealed.codec.id << 3);
+
+  // Either every carrier gets a share of the whole payload (Note20), or a piece of it in proportion to its size.
+  var bodies = threshold ? shamir.split(sealed.body, threshold, images.length) : [];
+  var start  = 0;
+  var so_far = 0;
+  for (i = 0; (i < images.length) && !threshold; i++) {
+    so_far += images[i].width * images[i].height * (images[i].grayscale ? 1 : 3);
+    var end = Math.round((sealed.body.length * so_far) / weight);
+    bodies.push(sealed.body.slice(start, end));
+    start = end;
   }
 
-  if (pass2) {
-    rng.seed(params2.stride_seed);
-    i = 0;
-    n = params2.offset;;
-    while (n < test_limit) {
-      n += rng.rand(params2.max_stride);
-      strides2.push(n);
+  var set     = crypto.randomBytes(SHARD_SET_LENGTH);
+  var burials = [];
+  for (i = 0; i < images.length; i++) {
+    var nu_options = {};
+    for (var k in options) {
+      if (options.hasOwnProperty(k)) nu_options[k] = options[k];
+    }
+    nu_options.salt  = salt;
+    nu_options.shard = { set: set, index: i, count: images.length, threshold: threshold, body: bodies[i], message_params: message_params };
+    var bury = new Bury(images[i], password, nu_options);
+    if (!bury.setMessage()) {
+      log_error((threshold ? 'Share ' : 'Piece ')+(i+1)+' of '+images.length+' ('+bodies[i].length+' bytes) did not fit in carrier '+i+'.', LOG_ERR);
+      return false;
     }
+    burials.push(bury);
+  }
+  if (threshold) log_error('Made '+images.length+' shares of '+sealed.body.length+' bytes, any '+threshold+' of which will do.', LOG_INFO);
+  else log_error('Split '+sealed.body.length+' bytes across '+images.length+' carriers.', LOG_INFO);
+  return burials;
+};
 
-    if ((strides1.indexOf(params2.offset) >= 0) || (strides0.indexOf(params2.offset) >= 0)) {
+
+/**
+* Read the pieces (or shares) of a split payload from its carriers, for Bury.join() and Bury.recover(). The pieces are
+*  grouped by the set ID of the first one found. Others, and repeats, are skipped.
+*  Returns {shards, holders}, where holders maps each index found to the Bury instance that read it. Or returns false.
+*/
+var gatherShards = function(stego_paths, password, options, log_error) {
+  if (!Array.isArray(stego_paths) || (stego_paths.length == 0)) {
+    log_error('Need a list of carriers.', LOG_ERR);
+    return false;
+  }
+  var shards  = [];
+  var holders = {};
+  for (var i = 0; i < stego_paths.length; i++) {
+    var bury  = new Bury(stego_paths[i], password, options);
+    var shard = bury.getShard();
+    if (!shard) {
+      log_error('Carrier '+i+' holds no piece of a split payload that this password opens.', LOG_INFO);
     }
-    else if ((strides2.indexOf(params1.offset) >= 0) || (strides0.indexOf(params1.offset) >= 0)) {
+    else if (shards.length && ((shard.set != shards[0].set) || (shard.count != shards[0].count) || (shard.threshold != shards[0].threshold))) {
+      log_error('Carrier '+i+' holds a piece of another split payload. Skipping it.', LOG_WARNING);
     }
-    else if ((strides1.indexOf(params0.offset) >= 0) || (strides2.indexOf(params0.offset) >= 0)) {
+    else if (holders.hasOwnProperty(shard.index)) {
+      log_error('Carrier '+i+' holds piece '+(shard.index+1)+' again. Skipping it.', LOG_WARNING);
     }
     else {
-      return_value  = true;
+      shards.push(shard);
+      holders[shard.index] = bury;
     }
   }
-  else {
-    if ((strides1.indexOf(params0.offset) >= 0) || (strides0.indexOf(params1.offset) >= 0)) {
+  if (!shards.length) {
+    log_error('None of the carriers hold a piece of a split payload.', LOG_ERR);
+    return false;
+  }
+  return { shards: shards, holders: holders };
+};
+
+
+/**
+* Have one of the carriers that were gathered decrypt the whole payload. If a signature is asked for, every piece
+*  must be signed by the same key as the one that decrypts, which checks its own signature against the options.
+*  Returns what getMessage() does.
+*/
+var openGathered = function(gathered, lead_index, options, log_error) {
+  var lead = gathered.holders[lead_index];
+  if (options.requireSignature || options.trusted) {
+    var signer = lead.signer();
+    for (var index in gathered.holders) {
+      var other = gathered.holders[index].signer();
+      if (!other.verified || (other.signerFingerprint !== signer.signerFingerprint)) {
+        log_error('Piece '+(+index+1)+' is not signed by the same key as piece '+(lead_index+1)+'. Refusing to decrypt.', LOG_ERR);
+        return false;
+      }
     }
-    else {
-      return_value  = true;
+  }
+  return lead.getMessage({ shards: gathered.shards, requireSignature: options.requireSignature, trusted: options.trusted });
+};
+
+
+/**
+* Read a message that Bury.splitAcross() wrote, from its carriers, in any order. The options are those of
+*  getMessage() and of a Bury instance. Carriers that hold some other payload are skipped. See Note19.
+*
+* Returns false if none of the carriers hold a piece. Otherwise, returns...
+*   {
+*     message:  What getMessage() would, or false if any pieces are missing (or it failed).
+*     count:    How many pieces the payload was split into.
+*     found:    The indices (from 0) of the pieces that were found.
+*     missing:  The indices of the pieces that weren't.
+*   }
+*/
+Bury.join = function(stego_paths, password, options) {
+  options = options ? options : {};
+  var log_error = logger(options.hasOwnProperty('verbosity') ? options.verbosity : LOG_INFO);
+
+  var gathered = gatherShards(stego_paths, password, options, log_error);
+  if (!gathered) return false;
+  if (gathered.shards[0].threshold) {
+    log_error('These carriers hold shares, any '+gathered.shards[0].threshold+' of which will do. Use Bury.recover().', LOG_ERR);
+    return false;
+  }
+
+  var result = { message: false, count: gathered.shards[0].count, found: [], missing: [] };
+  for (var i = 0; i < result.count; i++) {
+    if (gathered.holders.hasOwnProperty(i)) result.found.push(i);
+    else result.missing.push(i);
+  }
+  if (result.missing.length) {
+    log_error('Missing '+result.missing.length+' of '+result.count+' pieces: '+result.missing.map(function(n) { return n+1; }).join(', '), LOG_ERR);
+    return result;
+  }
+  result.message = openGathered(gathered, 0, options, log_error);
+  return result;
+};
+
+
+/**
+* Read a message that Bury.splitAcross() shared out with a threshold, from any that many of its carriers, in any
+*  order. The options are as for Bury.join(). See Note20.
+*
+* Returns false if none of the carriers hold a share. Otherwise, returns...
+*   {
+*     message:    What getMessage() would, or false if there weren't enough shares (or it failed).
+*     threshold:  How many shares are needed.
+*     count:      How many shares were made.
+*     found:      The indices (from 0) of the shares that were found.
+*   }
+*/
+Bury.recover = function(stego_paths, password, options) {
+  options = options ? options : {};
+  var log_error = logger(options.hasOwnProperty('verbosity') ? options.verbosity : LOG_INFO);
+
+  var gathered = gatherShards(stego_paths, password, options, log_error);
+  if (!gathered) return false;
+  if (!gathered.shards[0].threshold) {
+    log_error('These carriers hold pieces of a payload, all of which are needed. Use Bury.join().', LOG_ERR);
+    return false;
+  }
+
+  var result = { message: false, threshold: gathered.shards[0].threshold, count: gathered.shards[0].count, found: [] };
+  for (var i = 0; i < result.count; i++) {
+    if (gathered.holders.hasOwnProperty(i)) result.found.push(i);
+  }
+  if (result.found.length < result.threshold) {
+    log_error('Found '+result.found.length+' shares. '+result.threshold+' are needed.', LOG_ERR);
+    return result;
+  }
+  result.message = openGathered(gathered, result.found[0], options, log_error);
+  return result;
+};
+
+
+/**
+* Takes a list of passwords and tests them for mutual compatibility. This is needed only in cases where you
+*  want to overlay more than one message in the same carrier. Nothing is printed.
+*
+* Placement depends on the carrier's salt (Note2), so the answer only holds for the given salt. Pass the same
+*  salt to each Bury instance with the 'salt' option. Passwords may also be given as {password, keyfiles}.
+*  Options...
+*    width, height:  The size of the carrier, in pixels. Or...
+*    carrier:        The carrier itself (a path, or an image already loaded), to take the size from. Grayscale and sound carriers
+*                      only have room for one password (Note18), so give false.
+*    jpeg:           As for a Bury instance. The size of a JPEG carrier is then counted in coefficients. See Note13.
+*    palette:        As for a Bury instance. The size of a palette carrier is then counted in usable pixels. See Note17.
+*    adapter:        As for a Bury instance. See Note22.
+*    placement:      As for a Bury instance. With 'permutation', every path crosses every other, so only payloadSizes
+*                      can make passwords compatible. See Note15.
+*    channels:       A list of channel lists, one per password. As in Bury.overlay(), passwords without one get a
+*                      share of the channels nobody named. Unlike Bury.overlay(), named channels may be shared, so
+*                      there can be more than three passwords. If no channels are left, a password gets all three.
+*    payloadSizes:   The number of bytes each password will modulate (header and MAC included), as a list, or one
+*                      number for all of them. Only the pixels that carry the payloads are then compared. Without
+*                      it, every path is compared out to the end of the carrier, since the rest of a path is
+*                      written with noise. That is what Bury.overlay() does.
+*    kdfWorkFactor, kdfBlockSize, kdfParallelism:  As for a Bury instance. These must match what the writers use.
+*
+* Returns false if the arguments don't make sense. Otherwise, returns...
+*   {
+*     compatible:  true if no two passwords write the same bits of any pixel, and every payload fits.
+*     collisions:  The number of overlaps that share channels.
+*     passwords:   [{offset, maxStride, channels, payloadSize, fits, capacity, usableCapacity}, ...]
+*                    capacity is in bytes, ignoring the other passwords. usableCapacity is how much fits before
+*                    the path runs into a pixel that another password writes on the same channel.
+*     overlaps:    [{pixel, x, y, passwords: [a, b], channels, sharesChannels}, ...]
+*                    Every pixel that two of the passwords both use. channels lists what they have in common.
+*   }
+*/
+Bury.testPasswordCompatibility = function(passwords, salt, options) {
+  options = options ? options : {};
+  if (!Array.isArray(passwords) || (passwords.length < 2)) return false;
+  if (!Buffer.isBuffer(salt) || (salt.length != SALT_LENGTH)) return false;
+
+  var width  = options.width;
+  var height = options.height;
+  if (options.carrier) {
+    var opened = openCarrier(options.carrier, options.jpeg, options.palette, options.adapter);
+    if (!opened.image || opened.image.grayscale) return false;
+    width  = opened.image.width;
+    height = opened.image.height;
+  }
+  if (!(width > 0) || !(height > 0)) return false;
+
+  var cost = normalizeKdfCost({
+    log2n: options.hasOwnProperty('kdfWorkFactor')  ? options.kdfWorkFactor  : 15,
+    r:     options.hasOwnProperty('kdfBlockSize')   ? options.kdfBlockSize   : 8,
+    p:     options.hasOwnProperty('kdfParallelism') ? options.kdfParallelism : 1
+  });
+  if (!cost) return false;
+
+  var specs = [];
+  for (var i = 0; i < passwords.length; i++) {
+    specs.push({ channels: options.channels ? options.channels[i] : false });
+  }
+  var masks = assignChannels(specs, true);
+  if (!masks) return false;
+
+  var pixel_count = width * height;
+  var report = { compatible: true, collisions: 0, passwords: [], overlaps: [] };
+  var whole  = [];   // Each password's path, out to the end of the carrier.
+  var used   = [];   // Just the part of it that carries the payload.
+  for (i = 0; i < passwords.length; i++) {
+    var credential = parseCredential(passwords[i]);
+    if (!credential || !credential.password) return false;
+    var params = deriveParamsFromKey(credential.password, salt, cost);
+    var path   = ('permutation' == options.placement) ? permutationPath(params, pixel_count) : stridePath(params, pixel_count);
+    if (!path) return false;
+    var bpp    = channelNames(masks[i]).length;
+    var size   = Array.isArray(options.payloadSizes) ? options.payloadSizes[i] : options.payloadSizes;
+    var needed = (size > 0) ? Math.ceil((size * 8) / bpp) : path.length;
+    whole.push(footprintOf(params.offset, path, path.length, masks[i]));
+    used.push(footprintOf(params.offset, path, Math.min(needed, path.length), masks[i]));
+    report.passwords.push({
+      offset:         params.offset,
+      maxStride:      params.max_stride,
+      channels:       channelNames(masks[i]),
+      payloadSize:    (size > 0) ? size : null,
+      fits:           (needed <= path.length),
+      capacity:       Math.floor((bpp * path.length) / 8),
+      usableCapacity: 0
+    });
+    if (needed > path.length) report.compatible = false;
+  }
+
+  var indexed  = used.map(positionsOf);   // Each payload's pixels, indexed once for everything below.
+  var overlaps = findOverlaps(used, indexed);
+  for (i = 0; i < overlaps.length; i++) {
+    report.overlaps.push({
+      pixel:          overlaps[i].pixel,
+      x:              overlaps[i].pixel % width,
+      y:              Math.floor(overlaps[i].pixel / width),
+      passwords:      overlaps[i].messages,
+      channels:       channelNames(overlaps[i].channels),
+      sharesChannels: (overlaps[i].channels != 0)
+    });
+    if (overlaps[i].channels) report.collisions++;
+  }
+  if (report.collisions) report.compatible = false;
+
+  // Each path is usable up to the first pixel that another password needs on the same channel. If that pixel is
+  //   the offset, which holds the channel spec, nothing is usable. The path is walked in its own order, so the
+  //   first such pixel ends the walk.
+  for (var a = 0; a < whole.length; a++) {
+    var limit = whole[a].length;
+    for (var at = 0; at <= limit; at++) {
+      var pixel = (0 == at) ? whole[a].offset : whole[a].pixel(at - 1);
+      for (var b = 0; b < used.length; b++) {
+        var theirs = (a == b) ? undefined : indexed[b].get(pixel);
+        if ((undefined !== theirs) && (channelsAt(whole[a], at) & channelsAt(used[b], theirs))) limit = Math.max(0, at - 1);
+      }
     }
+    report.passwords[a].usableCapacity = Math.floor((channelNames(masks[a]).length * limit) / 8);
   }
-  return return_value;
+  return report;
 };
 
 module.exports = Bury;
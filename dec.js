@@ -1,8 +1,8 @@
 var Bury = require('./bury.js');
 
-// Decrypting requires no options aside from the password. Everything else
-//   is either derived, or buried in the header.
-var test_readback = new Bury('./test_output.png', 'saddroPs');
+// Decrypting requires no options aside from the password (and jpeg, for a JPEG
+//   without node-gd). Everything else is either derived, or buried in the header.
+var test_readback = new Bury('./test_output.jpg', 'saddroPs', {jpeg: true});
 console.log(test_readback.getMessage());
 
 // Alternatively, you can read the message into a local file
@@ -4,9 +4,10 @@ var options = {
   enableRed:      true,
   enableGreen:    true,
   enableBlue:     true,
-  //compress:       false,   TODO: This option is still broken in the JS version...
+  //compress:       'auto',
   visibleResult:  false,
-  rescaleCarrier: true
+  rescaleCarrier: true,
+  jpeg:           true     // Work the JPEG in its coefficients, and write a JPEG. Needs no node-gd.
 };
 
 var test_image = new Bury('./test_carrier.jpg', 'saddroPs', options);
@@ -15,4 +16,4 @@ console.log('This is bury ' + Bury.getVersion());
 
 // Encrypting a text message...
 test_image.setMessage('This is the worst green-text on the whole internet.');
-test_image.outputImage('./test_output.png');
+test_image.outputImage('./test_output.jpg');
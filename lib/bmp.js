@@ -0,0 +1,116 @@
+/**
+* File:    lib/bmp.js
+*
+* Reads Windows bitmaps. See Note22 in bury.js, and bury.js for license.
+*
+* Uncompressed images, with a palette (1, 4, or 8 bits per pixel) or without (24 or 32 bits, and 32 bits with
+*  byte-aligned bit fields). Rows may be stored bottom-up (the usual way) or top-down. Run-length encoded
+*  bitmaps, and 16-bit ones, aren't read.
+*/
+'use strict'
+
+var BI_RGB       = 0;
+var BI_BITFIELDS = 3;
+
+
+/**
+* Where in a pixel does the given mask put its channel? Only masks of eight whole bits, on a byte boundary, are
+*  taken. Returns the shift, or -1.
+*/
+var maskShift = function(mask) {
+  for (var shift = 0; shift <= 24; shift += 8) {
+    if (mask === ((0xFF << shift) >>> 0)) return shift;
+  }
+  return -1;
+};
+
+
+/**
+* Decode a BMP (a Buffer).
+*  Returns {width, height, pixels} for an image without a palette, where pixels holds red, green, and blue for
+*  each pixel, in raster order. Or {width, height, colors, indices} for one with a palette, where colors are
+*  [{red, green, blue}, ...]. Throws if it can't.
+*/
+var decode = function(data) {
+  if ((data.length < 26) || ('BM' != data.toString('latin1', 0, 2))) throw new Error('Not a BMP.');
+  var pixel_offset = data.readUInt32LE(10);
+  var header_size  = data.readUInt32LE(14);
+  var core         = (12 == header_size);   // The OS/2 header, with 16-bit sizes and 3-byte palette entries.
+  if (!core && (header_size < 40)) throw new Error('Unknown BMP header of '+header_size+' bytes.');
+  if (14 + header_size > data.length) throw new Error('The BMP is truncated.');
+
+  var width       = core ? data.readUInt16LE(18) : data.readInt32LE(18);
+  var raw_height  = core ? data.readUInt16LE(20) : data.readInt32LE(22);
+  var bpp         = core ? data.readUInt16LE(24) : data.readUInt16LE(28);
+  var compression = core ? BI_RGB : data.readUInt32LE(30);
+  var colors_used = core ? 0 : data.readUInt32LE(46);
+  var top_down    = (raw_height < 0);
+  var height      = Math.abs(raw_height);
+  if ((width <= 0) || (height == 0)) throw new Error('The image is empty.');
+
+  var shifts = [16, 8, 0];   // Red, green, and blue, within a little-endian pixel.
+  if (BI_BITFIELDS == compression) {
+    if (32 != bpp) throw new Error('Bit fields are only read for 32-bit pixels.');
+    // The masks follow an INFO header, or are part of a larger one. Either way, they start at the same place.
+    if (data.length < 66) throw new Error('The BMP is truncated.');
+    shifts = [maskShift(data.readUInt32LE(54)), maskShift(data.readUInt32LE(58)), maskShift(data.readUInt32LE(62))];
+    if (shifts.indexOf(-1) >= 0) throw new Error('Only byte-aligned 8-bit fields are supported.');
+  }
+  else if (BI_RGB != compression) {
+    throw new Error('Compression type '+compression+' is not supported.');
+  }
+  if ([1, 4, 8, 24, 32].indexOf(bpp) < 0) throw new Error(bpp+'-bit pixels are not supported.');
+
+  var stride = Math.ceil((width * bpp) / 32) * 4;   // Rows are padded to four bytes.
+  if (pixel_offset + (stride * height) > data.length) throw new Error('The image data is truncated.');
+  var row_at = function(y) {
+    return pixel_offset + (stride * (top_down ? y : (height - 1 - y)));
+  };
+
+  if (bpp <= 8) {
+    var count  = colors_used ? colors_used : (1 << bpp);
+    var entry  = core ? 3 : 4;
+    var colors = [];
+    var at     = 14 + header_size;
+    if ((count > 256) || (at + (count * entry) > pixel_offset)) throw new Error('The palette is malformed.');
+    for (var i = 0; i < count; i++, at += entry) {
+      colors.push({ red: data[at + 2], green: data[at + 1], blue: data[at] });
+    }
+    var indices = new Uint8Array(width * height);
+    var mask    = (1 << bpp) - 1;
+    for (var y = 0; y < height; y++) {
+      var row = row_at(y);
+      for (var x = 0; x < width; x++) {
+        var bit   = x * bpp;
+        var index = (data[row + (bit >> 3)] >> (8 - bpp - (bit & 7))) & mask;
+        if (index >= count) throw new Error('A pixel refers to a color past the end of the palette.');
+        indices[(y * width) + x] = index;
+      }
+    }
+    return { width: width, height: height, colors: colors, indices: indices };
+  }
+
+  var pixels = new Uint8Array(width * height * 3);
+  var step   = bpp / 8;
+  for (y = 0; y < height; y++) {
+    row = row_at(y);
+    for (x = 0; x < width; x++) {
+      var out = ((y * width) + x) * 3;
+      if (24 == bpp) {
+        pixels[out]     = data[row + (x * 3) + 2];
+        pixels[out + 1] = data[row + (x * 3) + 1];
+        pixels[out + 2] = data[row + (x * 3)];
+      }
+      else {
+        var value = data.readUInt32LE(row + (x * step));
+        for (var c = 0; c < 3; c++) pixels[out + c] = (value >>> shifts[c]) & 0xFF;
+      }
+    }
+  }
+  return { width: width, height: height, pixels: pixels };
+};
+
+
+module.exports = {
+  decode: decode
+};
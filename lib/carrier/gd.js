@@ -0,0 +1,183 @@
+/**
+* File:    lib/carrier/gd.js
+*
+* The node-gd adapter. See Note22 in bury.js, and bury.js for license.
+*
+* node-gd is optional. Without it, only the formats the plain JavaScript adapter reads can be opened by their
+*  pixels. With it, JPEGs and GIFs can be too. A node-gd image is worked in place, but it is resized and written
+*  by the same code as a Raster (or an Indexed image), so that the output doesn't depend on the adapter. Only a
+*  GIF is written by node-gd, since nothing else can.
+*/
+'use strict'
+
+var fs      = require('fs');
+var path    = require('path');
+var png     = require('../png');
+var raster  = require('./raster.js');
+var indexed = require('./indexed.js');
+
+var gd = false;   // Loaded the first time it's needed.
+
+var FORMATS = ['.bmp', '.gif', '.jpeg', '.jpg', '.png'];
+
+// Where node-gd looks for its native binding, from the root of its package.
+var BINDINGS = ['build/Release/node_gd.node', 'build/default/node_gd.node'];
+
+
+/**
+* Is node-gd installed, and built? node-gd ends the process if it is loaded without its native binding, so
+*  that is looked for first.
+*/
+var available = function() {
+  if (!gd) {
+    var root = false;
+    try {
+      root = path.dirname(path.dirname(require.resolve('node-gd')));   // Its main script is in js/.
+    }
+    catch (e) {
+      return false;   // Not installed.
+    }
+    var built = BINDINGS.some(function(binding) { return fs.existsSync(path.join(root, binding)); });
+    if (!built) return false;
+    try {
+      gd = require('node-gd');
+    }
+    catch (e) {
+      return false;   // Built, but not for this version of node.
+    }
+  }
+  return true;
+};
+
+
+/**
+* Could node-gd read files with the given extension (in lower case, with the dot), if it were installed?
+*/
+var knows = function(ext) {
+  return (FORMATS.indexOf(ext) >= 0);
+};
+
+
+/**
+* Can this adapter read files with the given extension?
+*/
+var reads = function(ext) {
+  return available() && knows(ext);
+};
+
+
+/**
+* A truecolor node-gd image, as a carrier.
+*/
+function GdCarrier(image) {
+  this.width     = image.width;
+  this.height    = image.height;
+  this.trueColor = true;
+  this.format    = 'png';
+
+  this.getPixel = function(x, y) {
+    return image.imageColorAt(x, y) & 0xFFFFFF;   // Less node-gd's alpha, which isn't written.
+  };
+
+  this.setPixel = function(x, y, color) {
+    image.setPixel(x, y, image.colorAllocate((color >> 16) & 0xFF, (color >> 8) & 0xFF, color & 0xFF));
+  };
+
+  this.resize = function(w, h) {
+    return raster.resize(this, w, h);
+  };
+
+  this.encode = function(format) {
+    return ('png' == format) ? raster.encodePng(this) : false;
+  };
+
+  this.destroy = function() {
+    image.destroy();
+  };
+}
+
+
+/**
+* A palette node-gd image, as lib/carrier/indexed.js describes. node-gd doesn't say what bit depth a PNG had, so
+*  that is given, if it is known.
+*/
+function GdIndexed(image, bit_depth) {
+  var transparent = image.getTransparent();
+
+  this.width       = image.width;
+  this.height      = image.height;
+  this.indexed     = true;
+  this.colorsTotal = image.colorsTotal;
+  this.bitDepth    = bit_depth ? bit_depth : 0;
+
+  this.red   = function(i) { return image.red(i); };
+  this.green = function(i) { return image.green(i); };
+  this.blue  = function(i) { return image.blue(i); };
+  this.alpha = function(i) { return (i == transparent) ? indexed.ALPHA_MAX : image.alpha(i); };
+
+  this.getIndex = function(x, y) {
+    return image.imageColorAt(x, y);
+  };
+
+  this.setIndex = function(x, y, i) {
+    image.setPixel(x, y, i);
+  };
+
+  this.getPixel = function(x, y) {
+    var i = image.imageColorAt(x, y);
+    return (image.red(i) << 16) | (image.green(i) << 8) | image.blue(i);
+  };
+
+  this.encode = function(format) {
+    switch (format) {
+      case 'png':  return indexed.encodePng(this);
+      case 'gif':  return new Buffer(image.gifPtr(), 'binary');
+    }
+    return false;
+  };
+
+  this.destroy = function() {
+    image.destroy();
+  };
+}
+
+
+/**
+* Wrap an image that node-gd loaded. The bit depth is that of the PNG it was read from, if it was.
+*/
+var wrap = function(image, bit_depth) {
+  return image.trueColor ? new GdCarrier(image) : new GdIndexed(image, bit_depth);
+};
+
+
+/**
+* Read an image from a path, in the format given by the extension. Throws if it can't.
+*/
+var read = function(file_path, ext) {
+  if (!available()) throw new Error('node-gd is not installed.');
+  var image     = false;
+  var bit_depth = 0;
+  switch (ext) {
+    case '.bmp':   image = gd.createFromBmp(file_path);   break;
+    case '.gif':   image = gd.createFromGif(file_path);   break;
+    case '.png':
+      image = gd.createFromPng(file_path);
+      var info  = png.decode.header(fs.readFileSync(file_path));
+      bit_depth = info ? info.bitDepth : 0;
+      break;
+    case '.jpeg':
+    case '.jpg':   image = gd.createFromJpeg(file_path);  break;
+    default:       throw new Error('node-gd can\'t read '+ext+' files here.');
+  }
+  if (!image) throw new Error('node-gd could not read the image.');
+  return wrap(image, bit_depth);
+};
+
+
+module.exports = {
+  available: available,
+  knows:     knows,
+  reads:     reads,
+  read:      read,
+  wrap:      wrap
+};
@@ -0,0 +1,112 @@
+/**
+* File:    lib/carrier/index.js
+*
+* The carrier interface, and the adapters that read images into it. See Note22 in bury.js, and bury.js for license.
+*
+* bury.js lays bits into anything with this interface...
+*   width, height
+*   getPixel(x, y)              // The pixel as 0xRRGGBB. Each channel is a byte.
+*   setPixel(x, y, color)       // Likewise.
+*   resize(width, height)       // Returns a new carrier of that size, or false if this kind can't be resized.
+*   encode(format)              // Returns a Buffer, or false if it can't be written in that format.
+*   format                      // What encode() should be asked for, unless the caller knows better.
+*   destroy()
+*
+* Images are read by one of two adapters. The plain JavaScript one (pure.js) reads PNGs and BMPs. The node-gd one
+*  (gd.js) reads those, JPEGs, and GIFs, but only if node-gd is installed. Either gives a carrier (a Raster, for
+*  truecolor) or a palette image (see indexed.js), which bury.js then makes into a carrier.
+*/
+'use strict'
+
+var fs      = require('fs');
+var pure    = require('./pure.js');
+var gd      = require('./gd.js');
+var raster  = require('./raster.js');
+var indexed = require('./indexed.js');
+
+var ADAPTERS = ['auto', 'pure', 'gd'];
+
+// The bytes every file of a format starts with. A null matches anything.
+var MAGIC = {
+  '.png': [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A],
+  '.jpg': [0xFF, 0xD8, 0xFF],
+  '.gif': [0x47, 0x49, 0x46, 0x38],                                                 // GIF8
+  '.bmp': [0x42, 0x4D],                                                             // BM
+  '.wav': [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x41, 0x56, 0x45]  // RIFF, then WAVE
+};
+var MAGIC_LENGTH = 12;   // The longest of them.
+
+
+/**
+* What format is the file at the path in? This is taken from the bytes it starts with, and not from its name,
+*  which can say anything. Returns the format as an extension (in lower case, with the dot), as the adapters
+*  take it, or false if it isn't one of these, or can't be read.
+*/
+var formatOf = function(path) {
+  var head = Buffer.alloc(MAGIC_LENGTH);
+  var got  = 0;
+  try {
+    var fd = fs.openSync(path, 'r');
+    got = fs.readSync(fd, head, 0, MAGIC_LENGTH, 0);
+    fs.closeSync(fd);
+  }
+  catch (e) {
+    return false;
+  }
+  for (var format in MAGIC) {
+    var magic = MAGIC[format];
+    var match = (got >= magic.length) && magic.every(function(b, i) { return (null === b) || (head[i] == b); });
+    if (match) return format;
+  }
+  return false;
+};
+
+
+/**
+* Read an image from a path. The format is taken from the file's magic bytes (see formatOf()). The adapter is
+*  'pure', 'gd', or 'auto', which takes the plain JavaScript adapter for whatever it reads, and node-gd for
+*  anything else.
+*  Returns {image}, or {error} saying why there is no image.
+*/
+var open = function(path, adapter) {
+  adapter = adapter ? adapter : 'auto';
+  if (ADAPTERS.indexOf(adapter) < 0) return { error: 'The adapter must be \'auto\', \'pure\', or \'gd\'. Not \''+adapter+'\'.' };
+  var ext = formatOf(path);
+  if (!ext) return { error: path + ' is not a PNG, BMP, JPEG, or GIF. Failing, because: no carrier.' };
+
+  var use_pure = ('pure' == adapter) || (('auto' == adapter) && pure.reads(ext));
+  if (use_pure && !pure.reads(ext)) {
+    return { error: 'The plain JavaScript adapter can\'t read '+ext+' files. Only PNGs and BMPs.' };
+  }
+  if (!use_pure && !gd.reads(ext)) {
+    if (gd.knows(ext)) return { error: 'Reading '+ext+' files by their pixels needs node-gd, which isn\'t installed.' };
+    return { error: path + ' is not a PNG, BMP, JPEG, or GIF. Failing, because: no carrier.' };
+  }
+  try {
+    return { image: use_pure ? pure.read(fs.readFileSync(path), ext) : gd.read(path, ext) };
+  }
+  catch (e) {
+    return { error: 'Could not read the image: '+e.message };
+  }
+};
+
+
+/**
+* Take an image that was already loaded. A carrier (or a palette image) is used as it is. Anything else is
+*  taken to be a node-gd image, and is worked in place.
+*/
+var wrap = function(image) {
+  if (image.indexed || ('function' === typeof image.encode)) return image;
+  return gd.wrap(image);
+};
+
+
+module.exports = {
+  formatOf:    formatOf,
+  open:        open,
+  wrap:        wrap,
+  Raster:      raster.Raster,
+  Indexed:     indexed.Indexed,
+  toRaster:    raster.from,
+  gdAvailable: gd.available
+};
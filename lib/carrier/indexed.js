@@ -0,0 +1,120 @@
+/**
+* File:    lib/carrier/indexed.js
+*
+* Palette images, in plain JavaScript. See Note22 in bury.js, and bury.js for license.
+*
+* These aren't carriers themselves. lib/palette.js makes them into one (Note17), or they are copied into a Raster.
+*  Anything with this interface will do, so the node-gd adapter offers it too...
+*   width, height
+*   indexed                     // Always true.
+*   colorsTotal                 // The number of colors in the palette.
+*   bitDepth                    // The bits per pixel of the PNG it was read from, or 0 if it wasn't one.
+*   red(i), green(i), blue(i)   // The color at index i.
+*   alpha(i)                    // Its transparency, as node-gd counts it: from 0 (opaque) to 127.
+*   getIndex(x, y)              // The index of a pixel's color.
+*   setIndex(x, y, i)
+*   getPixel(x, y)              // The color of a pixel, as 0xRRGGBB.
+*   encode(format)              // Returns the image as a Buffer, or false if it can't be written that way.
+*   destroy()
+*
+* The functions here that write an image work through that interface, so that what they write depends only on
+*  the palette and the indices, and not on which adapter read them.
+*/
+'use strict'
+
+var png = require('../png');
+
+var ALPHA_MAX = 127;   // node-gd's alpha, for a color that can't be seen at all.
+
+
+/**
+* Take an 8-bit alpha, as PNG's tRNS gives it, the way node-gd does. Each step of node-gd's is two of PNG's.
+*/
+var fromPngAlpha = function(alpha) {
+  return ALPHA_MAX - (alpha >> 1);
+};
+
+
+/**
+* And back, as node-gd writes it.
+*/
+var toPngAlpha = function(alpha) {
+  return 255 - ((alpha << 1) + (alpha >> 6));
+};
+
+
+/**
+* Write any palette image out as an indexed PNG. A PNG keeps the bit depth it had, so that nothing but the
+*  pixels changes. Anything else gets the fewest bits per pixel that reach every color. A tRNS chunk is written
+*  if any color is transparent.
+*  Returns a Buffer.
+*/
+var encodePng = function(source) {
+  var count  = source.colorsTotal;
+  var depth  = (count <= 2) ? 1 : ((count <= 4) ? 2 : ((count <= 16) ? 4 : 8));
+  if (source.bitDepth > depth) depth = source.bitDepth;
+  var plte   = Buffer.alloc(count * 3);
+  var trns   = [];
+  var opaque = true;
+  for (var i = 0; i < count; i++) {
+    plte[i * 3]       = source.red(i);
+    plte[(i * 3) + 1] = source.green(i);
+    plte[(i * 3) + 2] = source.blue(i);
+    trns.push(toPngAlpha(source.alpha(i)));
+    if (source.alpha(i)) opaque = false;
+  }
+  while (trns.length && (255 == trns[trns.length - 1])) trns.pop();   // Colors past the last entry are opaque.
+
+  var samples = new Uint8Array(source.width * source.height);
+  for (var y = 0; y < source.height; y++) {
+    for (var x = 0; x < source.width; x++) samples[(y * source.width) + x] = source.getIndex(x, y);
+  }
+  var chunks = [{ type: 'PLTE', data: plte, afterData: false }];
+  if (!opaque) chunks.push({ type: 'tRNS', data: Buffer.from(trns), afterData: false });
+  return png.encode({ width: source.width, height: source.height, bitDepth: depth, colorType: 3, channels: 1, samples: samples, chunks: chunks });
+};
+
+
+/**
+* A palette image. Colors are given as [{red, green, blue, alpha}, ...], with alpha as node-gd counts it. The
+*  bit depth is only given for an image read from a PNG.
+*/
+function Indexed(width, height, colors, indices, bit_depth) {
+  this.width       = width;
+  this.height      = height;
+  this.indexed     = true;
+  this.colorsTotal = colors.length;
+  this.bitDepth    = bit_depth ? bit_depth : 0;
+
+  this.red   = function(i) { return colors[i].red; };
+  this.green = function(i) { return colors[i].green; };
+  this.blue  = function(i) { return colors[i].blue; };
+  this.alpha = function(i) { return colors[i].alpha; };
+
+  this.getIndex = function(x, y) {
+    return indices[(y * width) + x];
+  };
+
+  this.setIndex = function(x, y, i) {
+    indices[(y * width) + x] = i;
+  };
+
+  this.getPixel = function(x, y) {
+    var color = colors[indices[(y * width) + x]];
+    return (color.red << 16) | (color.green << 8) | color.blue;
+  };
+
+  this.encode = function(format) {
+    return ('png' == format) ? encodePng(this) : false;
+  };
+
+  this.destroy = function() {};
+}
+
+
+module.exports = {
+  ALPHA_MAX:    ALPHA_MAX,
+  Indexed:      Indexed,
+  fromPngAlpha: fromPngAlpha,
+  encodePng:    encodePng
+};
@@ -0,0 +1,111 @@
+/**
+* File:    lib/carrier/pure.js
+*
+* The plain JavaScript adapter. See Note22 in bury.js, and bury.js for license.
+*
+* Reads PNGs and BMPs into Rasters, or into Indexed images if they have a palette, just as node-gd would read
+*  them. Grayscale PNGs of less than 16 bits come in as palette images with a ramp of grays, as they do in libgd.
+*/
+'use strict'
+
+var png     = require('../png');
+var bmp     = require('../bmp.js');
+var Raster  = require('./raster.js').Raster;
+var indexed = require('./indexed.js');
+
+var FORMATS = ['.png', '.bmp'];
+
+
+/**
+* Can this adapter read files with the given extension (in lower case, with the dot)?
+*/
+var reads = function(ext) {
+  return (FORMATS.indexOf(ext) >= 0);
+};
+
+
+/**
+* The colors of a palette PNG, or the grays of a grayscale one, with any transparency from its tRNS chunk.
+*/
+var pngColors = function(image) {
+  var chunk = function(type) {
+    for (var i = 0; i < image.chunks.length; i++) {
+      if (type == image.chunks[i].type) return image.chunks[i].data;
+    }
+    return false;
+  };
+  var trns   = chunk('tRNS');
+  var colors = [];
+  if (3 == image.colorType) {
+    var plte = chunk('PLTE');
+    if (!plte) throw new Error('The palette is missing.');
+    for (var i = 0; i < Math.floor(plte.length / 3); i++) {
+      var alpha = (trns && (i < trns.length)) ? indexed.fromPngAlpha(trns[i]) : 0;
+      colors.push({ red: plte[i * 3], green: plte[(i * 3) + 1], blue: plte[(i * 3) + 2], alpha: alpha });
+    }
+  }
+  else {
+    var count = 1 << image.bitDepth;
+    var clear = (trns && (trns.length >= 2)) ? trns.readUInt16BE(0) : -1;   // The one gray that is transparent.
+    for (i = 0; i < count; i++) {
+      var gray = i * Math.floor(255 / (count - 1));
+      colors.push({ red: gray, green: gray, blue: gray, alpha: (i == clear) ? indexed.ALPHA_MAX : 0 });
+    }
+  }
+  return colors;
+};
+
+
+/**
+* Read a PNG (a Buffer). Alpha is dropped, and 16-bit samples are cut to their high byte.
+*/
+var readPng = function(data) {
+  var image = png.decode(data);
+  var count = image.width * image.height;
+  if ((3 == image.colorType) || ((0 == image.colorType) && (image.bitDepth <= 8))) {
+    var colors  = pngColors(image);
+    var indices = new Uint8Array(count);
+    for (var p = 0; p < count; p++) {
+      if (image.samples[p] >= colors.length) throw new Error('A pixel refers to a color past the end of the palette.');
+      indices[p] = image.samples[p];
+    }
+    return new indexed.Indexed(image.width, image.height, colors, indices, image.bitDepth);
+  }
+  var shift  = (16 == image.bitDepth) ? 8 : 0;
+  var color  = (image.channels >= 3);
+  var pixels = new Uint8Array(count * 3);
+  for (p = 0; p < count; p++) {
+    var at = p * image.channels;
+    for (var c = 0; c < 3; c++) pixels[(p * 3) + c] = image.samples[at + (color ? c : 0)] >> shift;
+  }
+  return new Raster(image.width, image.height, pixels);
+};
+
+
+/**
+* Read a BMP (a Buffer).
+*/
+var readBmp = function(data) {
+  var image = bmp.decode(data);
+  if (!image.colors) return new Raster(image.width, image.height, image.pixels);
+  var colors = image.colors.map(function(c) { return { red: c.red, green: c.green, blue: c.blue, alpha: 0 }; });
+  return new indexed.Indexed(image.width, image.height, colors, image.indices);
+};
+
+
+/**
+* Read an image (a Buffer) of the format given by the extension. Throws if it can't.
+*/
+var read = function(data, ext) {
+  switch (ext) {
+    case '.png':  return readPng(data);
+    case '.bmp':  return readBmp(data);
+  }
+  throw new Error('The plain JavaScript adapter can\'t read '+ext+' files.');
+};
+
+
+module.exports = {
+  reads: reads,
+  read:  read
+};
@@ -0,0 +1,98 @@
+/**
+* File:    lib/carrier/raster.js
+*
+* Truecolor carriers, in plain JavaScript. See Note22 in bury.js, and bury.js for license.
+*
+* A Raster keeps three bytes (red, green, and blue) per pixel. The functions that resize and encode it work on any
+*  carrier through getPixel(), so that the node-gd adapter can share them, and give the same bytes.
+*/
+'use strict'
+
+var png = require('../png');
+
+
+/**
+* Make a carrier of the given size, scaled from the source by nearest neighbor. Like gdImageCopyResized(), no
+*  pixel is blended with another, so nothing is made up.
+*  Returns a Raster.
+*/
+var resize = function(source, width, height) {
+  var out = new Raster(width, height);
+  for (var y = 0; y < height; y++) {
+    var sy = Math.floor((y * source.height) / height);
+    for (var x = 0; x < width; x++) {
+      out.setPixel(x, y, source.getPixel(Math.floor((x * source.width) / width), sy));
+    }
+  }
+  return out;
+};
+
+
+/**
+* Write any carrier out as an 8-bit RGB PNG.
+*  Returns a Buffer.
+*/
+var encodePng = function(source) {
+  var samples = new Uint8Array(source.width * source.height * 3);
+  for (var y = 0; y < source.height; y++) {
+    for (var x = 0; x < source.width; x++) {
+      var color = source.getPixel(x, y);
+      var at    = ((y * source.width) + x) * 3;
+      samples[at]     = (color >> 16) & 0xFF;
+      samples[at + 1] = (color >> 8) & 0xFF;
+      samples[at + 2] = color & 0xFF;
+    }
+  }
+  return png.encode({ width: source.width, height: source.height, bitDepth: 8, colorType: 2, channels: 3, samples: samples, chunks: [] });
+};
+
+
+/**
+* A truecolor carrier. If no pixels are given, it starts out black.
+*/
+function Raster(width, height, pixels) {
+  pixels = pixels ? pixels : new Uint8Array(width * height * 3);
+
+  this.width     = width;
+  this.height    = height;
+  this.trueColor = true;
+  this.format    = 'png';
+
+  this.getPixel = function(x, y) {
+    var at = ((y * width) + x) * 3;
+    return (pixels[at] << 16) | (pixels[at + 1] << 8) | pixels[at + 2];
+  };
+
+  this.setPixel = function(x, y, color) {
+    var at = ((y * width) + x) * 3;
+    pixels[at]     = (color >> 16) & 0xFF;
+    pixels[at + 1] = (color >> 8) & 0xFF;
+    pixels[at + 2] = color & 0xFF;
+  };
+
+  this.resize = function(w, h) {
+    return resize(this, w, h);
+  };
+
+  this.encode = function(format) {
+    return ('png' == format) ? encodePng(this) : false;
+  };
+
+  this.destroy = function() {};
+}
+
+
+/**
+* Copy any carrier (or anything else with width, height, and getPixel()) into a Raster.
+*/
+var from = function(source) {
+  return resize(source, source.width, source.height);
+};
+
+
+module.exports = {
+  Raster:    Raster,
+  from:      from,
+  resize:    resize,
+  encodePng: encodePng
+};
@@ -0,0 +1,72 @@
+/**
+* File:    lib/ciphers/crypto-js.js
+*
+* Cipher provider backed by crypto-js. See bury.js for license.
+*  This is the format that cryptojs-bury.js was written for.
+*/
+'use strict'
+var formats  = require('./formats.js');
+var CryptoJS = false;
+
+
+/* The hash and crypto deal with word arrays. */
+var toWordArray = function(bytes) {
+  return CryptoJS.lib.WordArray.create(new Uint8Array(new Buffer(bytes)));
+};
+
+var toBuffer = function(word_array) {
+  var buf = new Buffer(word_array.sigBytes);
+  for (var i = 0; i < word_array.sigBytes; i++) {
+    buf[i] = (word_array.words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xFF;
+  }
+  return buf;
+};
+
+var MODES = {};
+
+
+module.exports = {
+  name:   'crypto-js',
+  id:     formats.CIPHER_CRYPTOJS,
+  reads:  [formats.CIPHER_CRYPTOJS, formats.CIPHER_MCRYPT, formats.CIPHER_NODE],
+  ivSize: formats.BLOCK_SIZE,
+
+  available: function() {
+    if (!CryptoJS) {
+      try {
+        CryptoJS = require('crypto-js');
+        MODES[formats.CIPHER_MCRYPT]   = CryptoJS.mode.CBC;
+        MODES[formats.CIPHER_CRYPTOJS] = CryptoJS.mode.CFB;
+        MODES[formats.CIPHER_NODE]     = CryptoJS.mode.CBC;
+      }
+      catch (e) {
+        return false;
+      }
+    }
+    return true;
+  },
+
+  encrypt: function(key, iv, data) {
+    var encrypted = CryptoJS.AES.encrypt(
+      toWordArray(formats.zeroPad(new Buffer(data))),
+      toWordArray(key),
+      { iv: toWordArray(iv), mode: CryptoJS.mode.CFB, padding: CryptoJS.pad.NoPadding }
+    );
+    return toBuffer(encrypted.ciphertext);
+  },
+
+  decrypt: function(id, key, iv, data) {
+    var decrypted = CryptoJS.AES.decrypt(
+      CryptoJS.lib.CipherParams.create({ ciphertext: toWordArray(data) }),
+      toWordArray(key),
+      { iv: toWordArray(iv), mode: MODES[id], padding: CryptoJS.pad.NoPadding }
+    );
+    var result = toBuffer(decrypted);
+    if (formats.CIPHER_NODE == id) {
+      result = formats.pkcs7Unpad(result);
+      if (!result) throw new Error('Bad padding.');
+    }
+    else result = formats.zeroUnpad(result);
+    return result;
+  }
+};
@@ -0,0 +1,59 @@
+/**
+* File:    lib/ciphers/formats.js
+*
+* Cipher format ids and padding helpers shared by the providers. See bury.js for license.
+*/
+'use strict'
+
+// Cipher formats. These ids go into the carrier, so never renumber them.
+var CIPHER_MCRYPT   = 0x01;   // rijndael-128, CBC, zero padding. What bury.js always wrote before providers existed.
+var CIPHER_CRYPTOJS = 0x02;   // AES, CFB-128, zero padding. What cryptojs-bury.js was meant to write.
+var CIPHER_NODE     = 0x03;   // AES, CBC, PKCS#7 padding.
+
+var BLOCK_SIZE = 16;
+
+
+/**
+* Pad to the block size with zeros. Data that is already block-aligned is left alone.
+*/
+var zeroPad = function(data) {
+  var remainder = data.length % BLOCK_SIZE;
+  if ((remainder == 0) && (data.length > 0)) return data;
+  return Buffer.concat([data, Buffer.alloc(BLOCK_SIZE - remainder, 0)]);
+};
+
+
+/**
+* Strip zero padding. This can't tell padding from zeros that ended the data, which is why the node format
+*  (the default) is padded by PKCS#7 instead.
+*/
+var zeroUnpad = function(data) {
+  var end = data.length;
+  while ((end > 0) && (0 == data[end - 1])) end--;
+  return data.slice(0, end);
+};
+
+
+/**
+* Strip PKCS#7 padding. Returns false if the padding is bad.
+*/
+var pkcs7Unpad = function(data) {
+  if ((data.length == 0) || (data.length % BLOCK_SIZE)) return false;
+  var n = data[data.length - 1];
+  if ((n < 1) || (n > BLOCK_SIZE)) return false;
+  for (var i = data.length - n; i < data.length; i++) {
+    if (data[i] != n) return false;
+  }
+  return data.slice(0, data.length - n);
+};
+
+
+module.exports = {
+  CIPHER_MCRYPT:   CIPHER_MCRYPT,
+  CIPHER_CRYPTOJS: CIPHER_CRYPTOJS,
+  CIPHER_NODE:     CIPHER_NODE,
+  BLOCK_SIZE:      BLOCK_SIZE,
+  zeroPad:         zeroPad,
+  zeroUnpad:       zeroUnpad,
+  pkcs7Unpad:      pkcs7Unpad
+};
@@ -0,0 +1,86 @@
+/**
+* File:    lib/ciphers/index.js
+*
+* Cipher providers. See bury.js for license.
+*
+* A provider wraps one cipher backend. Each provider writes exactly one cipher format, identified by a
+*  one-byte id that is recorded in the carrier's header (see Note4 in bury.js). Most backends can also
+*  read formats written by other backends, so a carrier decodes with whichever providers are installed.
+*
+* A provider looks like this...
+*   {
+*     name:       'node',                    // What the caller asks for with the 'cipher' option.
+*     id:         CIPHER_NODE,               // The format this provider writes.
+*     reads:      [CIPHER_NODE, ...],        // The formats this provider can read.
+*     ivSize:     16,                        // Bytes of IV the format needs.
+*     available:  function() {},             // Returns true if the backend is installed.
+*     encrypt:    function(key, iv, data) {},       // Returns a Buffer.
+*     decrypt:    function(id, key, iv, data) {}    // Returns a Buffer.
+*   }
+*
+* Keys are always 32 bytes, so every format is AES-256 underneath.
+*/
+'use strict'
+
+var formats = require('./formats.js');
+
+
+var PROVIDERS = [
+  require('./node-crypto.js'),
+  require('./crypto-js.js'),
+  require('./mcrypt.js')
+];
+
+
+/**
+* Add a provider. Providers registered later are preferred for reading.
+*/
+var register = function(provider) {
+  PROVIDERS.unshift(provider);
+};
+
+
+/**
+* Returns the named provider, or false if it is unknown or not installed.
+*/
+var byName = function(name) {
+  for (var i = 0; i < PROVIDERS.length; i++) {
+    if ((PROVIDERS[i].name == name) && PROVIDERS[i].available()) return PROVIDERS[i];
+  }
+  return false;
+};
+
+
+/**
+* Returns an installed provider that can read the given format, or false if there is none.
+*  The provider that writes the format is preferred.
+*/
+var forId = function(id) {
+  var i;
+  for (i = 0; i < PROVIDERS.length; i++) {
+    if ((PROVIDERS[i].id == id) && PROVIDERS[i].available()) return PROVIDERS[i];
+  }
+  for (i = 0; i < PROVIDERS.length; i++) {
+    if ((PROVIDERS[i].reads.indexOf(id) >= 0) && PROVIDERS[i].available()) return PROVIDERS[i];
+  }
+  return false;
+};
+
+
+/**
+* Returns the names of the providers that are installed.
+*/
+var installed = function() {
+  return PROVIDERS.filter(function(p) { return p.available(); }).map(function(p) { return p.name; });
+};
+
+
+module.exports = {
+  CIPHER_MCRYPT:   formats.CIPHER_MCRYPT,
+  CIPHER_CRYPTOJS: formats.CIPHER_CRYPTOJS,
+  CIPHER_NODE:     formats.CIPHER_NODE,
+  register:        register,
+  byName:          byName,
+  forId:           forId,
+  installed:       installed
+};
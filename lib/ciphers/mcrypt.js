@@ -0,0 +1,51 @@
+/**
+* File:    lib/ciphers/mcrypt.js
+*
+* Cipher provider backed by libmcrypt. See bury.js for license.
+*  This is the format that bury.js always wrote before there were providers. The
+*  mcrypt module needs a native build, so it is optional.
+*/
+'use strict'
+var formats = require('./formats.js');
+var MCrypt  = false;
+
+
+var open = function(key, iv) {
+  var cipher = new MCrypt.MCrypt('rijndael-128', 'cbc');
+  cipher.open(new Buffer(key), new Buffer(iv));
+  return cipher;
+};
+
+
+module.exports = {
+  name:   'mcrypt',
+  id:     formats.CIPHER_MCRYPT,
+  reads:  [formats.CIPHER_MCRYPT, formats.CIPHER_NODE],
+  ivSize: formats.BLOCK_SIZE,
+
+  available: function() {
+    if (!MCrypt) {
+      try {
+        MCrypt = require('mcrypt');
+      }
+      catch (e) {
+        return false;
+      }
+    }
+    return true;
+  },
+
+  encrypt: function(key, iv, data) {
+    return open(key, iv).encrypt(formats.zeroPad(new Buffer(data)));
+  },
+
+  decrypt: function(id, key, iv, data) {
+    var result = open(key, iv).decrypt(new Buffer(data));
+    if (formats.CIPHER_NODE == id) {
+      result = formats.pkcs7Unpad(result);
+      if (!result) throw new Error('Bad padding.');
+    }
+    else result = formats.zeroUnpad(result);
+    return result;
+  }
+};
@@ -0,0 +1,36 @@
+/**
+* File:    lib/ciphers/node-crypto.js
+*
+* Cipher provider backed by node's own crypto module. See bury.js for license.
+*  This is always available, and it can read every format the other providers write.
+*/
+'use strict'
+var crypto  = require('crypto');
+var formats = require('./formats.js');
+
+var ALGOS = {};
+ALGOS[formats.CIPHER_MCRYPT]   = 'aes-256-cbc';
+ALGOS[formats.CIPHER_CRYPTOJS] = 'aes-256-cfb';
+ALGOS[formats.CIPHER_NODE]     = 'aes-256-cbc';
+
+
+module.exports = {
+  name:   'node',
+  id:     formats.CIPHER_NODE,
+  reads:  [formats.CIPHER_NODE, formats.CIPHER_MCRYPT, formats.CIPHER_CRYPTOJS],
+  ivSize: formats.BLOCK_SIZE,
+
+  available: function() { return true; },
+
+  encrypt: function(key, iv, data) {
+    var cipher = crypto.createCipheriv(ALGOS[formats.CIPHER_NODE], new Buffer(key), new Buffer(iv));
+    return Buffer.concat([cipher.update(new Buffer(data)), cipher.final()]);
+  },
+
+  decrypt: function(id, key, iv, data) {
+    var decipher = crypto.createDecipheriv(ALGOS[id], new Buffer(key), new Buffer(iv));
+    decipher.setAutoPadding(formats.CIPHER_NODE == id);   // node knows PKCS#7, but not zero padding.
+    var result = Buffer.concat([decipher.update(new Buffer(data)), decipher.final()]);
+    return (formats.CIPHER_NODE == id) ? result : formats.zeroUnpad(result);
+  }
+};
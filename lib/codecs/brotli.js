@@ -0,0 +1,30 @@
+/**
+* File:    lib/codecs/brotli.js
+*
+* Compression codec backed by node's zlib. See bury.js for license.
+*  Brotli only showed up in node 10.16 and 11.7, so this may not be available.
+*/
+'use strict'
+var formats = require('./formats.js');
+var zlib    = require('zlib');
+
+
+module.exports = {
+  name: 'brotli',
+  id:   formats.CODEC_BROTLI,
+
+  available: function() {
+    return (typeof zlib.brotliCompressSync === 'function');
+  },
+
+  compress: function(data) {
+    var params = {};
+    params[zlib.constants.BROTLI_PARAM_QUALITY]   = zlib.constants.BROTLI_MAX_QUALITY;
+    params[zlib.constants.BROTLI_PARAM_SIZE_HINT] = data.length;
+    return zlib.brotliCompressSync(data, { params: params });
+  },
+
+  decompress: function(data) {
+    return zlib.brotliDecompressSync(data);
+  }
+};
@@ -0,0 +1,26 @@
+/**
+* File:    lib/codecs/bzip2.js
+*
+* Compression codec backed by compressjs. See bury.js for license.
+*/
+'use strict'
+var formats = require('./formats.js');
+var bzip2   = require('compressjs').Bzip2;
+
+
+module.exports = {
+  name: 'bzip2',
+  id:   formats.CODEC_BZIP2,
+
+  available: function() {
+    return true;
+  },
+
+  compress: function(data) {
+    return new Buffer(bzip2.compressFile(data, null, 9));
+  },
+
+  decompress: function(data) {
+    return new Buffer(bzip2.decompressFile(data));
+  }
+};
@@ -0,0 +1,26 @@
+/**
+* File:    lib/codecs/deflate.js
+*
+* Compression codec backed by node's zlib. See bury.js for license.
+*/
+'use strict'
+var formats = require('./formats.js');
+var zlib    = require('zlib');
+
+
+module.exports = {
+  name: 'deflate',
+  id:   formats.CODEC_DEFLATE,
+
+  available: function() {
+    return true;
+  },
+
+  compress: function(data) {
+    return zlib.deflateRawSync(data, { level: zlib.constants.Z_BEST_COMPRESSION });
+  },
+
+  decompress: function(data) {
+    return zlib.inflateRawSync(data);
+  }
+};
@@ -0,0 +1,21 @@
+/**
+* File:    lib/codecs/formats.js
+*
+* Compression codec ids. See bury.js for license.
+*/
+'use strict'
+
+// Codec ids. These go into the MESSAGE PARAMS of the carrier (Note5 in bury.js), so never renumber them.
+//   There are three bits for them, so there can be at most eight.
+var CODEC_BZIP2   = 0x00;   // What the compression bit always meant before there was a choice.
+var CODEC_DEFLATE = 0x01;   // Raw deflate (RFC 1951).
+var CODEC_BROTLI  = 0x02;
+var CODEC_LZMA    = 0x03;
+
+
+module.exports = {
+  CODEC_BZIP2:   CODEC_BZIP2,
+  CODEC_DEFLATE: CODEC_DEFLATE,
+  CODEC_BROTLI:  CODEC_BROTLI,
+  CODEC_LZMA:    CODEC_LZMA
+};
@@ -0,0 +1,96 @@
+/**
+* File:    lib/codecs/index.js
+*
+* Compression codecs. See bury.js for license.
+*
+* A codec wraps one compression backend. Each is identified by an id that is recorded in the
+*  carrier's MESSAGE PARAMS (see Note5 in bury.js), so the reader knows how to undo it.
+*
+* A codec looks like this...
+*   {
+*     name:        'bzip2',            // What the caller asks for with the 'compress' option.
+*     id:          CODEC_BZIP2,        // Recorded in the carrier.
+*     available:   function() {},      // Returns true if the backend is installed.
+*     compress:    function(data) {},  // Returns a Buffer.
+*     decompress:  function(data) {}   // Returns a Buffer. Must tolerate trailing zeros, since some ciphers pad with them.
+*   }
+*/
+'use strict'
+
+var formats = require('./formats.js');
+
+
+var CODECS = [
+  require('./bzip2.js'),
+  require('./deflate.js'),
+  require('./brotli.js'),
+  require('./lzma.js')
+];
+
+
+/**
+* Add a codec. Codecs registered later are preferred.
+*/
+var register = function(codec) {
+  CODECS.unshift(codec);
+};
+
+
+/**
+* Returns the named codec, or false if it is unknown or not installed.
+*/
+var byName = function(name) {
+  for (var i = 0; i < CODECS.length; i++) {
+    if ((CODECS[i].name == name) && CODECS[i].available()) return CODECS[i];
+  }
+  return false;
+};
+
+
+/**
+* Returns an installed codec with the given id, or false if there is none.
+*/
+var forId = function(id) {
+  for (var i = 0; i < CODECS.length; i++) {
+    if ((CODECS[i].id == id) && CODECS[i].available()) return CODECS[i];
+  }
+  return false;
+};
+
+
+/**
+* Returns the names of the codecs that are installed.
+*/
+var installed = function() {
+  return CODECS.filter(function(c) { return c.available(); }).map(function(c) { return c.name; });
+};
+
+
+/**
+* Try every installed codec on the data, and keep whichever does best.
+*  Returns {codec, data}, or false if none of them made the data any smaller.
+*/
+var smallest = function(data) {
+  var best = false;
+  for (var i = 0; i < CODECS.length; i++) {
+    if (!CODECS[i].available()) continue;
+    var packed = CODECS[i].compress(data);
+    if ((packed.length < data.length) && (!best || (packed.length < best.data.length))) {
+      best = { codec: CODECS[i], data: packed };
+    }
+  }
+  return best;
+};
+
+
+module.exports = {
+  CODEC_BZIP2:   formats.CODEC_BZIP2,
+  CODEC_DEFLATE: formats.CODEC_DEFLATE,
+  CODEC_BROTLI:  formats.CODEC_BROTLI,
+  CODEC_LZMA:    formats.CODEC_LZMA,
+  register:      register,
+  byName:        byName,
+  forId:         forId,
+  installed:     installed,
+  smallest:      smallest
+};
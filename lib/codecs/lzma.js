@@ -0,0 +1,43 @@
+/**
+* File:    lib/codecs/lzma.js
+*
+* Compression codec backed by the lzma module (LZMA-JS). See bury.js for license.
+*  The module is optional.
+*
+* LZMA-JS hands back a string instead of bytes whenever the output happens to be valid UTF-8.
+*  So the data is prefixed with 0xFF, which never is, before compressing, and the prefix is
+*  stripped again after decompressing.
+*/
+'use strict'
+var formats = require('./formats.js');
+var LZMA    = false;
+
+var NOT_UTF8 = new Buffer([0xFF]);
+
+
+module.exports = {
+  name: 'lzma',
+  id:   formats.CODEC_LZMA,
+
+  available: function() {
+    if (!LZMA) {
+      try {
+        LZMA = require('lzma');
+      }
+      catch (e) {
+        return false;
+      }
+    }
+    return true;
+  },
+
+  compress: function(data) {
+    return new Buffer(LZMA.compress(Buffer.concat([NOT_UTF8, new Buffer(data)]), 9));
+  },
+
+  decompress: function(data) {
+    var result = LZMA.decompress(Array.prototype.slice.call(data));
+    if (!Array.isArray(result)) throw new Error('Decompressed to something other than bytes.');
+    return new Buffer(result).slice(NOT_UTF8.length);
+  }
+};
@@ -0,0 +1,96 @@
+/**
+* File:    lib/ecc/index.js
+*
+* Error correction for the payload. See Note14 in bury.js, and bury.js for license.
+*
+* The data is cut into as few Reed-Solomon codewords as will hold it, of as nearly equal size as possible,
+*  each with nsym parity bytes. The codewords are then interleaved byte by byte, so that damage to a run of
+*  neighboring bytes is spread across all of them.
+*/
+'use strict'
+
+var rs = require('./reed-solomon.js');
+
+var MIN_SYMBOLS = 2;     // Fewer parity bytes than this can't correct anything.
+var MAX_SYMBOLS = 128;   // More than this would be mostly parity.
+
+
+/**
+* The sizes of the data in each codeword.
+*/
+var blockSizes = function(length, nsym) {
+  var count = Math.ceil(length / (255 - nsym));
+  var sizes = [];
+  for (var i = 0; i < count; i++) {
+    sizes.push(Math.floor(length / count) + ((i < (length % count)) ? 1 : 0));
+  }
+  return sizes;
+};
+
+
+/**
+* How long is data of the given length, once it has been encoded?
+*/
+var encodedLength = function(length, nsym) {
+  return length + (blockSizes(length, nsym).length * nsym);
+};
+
+
+/**
+* Encode the data (a Buffer) with nsym parity bytes per codeword.
+*  Returns a Buffer of encodedLength() bytes.
+*/
+var encode = function(data, nsym) {
+  var codewords = [];
+  var offset = 0;
+  blockSizes(data.length, nsym).forEach(function(size) {
+    var block = Array.prototype.slice.call(data, offset, offset + size);
+    codewords.push(block.concat(rs.parity(block, nsym)));
+    offset += size;
+  });
+  var out = Buffer.alloc(encodedLength(data.length, nsym));
+  var n   = 0;
+  for (var i = 0; i < 255; i++) {
+    for (var j = 0; j < codewords.length; j++) {
+      if (i < codewords[j].length) out[n++] = codewords[j][i];
+    }
+  }
+  return out;
+};
+
+
+/**
+* Undo encode(), correcting what can be corrected. Takes the encoded bytes (extra bytes past the end are
+*  ignored), and the length of the original data.
+*  Returns {data, corrected}, with the data as an Array of bytes, or false if a codeword has more errors
+*  than it can correct.
+*/
+var decode = function(bytes, length, nsym) {
+  var sizes = blockSizes(length, nsym);
+  if (bytes.length < encodedLength(length, nsym)) return false;
+  var codewords = sizes.map(function(size) { return []; });
+  var n = 0;
+  for (var i = 0; i < 255; i++) {
+    for (var j = 0; j < sizes.length; j++) {
+      if (i < sizes[j] + nsym) codewords[j].push(bytes[n++]);
+    }
+  }
+  var corrected = 0;
+  for (j = 0; j < codewords.length; j++) {
+    var fixed = rs.correct(codewords[j], nsym);
+    if (fixed < 0) return false;
+    corrected += fixed;
+  }
+  var data = [];
+  for (j = 0; j < codewords.length; j++) data = data.concat(codewords[j].slice(0, sizes[j]));
+  return { data: data, corrected: corrected };
+};
+
+
+module.exports = {
+  MIN_SYMBOLS:   MIN_SYMBOLS,
+  MAX_SYMBOLS:   MAX_SYMBOLS,
+  encodedLength: encodedLength,
+  encode:        encode,
+  decode:        decode
+};
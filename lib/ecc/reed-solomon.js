@@ -0,0 +1,137 @@
+/**
+* File:    lib/ecc/reed-solomon.js
+*
+* Reed-Solomon codes over GF(256). See bury.js for license.
+*
+* Codewords are at most 255 bytes, of which the last nsym are parity. The generator polynomial has the
+*  roots 2^0 through 2^(nsym - 1). Up to nsym / 2 bad bytes anywhere in a codeword can be corrected.
+*  Shorter codewords are shortened codes, as if they were led by zeros.
+*/
+'use strict'
+
+var gf = require('../gf256.js');
+
+
+var GENERATORS = {};   // Generator polynomials, highest power first, by nsym.
+
+var generator = function(nsym) {
+  if (!GENERATORS[nsym]) {
+    var g = [1];
+    for (var i = 0; i < nsym; i++) {
+      // g = g * (x - 2^i)
+      var next = new Array(g.length + 1).fill(0);
+      for (var j = 0; j < g.length; j++) {
+        next[j]     ^= g[j];
+        next[j + 1] ^= gf.mul(g[j], gf.alpha(i));
+      }
+      g = next;
+    }
+    GENERATORS[nsym] = g;
+  }
+  return GENERATORS[nsym];
+};
+
+
+/**
+* Returns the nsym parity bytes for the data, as an Array.
+*/
+var parity = function(data, nsym) {
+  var g   = generator(nsym);
+  var rem = new Array(nsym).fill(0);
+  for (var i = 0; i < data.length; i++) {
+    var coef = data[i] ^ rem[0];
+    rem.shift();
+    rem.push(0);
+    if (coef) {
+      for (var j = 0; j < nsym; j++) rem[j] ^= gf.mul(g[j + 1], coef);
+    }
+  }
+  return rem;
+};
+
+
+/**
+* Correct a codeword (data followed by its parity) in place.
+*  Returns the number of bytes corrected, or -1 if there are more errors than the code can find.
+*/
+var correct = function(codeword, nsym) {
+  var n = codeword.length;
+
+  // Syndromes. The byte at index i is the coefficient of x^(n - 1 - i).
+  var synd  = [];
+  var clean = true;
+  for (var j = 0; j < nsym; j++) {
+    var s = 0;
+    for (var i = 0; i < n; i++) s = gf.mul(s, gf.alpha(j)) ^ codeword[i];
+    synd.push(s);
+    if (s) clean = false;
+  }
+  if (clean) return 0;
+
+  // Berlekamp-Massey, for the error locator. Lowest power first.
+  var locator = [1];
+  var prior   = [1];
+  var errors  = 0;
+  var shift   = 1;
+  var scale   = 1;
+  for (var r = 0; r < nsym; r++) {
+    var delta = synd[r];
+    for (i = 1; i <= errors; i++) delta ^= gf.mul(locator[i] || 0, synd[r - i]);
+    if (delta == 0) {
+      shift++;
+      continue;
+    }
+    var factor  = gf.div(delta, scale);
+    var updated = locator.slice();
+    for (i = 0; i < prior.length; i++) {
+      while (updated.length <= i + shift) updated.push(0);
+      updated[i + shift] ^= gf.mul(factor, prior[i]);
+    }
+    if (2 * errors <= r) {
+      prior  = locator;
+      errors = r + 1 - errors;
+      scale  = delta;
+      shift  = 1;
+    }
+    else {
+      shift++;
+    }
+    locator = updated;
+  }
+  if (2 * errors > nsym) return -1;
+
+  var evaluate = function(poly, x) {   // Lowest power first.
+    var y = 0;
+    for (var k = poly.length - 1; k >= 0; k--) y = gf.mul(y, x) ^ poly[k];
+    return y;
+  };
+
+  // Chien search. An error at index i has the locator X = 2^(n - 1 - i), and X^-1 is a root.
+  var found = [];
+  for (i = 0; i < n; i++) {
+    if (evaluate(locator, gf.alpha(i + 1 - n)) == 0) found.push(i);
+  }
+  if (found.length != errors) return -1;
+
+  // Forney, for the error values. omega = synd * locator mod x^nsym.
+  var omega = new Array(nsym).fill(0);
+  for (i = 0; i < nsym; i++) {
+    for (j = 0; j < locator.length && (i + j) < nsym; j++) omega[i + j] ^= gf.mul(synd[i], locator[j]);
+  }
+  for (var e = 0; e < found.length; e++) {
+    var x_inv = gf.alpha(found[e] + 1 - n);
+    var denom = 1;
+    for (var f = 0; f < found.length; f++) {
+      if (f != e) denom = gf.mul(denom, 1 ^ gf.mul(gf.alpha(n - 1 - found[f]), x_inv));
+    }
+    if (!denom) return -1;
+    codeword[found[e]] ^= gf.div(evaluate(omega, x_inv), denom);
+  }
+  return found.length;
+};
+
+
+module.exports = {
+  parity:  parity,
+  correct: correct
+};
@@ -0,0 +1,51 @@
+/**
+* File:    lib/gf256.js
+*
+* Arithmetic in GF(2^8), with the field polynomial x^8 + x^4 + x^3 + x^2 + 1 (0x11D). See bury.js for license.
+*/
+'use strict'
+
+var EXP = new Uint8Array(512);   // Doubled, so that a sum of two logs needs no reduction.
+var LOG = new Uint8Array(256);
+
+(function() {
+  var x = 1;
+  for (var i = 0; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= 0x11D;
+  }
+  for (i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+})();
+
+
+var mul = function(a, b) {
+  return (a && b) ? EXP[LOG[a] + LOG[b]] : 0;
+};
+
+var div = function(a, b) {
+  if (!b) throw new Error('Division by zero in GF(256).');
+  return a ? EXP[LOG[a] + 255 - LOG[b]] : 0;
+};
+
+var inverse = function(a) {
+  return div(1, a);
+};
+
+/**
+* The generator (2) raised to the given power, which may be negative.
+*/
+var alpha = function(power) {
+  return EXP[((power % 255) + 255) % 255];
+};
+
+
+module.exports = {
+  EXP:     EXP,
+  LOG:     LOG,
+  mul:     mul,
+  div:     div,
+  inverse: inverse,
+  alpha:   alpha
+};
@@ -0,0 +1,446 @@
+/**
+* File:    lib/jpeg/decode.js
+*
+* Reads the quantized DCT coefficients out of a JPEG. See bury.js for license.
+*
+* Baseline and progressive Huffman-coded JPEGs with 8-bit samples are supported. Nothing is dequantized
+*  or transformed, since the coefficients are all we want. Each component keeps its coefficients in an
+*  Int16Array, 64 per block in zigzag order, with the blocks in raster order across the MCU-padded width.
+*/
+'use strict'
+
+
+/**
+* Build a decoding table from the code lengths and values of a DHT segment. See Annex C and F.2.2.3
+*  of the JPEG standard.
+*/
+var buildDecoder = function(lengths, values) {
+  var maxcode = new Int32Array(18);
+  var valptr  = new Int32Array(17);
+  var mincode = new Int32Array(17);
+  var code = 0;
+  var k    = 0;
+  for (var l = 1; l <= 16; l++) {
+    valptr[l]  = k;
+    mincode[l] = code;
+    code += lengths[l - 1];
+    k    += lengths[l - 1];
+    maxcode[l] = lengths[l - 1] ? (code - 1) : -1;
+    code <<= 1;
+  }
+  maxcode[17] = 0x7FFFFFFF;   // Stops a corrupt stream from running off the end.
+  return { maxcode: maxcode, valptr: valptr, mincode: mincode, values: values };
+};
+
+
+/**
+* Reads bits out of the entropy-coded data of a scan, undoing the byte stuffing. Past the end of the
+*  data, it reads zeros.
+*/
+var BitReader = function(data, start, end) {
+  var pos   = start;
+  var bits  = 0;
+  var count = 0;
+
+  var readBit = function() {
+    if (count == 0) {
+      bits = 0;
+      if (pos < end) {
+        bits = data[pos++];
+        if ((0xFF == bits) && (0x00 == data[pos])) pos++;
+      }
+      count = 8;
+    }
+    count--;
+    return (bits >> count) & 0x01;
+  };
+
+  var receive = function(length) {
+    var n = 0;
+    while (length-- > 0) n = (n << 1) | readBit();
+    return n;
+  };
+
+  return {
+    readBit: readBit,
+    receive: receive,
+
+    // Value of the given bit length, with its sign extended. See F.2.2.1.
+    receiveExtend: function(length) {
+      if (length == 0) return 0;
+      var n = receive(length);
+      return (n < (1 << (length - 1))) ? (n - (1 << length) + 1) : n;
+    },
+
+    decode: function(table) {
+      var code = readBit();
+      var l    = 1;
+      while (code > table.maxcode[l]) {
+        code = (code << 1) | readBit();
+        l++;
+      }
+      if (l > 16) throw new Error('Bad Huffman code.');
+      return table.values[table.valptr[l] + code - table.mincode[l]];
+    },
+
+    // Skip to the byte after the next restart marker.
+    restart: function() {
+      count = 0;
+      while ((pos < end - 1) && !((0xFF == data[pos]) && (data[pos + 1] >= 0xD0) && (data[pos + 1] <= 0xD7))) pos++;
+      pos += 2;
+    }
+  };
+};
+
+
+/**
+* Where does the entropy-coded data that starts at the given offset end? At the first marker that isn't
+*  a restart marker.
+*/
+var scanEnd = function(data, offset) {
+  while (offset < data.length - 1) {
+    if ((0xFF == data[offset]) && (0x00 != data[offset + 1]) && (0xFF != data[offset + 1]) &&
+        !((data[offset + 1] >= 0xD0) && (data[offset + 1] <= 0xD7))) {
+      return offset;
+    }
+    offset++;
+  }
+  return data.length;
+};
+
+
+/**
+* Decode one scan into the coefficients of its components. See Annex G for the progressive cases.
+*/
+var decodeScan = function(data, start, end, frame, components, reset_interval, ss, se, ah, al) {
+  var reader = BitReader(data, start, end);
+  var eobrun = 0;
+  var state  = 0;   // For AC refinement, which carries over from one block to the next.
+  var next_value = 0;
+
+  var decodeBaseline = function(c, zz, off) {
+    c.pred += reader.receiveExtend(reader.decode(c.dc_table));
+    zz[off] = c.pred;
+    var k = 1;
+    while (k < 64) {
+      var rs = reader.decode(c.ac_table);
+      var s  = rs & 0x0F;
+      var r  = rs >> 4;
+      if (s == 0) {
+        if (r < 15) break;
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) throw new Error('Coefficient index out of range.');
+      zz[off + k] = reader.receiveExtend(s);
+      k++;
+    }
+  };
+
+  var decodeDCFirst = function(c, zz, off) {
+    c.pred += reader.receiveExtend(reader.decode(c.dc_table)) * (1 << al);
+    zz[off] = c.pred;
+  };
+
+  var decodeDCRefine = function(c, zz, off) {
+    if (reader.readBit()) zz[off] |= (1 << al);
+  };
+
+  var decodeACFirst = function(c, zz, off) {
+    if (eobrun > 0) {
+      eobrun--;
+      return;
+    }
+    var k = ss;
+    while (k <= se) {
+      var rs = reader.decode(c.ac_table);
+      var s  = rs & 0x0F;
+      var r  = rs >> 4;
+      if (s == 0) {
+        if (r < 15) {
+          eobrun = reader.receive(r) + (1 << r) - 1;
+          break;
+        }
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) throw new Error('Coefficient index out of range.');
+      zz[off + k] = reader.receiveExtend(s) * (1 << al);
+      k++;
+    }
+  };
+
+  var decodeACRefine = function(c, zz, off) {
+    var k = ss;
+    var r = 0;
+    while (k <= se) {
+      var z    = off + k;
+      var sign = (zz[z] < 0) ? -1 : 1;
+      switch (state) {
+        case 0:   // Read the next run.
+          var rs = reader.decode(c.ac_table);
+          var s  = rs & 0x0F;
+          r = rs >> 4;
+          if (s == 0) {
+            if (r < 15) {
+              eobrun = reader.receive(r) + (1 << r);
+              state  = 4;
+            }
+            else {
+              r     = 16;
+              state = 1;
+            }
+          }
+          else {
+            if (s != 1) throw new Error('Bad AC refinement.');
+            next_value = reader.receiveExtend(s);
+            state = r ? 2 : 3;
+          }
+          continue;
+        case 1:   // Skipping zeros.
+        case 2:   // Skipping zeros, then setting one.
+          if (zz[z]) {
+            zz[z] += sign * (reader.readBit() << al);
+          }
+          else {
+            r--;
+            if (r == 0) state = (state == 2) ? 3 : 0;
+          }
+          break;
+        case 3:   // Setting the next zero.
+          if (zz[z]) {
+            zz[z] += sign * (reader.readBit() << al);
+          }
+          else {
+            zz[z] = next_value * (1 << al);
+            state = 0;
+          }
+          break;
+        case 4:   // End of band. Only refinements.
+          if (zz[z]) zz[z] += sign * (reader.readBit() << al);
+          break;
+      }
+      k++;
+    }
+    if (state == 4) {
+      eobrun--;
+      if (eobrun == 0) state = 0;
+    }
+  };
+
+  var decodeBlock;
+  if (!frame.progressive)  decodeBlock = decodeBaseline;
+  else if (ss == 0)        decodeBlock = (ah == 0) ? decodeDCFirst : decodeDCRefine;
+  else                     decodeBlock = (ah == 0) ? decodeACFirst : decodeACRefine;
+
+  var n;
+  var restart = function() {
+    reader.restart();
+    eobrun = 0;
+    state  = 0;
+    for (n = 0; n < components.length; n++) components[n].pred = 0;
+  };
+  for (n = 0; n < components.length; n++) components[n].pred = 0;
+
+  var units = 0;   // MCUs decoded since the last restart.
+  if (components.length == 1) {
+    // A scan of one component isn't interleaved, and only covers the blocks that hold the image.
+    var c = components[0];
+    for (var row = 0; row < c.blocksPerColumn; row++) {
+      for (var col = 0; col < c.blocksPerLine; col++) {
+        if (reset_interval && (units == reset_interval)) {
+          restart();
+          units = 0;
+        }
+        decodeBlock(c, c.coefficients, ((row * c.blocksPerLineForMcu) + col) * 64);
+        units++;
+      }
+    }
+  }
+  else {
+    for (var mcu_row = 0; mcu_row < frame.mcusPerColumn; mcu_row++) {
+      for (var mcu_col = 0; mcu_col < frame.mcusPerLine; mcu_col++) {
+        if (reset_interval && (units == reset_interval)) {
+          restart();
+          units = 0;
+        }
+        for (n = 0; n < components.length; n++) {
+          var comp = components[n];
+          for (var v = 0; v < comp.v; v++) {
+            for (var h = 0; h < comp.h; h++) {
+              var block = (((mcu_row * comp.v) + v) * comp.blocksPerLineForMcu) + (mcu_col * comp.h) + h;
+              decodeBlock(comp, comp.coefficients, block * 64);
+            }
+          }
+        }
+        units++;
+      }
+    }
+  }
+};
+
+
+/**
+* Decode a JPEG (as a Buffer) into its coefficients.
+*  Returns...
+*   {
+*     width, height, mcusPerLine, mcusPerColumn,
+*     components:          [{id, h, v, tq, blocksPerLine, blocksPerColumn, blocksPerLineForMcu, coefficients}, ...]
+*     quantizationTables:  [{id, precision, values}, ...]    // Values in zigzag order, as in the file.
+*     segments:            [{marker, data}, ...]              // APPn and COM segments, to be written back as they were.
+*   }
+*  Throws if the JPEG is malformed, or uses a coding process we don't support.
+*/
+var decode = function(data) {
+  var frame  = false;
+  var qts    = [];
+  var dc_tables = [];
+  var ac_tables = [];
+  var segments  = [];
+  var reset_interval = 0;
+
+  if ((0xFF != data[0]) || (0xD8 != data[1])) throw new Error('Not a JPEG.');
+  var offset = 2;
+  while (offset < data.length) {
+    if (0xFF != data[offset]) {
+      offset++;   // Garbage between segments. Tolerated, as most decoders do.
+      continue;
+    }
+    var marker = data[offset + 1];
+    offset += 2;
+    if (0xFF == marker) {
+      offset--;   // Fill byte.
+      continue;
+    }
+    if (0xD9 == marker) break;                                    // EOI
+    if ((0x01 == marker) || ((marker >= 0xD0) && (marker <= 0xD7))) continue;  // TEM and stray RSTn have no length.
+
+    var length  = data.readUInt16BE(offset);
+    var segment = data.slice(offset + 2, offset + length);
+    offset += length;
+
+    if (((marker >= 0xE0) && (marker <= 0xEF)) || (0xFE == marker)) {
+      segments.push({ marker: marker, data: segment });
+    }
+    else if (0xDB == marker) {      // DQT
+      var p = 0;
+      while (p < segment.length) {
+        var precision = segment[p] >> 4;
+        var table     = { id: segment[p] & 0x0F, precision: precision, values: [] };
+        p++;
+        for (var k = 0; k < 64; k++) {
+          table.values.push(precision ? segment.readUInt16BE(p) : segment[p]);
+          p += precision ? 2 : 1;
+        }
+        qts = qts.filter(function(t) { return t.id != table.id; });
+        qts.push(table);
+      }
+    }
+    else if ((0xC0 == marker) || (0xC1 == marker) || (0xC2 == marker)) {   // SOF0, SOF1, SOF2
+      if (frame) throw new Error('More than one frame.');
+      if (8 != segment[0]) throw new Error('Only 8-bit samples are supported.');
+      frame = {
+        progressive: (0xC2 == marker),
+        height:      segment.readUInt16BE(1),
+        width:       segment.readUInt16BE(3),
+        components:  []
+      };
+      if (!frame.width || !frame.height) throw new Error('The image has no size.');
+      var max_h = 1;
+      var max_v = 1;
+      for (var i = 0; i < segment[5]; i++) {
+        var c = {
+          id: segment[6 + (i * 3)],
+          h:  segment[7 + (i * 3)] >> 4,
+          v:  segment[7 + (i * 3)] & 0x0F,
+          tq: segment[8 + (i * 3)]
+        };
+        if (!c.h || !c.v || (c.h > 4) || (c.v > 4)) throw new Error('Bad sampling factors.');
+        max_h = Math.max(max_h, c.h);
+        max_v = Math.max(max_v, c.v);
+        frame.components.push(c);
+      }
+      frame.mcusPerLine   = Math.ceil(frame.width / (8 * max_h));
+      frame.mcusPerColumn = Math.ceil(frame.height / (8 * max_v));
+      frame.components.forEach(function(c) {
+        c.blocksPerLine       = Math.ceil(Math.ceil((frame.width * c.h) / max_h) / 8);
+        c.blocksPerColumn     = Math.ceil(Math.ceil((frame.height * c.v) / max_v) / 8);
+        c.blocksPerLineForMcu = frame.mcusPerLine * c.h;
+        c.coefficients        = new Int16Array(frame.mcusPerColumn * c.v * c.blocksPerLineForMcu * 64);
+      });
+    }
+    else if ((marker >= 0xC3) && (marker <= 0xCF) && (0xC4 != marker) && (0xC8 != marker) && (0xCC != marker)) {
+      throw new Error('Only baseline and progressive Huffman coding are supported.');
+    }
+    else if (0xCC == marker) {
+      throw new Error('Arithmetic coding is not supported.');
+    }
+    else if (0xC4 == marker) {      // DHT
+      var q = 0;
+      while (q < segment.length) {
+        var tc = segment[q] >> 4;
+        var th = segment[q] & 0x0F;
+        var lengths = Array.prototype.slice.call(segment, q + 1, q + 17);
+        var count   = lengths.reduce(function(a, b) { return a + b; }, 0);
+        var values  = Array.prototype.slice.call(segment, q + 17, q + 17 + count);
+        if (tc) ac_tables[th] = buildDecoder(lengths, values);
+        else    dc_tables[th] = buildDecoder(lengths, values);
+        q += 17 + count;
+      }
+    }
+    else if (0xDD == marker) {      // DRI
+      reset_interval = segment.readUInt16BE(0);
+    }
+    else if (0xDA == marker) {      // SOS
+      if (!frame) throw new Error('Scan before frame.');
+      var scan_components = [];
+      for (var j = 0; j < segment[0]; j++) {
+        var id   = segment[1 + (j * 2)];
+        var comp = frame.components.filter(function(c) { return c.id == id; })[0];
+        if (!comp) throw new Error('Scan names an unknown component.');
+        comp.dc_table = dc_tables[segment[2 + (j * 2)] >> 4];
+        comp.ac_table = ac_tables[segment[2 + (j * 2)] & 0x0F];
+        scan_components.push(comp);
+      }
+      var tail = 1 + (segment[0] * 2);
+      var ss = segment[tail];
+      var se = segment[tail + 1];
+      var ah = segment[tail + 2] >> 4;
+      var al = segment[tail + 2] & 0x0F;
+      var end = scanEnd(data, offset);
+      decodeScan(data, offset, end, frame, scan_components, reset_interval, ss, se, ah, al);
+      offset = end;
+    }
+    else if (0xDC == marker) {
+      throw new Error('DNL markers are not supported.');
+    }
+    // Anything else (DAC aside, which we've refused) can be skipped.
+  }
+  if (!frame) throw new Error('No frame.');
+
+  return {
+    width:         frame.width,
+    height:        frame.height,
+    mcusPerLine:   frame.mcusPerLine,
+    mcusPerColumn: frame.mcusPerColumn,
+    components:    frame.components.map(function(c) {
+      return {
+        id:                  c.id,
+        h:                   c.h,
+        v:                   c.v,
+        tq:                  c.tq,
+        blocksPerLine:       c.blocksPerLine,
+        blocksPerColumn:     c.blocksPerColumn,
+        blocksPerLineForMcu: c.blocksPerLineForMcu,
+        coefficients:        c.coefficients
+      };
+    }),
+    quantizationTables: qts,
+    segments:      segments
+  };
+};
+
+
+module.exports = decode;
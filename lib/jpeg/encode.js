@@ -0,0 +1,249 @@
+/**
+* File:    lib/jpeg/encode.js
+*
+* Writes quantized DCT coefficients back out as a baseline JPEG. See bury.js for license.
+*
+* Takes what decode.js returns. The quantization tables, sampling factors, and APPn and COM segments are
+*  written back as they were. The Huffman tables are the typical ones from Annex K of the JPEG standard,
+*  which is what most encoders use. Progressive JPEGs come back out as baseline.
+*/
+'use strict'
+
+
+// Annex K.3. Code lengths (how many codes of each length from 1 to 16), then the values in code order.
+var DC_LUMINANCE = {
+  lengths: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+  values:  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+};
+
+var DC_CHROMINANCE = {
+  lengths: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0],
+  values:  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+};
+
+var AC_LUMINANCE = {
+  lengths: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+  values:  [
+    0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+    0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0,
+    0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+    0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+    0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+    0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+    0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+    0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5,
+    0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+    0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+    0xf9, 0xfa
+  ]
+};
+
+var AC_CHROMINANCE = {
+  lengths: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+  values:  [
+    0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+    0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0,
+    0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+    0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+    0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+    0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+    0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5,
+    0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3,
+    0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda,
+    0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+    0xf9, 0xfa
+  ]
+};
+
+
+/**
+* Assign the codes for a table. See Annex C.
+*  Returns {code: [...], size: [...]}, indexed by value.
+*/
+var buildEncoder = function(table) {
+  var code = [];
+  var size = [];
+  var next = 0;
+  var k    = 0;
+  for (var l = 1; l <= 16; l++) {
+    for (var n = 0; n < table.lengths[l - 1]; n++) {
+      code[table.values[k]] = next++;
+      size[table.values[k]] = l;
+      k++;
+    }
+    next <<= 1;
+  }
+  return { code: code, size: size };
+};
+
+
+/**
+* Collects bytes, and packs bits into them with byte stuffing.
+*/
+var ByteWriter = function() {
+  var chunks = [];
+  var bits   = 0;
+  var count  = 0;
+  var entropy = [];
+
+  var flushEntropy = function() {
+    if (entropy.length) chunks.push(Buffer.from(entropy));
+    entropy = [];
+  };
+
+  return {
+    bytes: function(buf) {
+      flushEntropy();
+      chunks.push(Buffer.from(buf));
+    },
+
+    segment: function(marker, data) {
+      var head = Buffer.alloc(4);
+      head[0] = 0xFF;
+      head[1] = marker;
+      head.writeUInt16BE(data.length + 2, 2);
+      this.bytes(head);
+      this.bytes(data);
+    },
+
+    bits: function(value, length) {
+      for (var i = length - 1; i >= 0; i--) {
+        bits = (bits << 1) | ((value >> i) & 0x01);
+        count++;
+        if (count == 8) {
+          entropy.push(bits);
+          if (0xFF == bits) entropy.push(0x00);
+          bits  = 0;
+          count = 0;
+        }
+      }
+    },
+
+    // Pad the last byte of entropy-coded data with ones. See F.1.2.3.
+    align: function() {
+      if (count) this.bits(0xFF, 8 - count);
+    },
+
+    toBuffer: function() {
+      flushEntropy();
+      return Buffer.concat(chunks);
+    }
+  };
+};
+
+
+/**
+* How many bits does the magnitude of the value take? See F.1.2.1.
+*/
+var category = function(value) {
+  var magnitude = Math.abs(value);
+  var size = 0;
+  while (magnitude) {
+    size++;
+    magnitude >>= 1;
+  }
+  return size;
+};
+
+
+/**
+* Encode the coefficients (as decode.js returns them) into a baseline JPEG.
+*  Returns a Buffer. Throws if a coefficient is out of range for 8-bit samples.
+*/
+var encode = function(jpeg) {
+  var out = ByteWriter();
+  out.bytes([0xFF, 0xD8]);
+  jpeg.segments.forEach(function(s) { out.segment(s.marker, s.data); });
+
+  var extended = false;   // 16-bit quantization tables need SOF1.
+  jpeg.quantizationTables.forEach(function(t) {
+    var dqt = [(t.precision << 4) | t.id];
+    t.values.forEach(function(v) {
+      if (t.precision) dqt.push(v >> 8);
+      dqt.push(v & 0xFF);
+    });
+    if (t.precision) extended = true;
+    out.segment(0xDB, Buffer.from(dqt));
+  });
+
+  var sof = [8, jpeg.height >> 8, jpeg.height & 0xFF, jpeg.width >> 8, jpeg.width & 0xFF, jpeg.components.length];
+  jpeg.components.forEach(function(c) { sof.push(c.id, (c.h << 4) | c.v, c.tq); });
+  out.segment(extended ? 0xC1 : 0xC0, Buffer.from(sof));
+
+  var tables = [[0x00, DC_LUMINANCE], [0x10, AC_LUMINANCE], [0x01, DC_CHROMINANCE], [0x11, AC_CHROMINANCE]];
+  var needed = (jpeg.components.length > 1) ? 4 : 2;
+  for (var t = 0; t < needed; t++) {
+    out.segment(0xC4, Buffer.from([tables[t][0]].concat(tables[t][1].lengths, tables[t][1].values)));
+  }
+
+  var sos = [jpeg.components.length];
+  jpeg.components.forEach(function(c, n) { sos.push(c.id, n ? 0x11 : 0x00); });
+  sos.push(0, 63, 0);
+  out.segment(0xDA, Buffer.from(sos));
+
+  var luminance   = { dc: buildEncoder(DC_LUMINANCE),   ac: buildEncoder(AC_LUMINANCE) };
+  var chrominance = { dc: buildEncoder(DC_CHROMINANCE), ac: buildEncoder(AC_CHROMINANCE) };
+
+  var emit = function(table, symbol) {
+    if (!table.size[symbol]) throw new Error('Coefficient out of range for baseline coding.');
+    out.bits(table.code[symbol], table.size[symbol]);
+  };
+
+  var encodeBlock = function(c, off, codes) {
+    var zz   = c.coefficients;
+    var diff = zz[off] - c.pred;
+    c.pred   = zz[off];
+    var size = category(diff);
+    emit(codes.dc, size);
+    out.bits((diff < 0) ? (diff - 1) : diff, size);
+    var run = 0;
+    for (var k = 1; k < 64; k++) {
+      var value = zz[off + k];
+      if (value == 0) {
+        run++;
+        continue;
+      }
+      while (run > 15) {
+        emit(codes.ac, 0xF0);   // ZRL
+        run -= 16;
+      }
+      size = category(value);
+      emit(codes.ac, (run << 4) | size);
+      out.bits((value < 0) ? (value - 1) : value, size);
+      run = 0;
+    }
+    if (run) emit(codes.ac, 0x00);   // EOB
+  };
+
+  var states = jpeg.components.map(function(c, n) {
+    return { coefficients: c.coefficients, pred: 0, codes: n ? chrominance : luminance };
+  });
+  if (jpeg.components.length == 1) {
+    var c = jpeg.components[0];
+    for (var row = 0; row < c.blocksPerColumn; row++) {
+      for (var col = 0; col < c.blocksPerLine; col++) {
+        encodeBlock(states[0], ((row * c.blocksPerLineForMcu) + col) * 64, luminance);
+      }
+    }
+  }
+  else {
+    for (var mcu_row = 0; mcu_row < jpeg.mcusPerColumn; mcu_row++) {
+      for (var mcu_col = 0; mcu_col < jpeg.mcusPerLine; mcu_col++) {
+        jpeg.components.forEach(function(comp, n) {
+          for (var v = 0; v < comp.v; v++) {
+            for (var h = 0; h < comp.h; h++) {
+              var block = (((mcu_row * comp.v) + v) * comp.blocksPerLineForMcu) + (mcu_col * comp.h) + h;
+              encodeBlock(states[n], block * 64, states[n].codes);
+            }
+          }
+        });
+      }
+    }
+  }
+  out.align();
+  out.bytes([0xFF, 0xD9]);
+  return out.toBuffer();
+};
+
+
+module.exports = encode;
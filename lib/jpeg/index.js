@@ -0,0 +1,102 @@
+/**
+* File:    lib/jpeg/index.js
+*
+* JPEG carriers. See bury.js for license.
+*
+* A JPEG is opened as its quantized DCT coefficients, and the usable ones (see Note13 in bury.js) are laid
+*  out as a single row of pixels, three coefficients to a pixel. The result is a carrier (see lib/carrier), so
+*  everything that lays bits into pixels works on it unchanged...
+*   getPixel(x, y)              // Each channel is the low byte of its coefficient.
+*   setPixel(x, y, color)       // Only the least-significant bit of each channel is taken.
+*   resize()                    // Always false. Coefficients can't be scaled.
+*   encode('jpeg')              // Returns the JPEG as a Buffer.
+* ...and...
+*   dct                         // Always true. Tells a coefficient carrier from one of pixels.
+*/
+'use strict'
+
+var decode = require('./decode.js');
+var encode = require('./encode.js');
+
+
+/**
+* Does this coefficient have room for a bit? DC coefficients are left alone, since changes to them show up
+*  as blocky shifts in brightness. So are 0 and 1, since a 1 written as a 0 would vanish from the reader's
+*  count. Anything else keeps its place under a change to the least-significant bit.
+*/
+var usable = function(k, value) {
+  return (k > 0) && (value != 0) && (value != 1);
+};
+
+
+/**
+* A carrier backed by the coefficients of a decoded JPEG.
+*/
+function CoefficientImage(jpeg) {
+  var slots = [];   // [component, offset] for each usable coefficient, in order.
+  jpeg.components.forEach(function(c, n) {
+    for (var row = 0; row < c.blocksPerColumn; row++) {
+      for (var col = 0; col < c.blocksPerLine; col++) {
+        var off = ((row * c.blocksPerLineForMcu) + col) * 64;
+        for (var k = 0; k < 64; k++) {
+          if (usable(k, c.coefficients[off + k])) slots.push(n, off + k);
+        }
+      }
+    }
+  });
+  var components = jpeg.components.map(function(c) { return c.coefficients; });
+
+  this.dct       = true;
+  this.trueColor = true;
+  this.format    = 'jpeg';
+  this.width     = Math.floor(slots.length / 6);
+  this.height    = 1;
+
+  var coefficient = function(x, channel) {
+    var s = ((x * 3) + channel) * 2;
+    return { array: components[slots[s]], index: slots[s + 1] };
+  };
+
+  this.getPixel = function(x, y) {
+    var color = 0;
+    for (var channel = 0; channel < 3; channel++) {
+      var c = coefficient(x, channel);
+      color = (color << 8) | (c.array[c.index] & 0xFF);
+    }
+    return color;
+  };
+
+  this.setPixel = function(x, y, color) {
+    for (var channel = 0; channel < 3; channel++) {
+      var c   = coefficient(x, channel);
+      var bit = (color >> (16 - (channel * 8))) & 0x01;
+      c.array[c.index] = (c.array[c.index] & ~0x01) | bit;
+    }
+  };
+
+  this.resize = function() {
+    return false;
+  };
+
+  this.encode = function(format) {
+    return ('jpeg' == format) ? encode(jpeg) : false;
+  };
+
+  this.destroy = function() {};
+}
+
+
+/**
+* Open a JPEG (a Buffer) as a carrier.
+*  Throws if it can't be decoded.
+*/
+var open = function(data) {
+  return new CoefficientImage(decode(data));
+};
+
+
+module.exports = {
+  open:   open,
+  decode: decode,
+  encode: encode
+};
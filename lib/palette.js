@@ -0,0 +1,109 @@
+/**
+* File:    lib/palette.js
+*
+* Palette carriers (GIF, and 8-bit PNG). See Note17 in bury.js, and bury.js for license.
+*
+* The palette is sorted by luminance, and each pixel carries one bit: the parity of its color's place in that
+*  order. To change the bit, the pixel is moved to the color next to its own (places 2k and 2k + 1 are
+*  partners), which is always close in brightness. The palette itself is never changed. The usable pixels
+*  are laid out as a single row of pixels, three to a pixel, so that everything in bury.js that lays bits
+*  into pixels works on it unchanged. The image is a palette image, as lib/carrier/indexed.js describes, and
+*  the result is a carrier (see lib/carrier)...
+*   getPixel(x, y)              // Each channel is the low byte of a pixel's place in the sorted palette.
+*   setPixel(x, y, color)       // Only the least-significant bit of each channel is taken.
+*   resize()                    // Always false. The pixels that carry bits depend on the size.
+*   encode('png')               // Written as an indexed PNG, with the original palette.
+*   encode('gif')               // Written as a GIF, with the original palette. Only node-gd can do this.
+* ...and...
+*   palette                     // Always true. Tells a palette carrier from a truecolor image.
+*/
+'use strict'
+
+
+/**
+* How bright is the color at the given index?
+*/
+var luminance = function(image, index) {
+  return (299 * image.red(index)) + (587 * image.green(index)) + (114 * image.blue(index));
+};
+
+
+/**
+* A carrier backed by the pixels of a palette image.
+*/
+function PaletteImage(image) {
+  var count = image.colorsTotal;
+
+  // Sort the palette. Ties go to the lower index, so a reader sorts it the same way.
+  var order = [];
+  for (var i = 0; i < count; i++) order.push(i);
+  order.sort(function(a, b) {
+    return (luminance(image, a) - luminance(image, b)) || (a - b);
+  });
+  var place = [];
+  order.forEach(function(index, p) { place[index] = p; });
+
+  // With an odd number of colors, the brightest has no partner. Pixels of that color can't take a bit,
+  //   and nothing is ever changed to it, so they are left out.
+  var paired = count - (count % 2);
+  var pixels = image.width * image.height;
+  var slots  = new Int32Array(pixels);
+  var usable = 0;
+  for (var p = 0; p < pixels; p++) {
+    if (place[image.getIndex(p % image.width, Math.floor(p / image.width))] < paired) slots[usable++] = p;
+  }
+
+  this.palette   = true;
+  this.trueColor = true;
+  this.format    = 'png';
+  this.width     = Math.floor(usable / 3);
+  this.height    = 1;
+
+  var locate = function(x, channel) {
+    var p = slots[(x * 3) + channel];
+    return { x: p % image.width, y: Math.floor(p / image.width) };
+  };
+
+  this.getPixel = function(x, y) {
+    var color = 0;
+    for (var channel = 0; channel < 3; channel++) {
+      var at = locate(x, channel);
+      color = (color << 8) | (place[image.getIndex(at.x, at.y)] & 0xFF);
+    }
+    return color;
+  };
+
+  this.setPixel = function(x, y, color) {
+    for (var channel = 0; channel < 3; channel++) {
+      var at  = locate(x, channel);
+      var was = place[image.getIndex(at.x, at.y)];
+      var bit = (color >> (16 - (channel * 8))) & 0x01;
+      if ((was & 0x01) != bit) image.setIndex(at.x, at.y, order[was ^ 0x01]);
+    }
+  };
+
+  this.resize = function() {
+    return false;
+  };
+
+  this.encode = function(format) {
+    return image.encode(format);
+  };
+
+  this.destroy = function() {
+    image.destroy();
+  };
+}
+
+
+/**
+* Open a palette image (see lib/carrier/indexed.js) as a carrier. The image is worked on in place.
+*/
+var open = function(image) {
+  return new PaletteImage(image);
+};
+
+
+module.exports = {
+  open: open
+};
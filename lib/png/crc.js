@@ -0,0 +1,32 @@
+/**
+* File:    lib/png/crc.js
+*
+* The CRC-32 that guards each PNG chunk. See bury.js for license.
+*/
+'use strict'
+
+var TABLE = new Int32Array(256);
+
+(function() {
+  for (var n = 0; n < 256; n++) {
+    var c = n;
+    for (var k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    TABLE[n] = c;
+  }
+})();
+
+
+/**
+* The CRC of the given Buffers, taken as one run of bytes. Returns an unsigned 32-bit integer.
+*/
+var crc32 = function() {
+  var c = -1;
+  for (var a = 0; a < arguments.length; a++) {
+    var buf = arguments[a];
+    for (var i = 0; i < buf.length; i++) c = TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return (c ^ -1) >>> 0;
+};
+
+
+module.exports = crc32;
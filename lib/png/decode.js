@@ -0,0 +1,178 @@
+/**
+* File:    lib/png/decode.js
+*
+* Reads the samples out of a PNG. See bury.js for license.
+*
+* Every color type and bit depth the standard allows, interlaced or not: grayscale (1, 2, 4, 8, or 16 bits),
+*  palette (1, 2, 4, or 8 bits), and gray with alpha, RGB, and RGBA (8 or 16 bits). Samples are kept in a
+*  Uint16Array, a pixel at a time (each channel in file order), in raster order. A palette image's samples are
+*  its indices. Chunks other than IHDR, IDAT, and IEND (so PLTE and tRNS among them) are kept as they were, so
+*  that they can be written back.
+*/
+'use strict'
+
+var zlib  = require('zlib');
+var crc32 = require('./crc.js');
+
+var SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+var CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };   // By color type.
+var DEPTHS   = { 0: [1, 2, 4, 8, 16], 2: [8, 16], 3: [1, 2, 4, 8], 4: [8, 16], 6: [8, 16] };
+
+// Adam7 passes: [x start, y start, x step, y step]
+var ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+
+/**
+* Read the header of a PNG, without decoding the rest.
+*  Returns {width, height, bitDepth, colorType, interlace}, or false if this isn't a PNG.
+*/
+var header = function(data) {
+  if ((data.length < 33) || !data.slice(0, 8).equals(SIGNATURE)) return false;
+  if ('IHDR' != data.toString('latin1', 12, 16)) return false;
+  return {
+    width:     data.readUInt32BE(16),
+    height:    data.readUInt32BE(20),
+    bitDepth:  data[24],
+    colorType: data[25],
+    interlace: data[28]
+  };
+};
+
+
+/**
+* The Paeth predictor. See section 9.4 of the PNG standard.
+*/
+var paeth = function(a, b, c) {
+  var p  = a + b - c;
+  var pa = Math.abs(p - a);
+  var pb = Math.abs(p - b);
+  var pc = Math.abs(p - c);
+  if ((pa <= pb) && (pa <= pc)) return a;
+  return (pb <= pc) ? b : c;
+};
+
+
+/**
+* Undo the filters on a run of scanlines, in place. Returns the offset just past the last of them.
+*/
+var unfilter = function(raw, offset, line_bytes, lines, bpp) {
+  var prior = null;
+  for (var y = 0; y < lines; y++) {
+    var type = raw[offset];
+    if (type > 4) throw new Error('Bad filter type '+type+'.');
+    var line = offset + 1;
+    for (var i = 0; i < line_bytes; i++) {
+      var a = (i >= bpp) ? raw[line + i - bpp] : 0;
+      var b = prior ? raw[prior + i] : 0;
+      var c = (prior && (i >= bpp)) ? raw[prior + i - bpp] : 0;
+      switch (type) {
+        case 1:  raw[line + i] += a;                         break;
+        case 2:  raw[line + i] += b;                         break;
+        case 3:  raw[line + i] += (a + b) >> 1;              break;
+        case 4:  raw[line + i] += paeth(a, b, c);            break;
+      }
+    }
+    prior  = line;
+    offset = line + line_bytes;
+  }
+  return offset;
+};
+
+
+/**
+* Decode a PNG (a Buffer).
+*  Returns {width, height, bitDepth, colorType, channels, samples, chunks}. Throws if it can't.
+*/
+var decode = function(data) {
+  var info = header(data);
+  if (!info) throw new Error('Not a PNG.');
+  var channels = CHANNELS[info.colorType];
+  if (!channels) throw new Error('Color type '+info.colorType+' is not supported.');
+  if (DEPTHS[info.colorType].indexOf(info.bitDepth) < 0) throw new Error('Bit depth '+info.bitDepth+' is not allowed for color type '+info.colorType+'.');
+  if (!info.width || !info.height) throw new Error('The image is empty.');
+
+  var idat   = [];
+  var chunks = [];
+  var pos    = 8;
+  var ended  = false;
+  while (!ended) {
+    if (pos + 12 > data.length) throw new Error('The PNG is truncated.');
+    var length = data.readUInt32BE(pos);
+    var type   = data.toString('latin1', pos + 4, pos + 8);
+    if (pos + 12 + length > data.length) throw new Error('The PNG is truncated.');
+    var body   = data.slice(pos + 8, pos + 8 + length);
+    if (crc32(data.slice(pos + 4, pos + 8), body) != data.readUInt32BE(pos + 8 + length)) {
+      throw new Error('Bad CRC on the '+type+' chunk.');
+    }
+    switch (type) {
+      case 'IHDR':
+        break;
+      case 'IDAT':
+        idat.push(body);
+        break;
+      case 'IEND':
+        ended = true;
+        break;
+      default:
+        chunks.push({ type: type, data: Buffer.from(body), afterData: idat.length > 0 });
+    }
+    pos += 12 + length;
+  }
+
+  var raw     = zlib.inflateSync(Buffer.concat(idat));
+  var depth   = info.bitDepth;
+  var bpp     = Math.max(1, (channels * depth) >> 3);   // For the filters, which work in whole bytes.
+  var samples = new Uint16Array(info.width * info.height * channels);
+
+  // Samples smaller than a byte are packed, leftmost first. See section 7.2 of the PNG standard.
+  var sample_at = function(line, n) {
+    switch (depth) {
+      case 16:  return (raw[line + (n * 2)] << 8) | raw[line + (n * 2) + 1];
+      case 8:   return raw[line + n];
+      default:
+        var bit = n * depth;
+        return (raw[line + (bit >> 3)] >> (8 - depth - (bit & 7))) & ((1 << depth) - 1);
+    }
+  };
+
+  var read_pass = function(offset, x0, y0, dx, dy) {
+    var cols = Math.ceil((info.width - x0) / dx);
+    var rows = Math.ceil((info.height - y0) / dy);
+    if (!cols || !rows) return offset;
+    var line_bytes = Math.ceil((cols * channels * depth) / 8);
+    if (offset + (rows * (line_bytes + 1)) > raw.length) throw new Error('The image data is truncated.');
+    unfilter(raw, offset, line_bytes, rows, bpp);
+    for (var r = 0; r < rows; r++) {
+      var line = offset + (r * (line_bytes + 1)) + 1;
+      for (var col = 0; col < cols; col++) {
+        var out = ((((y0 + (r * dy)) * info.width) + x0 + (col * dx)) * channels);
+        for (var ch = 0; ch < channels; ch++) samples[out + ch] = sample_at(line, (col * channels) + ch);
+      }
+    }
+    return offset + (rows * (line_bytes + 1));
+  };
+
+  if (info.interlace) {
+    var offset = 0;
+    ADAM7.forEach(function(pass) { offset = read_pass(offset, pass[0], pass[1], pass[2], pass[3]); });
+  }
+  else {
+    read_pass(0, 0, 0, 1, 1);
+  }
+
+  return {
+    width:     info.width,
+    height:    info.height,
+    bitDepth:  info.bitDepth,
+    colorType: info.colorType,
+    channels:  channels,
+    samples:   samples,
+    chunks:    chunks
+  };
+};
+
+
+decode.header = header;
+
+module.exports = decode;
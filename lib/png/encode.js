@@ -0,0 +1,113 @@
+/**
+* File:    lib/png/encode.js
+*
+* Writes samples back out as a PNG. See bury.js for license.
+*
+* Takes what decode.js returns. The color type, bit depth, and kept chunks are written back as they were, and
+*  samples smaller than a byte are packed as decode.js found them.
+*  The output is never interlaced. Each scanline gets whichever filter leaves the smallest sum of absolute
+*  differences, which is the usual heuristic (and what libpng does).
+*/
+'use strict'
+
+var zlib  = require('zlib');
+var crc32 = require('./crc.js');
+
+var SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+
+/**
+* Build a chunk, with its length and CRC.
+*/
+var chunk = function(type, data) {
+  var head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, 'latin1');
+  var tail = Buffer.alloc(4);
+  tail.writeUInt32BE(crc32(head.slice(4), data), 0);
+  return Buffer.concat([head, data, tail]);
+};
+
+
+/**
+* Filter one scanline every way, and return the one that looks cheapest, with its filter type in front.
+*/
+var filterLine = function(line, prior, bpp) {
+  var best     = null;
+  var best_sum = Infinity;
+  for (var type = 0; type < 5; type++) {
+    var out = Buffer.alloc(line.length + 1);
+    var sum = 0;
+    out[0] = type;
+    for (var i = 0; i < line.length; i++) {
+      var a = (i >= bpp) ? line[i - bpp] : 0;
+      var b = prior ? prior[i] : 0;
+      var c = (prior && (i >= bpp)) ? prior[i - bpp] : 0;
+      var predicted = 0;
+      switch (type) {
+        case 1:  predicted = a;                  break;
+        case 2:  predicted = b;                  break;
+        case 3:  predicted = (a + b) >> 1;       break;
+        case 4:
+          var p  = a + b - c;
+          var pa = Math.abs(p - a);
+          var pb = Math.abs(p - b);
+          var pc = Math.abs(p - c);
+          predicted = ((pa <= pb) && (pa <= pc)) ? a : ((pb <= pc) ? b : c);
+          break;
+      }
+      var value = (line[i] - predicted) & 0xFF;
+      out[i + 1] = value;
+      sum += (value < 128) ? value : (256 - value);
+    }
+    if (sum < best_sum) {
+      best     = out;
+      best_sum = sum;
+    }
+  }
+  return best;
+};
+
+
+/**
+* Encode the image (as decode.js returns it) into a PNG.
+*  Returns a Buffer.
+*/
+var encode = function(png) {
+  var depth      = png.bitDepth;
+  var bpp        = Math.max(1, (png.channels * depth) >> 3);
+  var line_bytes = Math.ceil((png.width * png.channels * depth) / 8);
+  var lines      = [];
+  var prior      = null;
+  for (var y = 0; y < png.height; y++) {
+    var line = Buffer.alloc(line_bytes);
+    var base = y * png.width * png.channels;
+    for (var i = 0; i < png.width * png.channels; i++) {
+      var sample = png.samples[base + i];
+      if (16 == depth) line.writeUInt16BE(sample, i * 2);
+      else if (8 == depth) line[i] = sample;
+      else line[(i * depth) >> 3] |= sample << (8 - depth - ((i * depth) & 7));
+    }
+    lines.push(filterLine(line, prior, bpp));
+    prior = line;
+  }
+
+  var ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(png.width, 0);
+  ihdr.writeUInt32BE(png.height, 4);
+  ihdr[8]  = png.bitDepth;
+  ihdr[9]  = png.colorType;
+  ihdr[10] = 0;   // Deflate
+  ihdr[11] = 0;   // Adaptive filtering
+  ihdr[12] = 0;   // Not interlaced
+
+  var out = [SIGNATURE, chunk('IHDR', ihdr)];
+  png.chunks.forEach(function(c) { if (!c.afterData) out.push(chunk(c.type, c.data)); });
+  out.push(chunk('IDAT', zlib.deflateSync(Buffer.concat(lines), { level: 9 })));
+  png.chunks.forEach(function(c) { if (c.afterData) out.push(chunk(c.type, c.data)); });
+  out.push(chunk('IEND', Buffer.alloc(0)));
+  return Buffer.concat(out);
+};
+
+
+module.exports = encode;
@@ -0,0 +1,94 @@
+/**
+* File:    lib/png/index.js
+*
+* Grayscale and 16-bit PNG carriers. See Note18 in bury.js, and bury.js for license.
+*
+* The image adapters read every PNG as 8-bit RGB, so a grayscale PNG would come back out as color, and a 16-bit one
+*  would lose its low bits. These are read here instead, and written back with the same color type and bit
+*  depth. Alpha is never touched. The result is a carrier (see lib/carrier)...
+*   getPixel(x, y)              // Each channel is the low byte of its sample. Gray is given as all three.
+*   setPixel(x, y, color)       // Replaces the low byte of each sample. Gray is taken from red.
+*   resize()                    // Always false. The samples are kept as they are.
+*   encode('png')               // Returns the PNG as a Buffer.
+* ...and...
+*   png                         // Always true. Tells these from an 8-bit RGB carrier.
+*   grayscale                   // True if there is only one channel per pixel.
+*   bitDepth                    // 8 or 16.
+*/
+'use strict'
+
+var decode = require('./decode.js');
+var encode = require('./encode.js');
+
+
+/**
+* Should this PNG (a Buffer) be opened here, rather than as 8-bit RGB (or a palette)? That is, is it grayscale (at
+*  8 or 16 bits) or 16-bit color? Anything else loses nothing that way. See lib/carrier.
+*/
+var handles = function(data) {
+  var info = decode.header(data);
+  if (!info) return false;
+  if ((0 == info.colorType) || (4 == info.colorType)) return (info.bitDepth == 8) || (info.bitDepth == 16);
+  if ((2 == info.colorType) || (6 == info.colorType)) return (info.bitDepth == 16);
+  return false;
+};
+
+
+/**
+* A carrier backed by the samples of a decoded PNG.
+*/
+function SampleImage(png) {
+  var gray    = (png.channels < 3);
+  var samples = png.samples;
+
+  this.png       = true;
+  this.grayscale = gray;
+  this.bitDepth  = png.bitDepth;
+  this.trueColor = true;
+  this.format    = 'png';
+  this.width     = png.width;
+  this.height    = png.height;
+
+  this.getPixel = function(x, y) {
+    var at = ((y * png.width) + x) * png.channels;
+    if (gray) {
+      var v = samples[at] & 0xFF;
+      return (v << 16) | (v << 8) | v;
+    }
+    return ((samples[at] & 0xFF) << 16) | ((samples[at + 1] & 0xFF) << 8) | (samples[at + 2] & 0xFF);
+  };
+
+  this.setPixel = function(x, y, color) {
+    var at = ((y * png.width) + x) * png.channels;
+    for (var channel = 0; channel < (gray ? 1 : 3); channel++) {
+      samples[at + channel] = (samples[at + channel] & 0xFF00) | ((color >> (16 - (channel * 8))) & 0xFF);
+    }
+  };
+
+  this.resize = function() {
+    return false;
+  };
+
+  this.encode = function(format) {
+    return ('png' == format) ? encode(png) : false;
+  };
+
+  this.destroy = function() {};
+}
+
+
+/**
+* Open a PNG (a Buffer) as a carrier.
+*  Throws if it can't be decoded.
+*/
+var open = function(data) {
+  return new SampleImage(decode(data));
+};
+
+
+module.exports = {
+  handles: handles,
+  open:    open,
+  decode:  decode,
+  encode:  encode
+};
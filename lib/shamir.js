@@ -0,0 +1,68 @@
+/**
+* File:    lib/shamir.js
+*
+* Shamir's secret sharing over GF(256). See Note20 in bury.js, and bury.js for license.
+*
+* Each byte of the secret is the constant term of its own random polynomial of degree k - 1, and share x is that
+*  polynomial evaluated at x, for x from 1 to n. Any k shares give the polynomial back, by Lagrange interpolation.
+*  Fewer than k say nothing at all about the secret, since every value of the constant term fits them equally well.
+*/
+'use strict'
+
+var crypto = require('crypto');
+var gf     = require('./gf256.js');
+
+var MIN_THRESHOLD = 2;     // With 1, every share would just be the secret.
+var MAX_SHARES    = 255;   // x is a nonzero field element.
+
+
+/**
+* Split the secret (a Buffer) into n shares, any k of which give it back.
+*  Returns a list of n Buffers, each as long as the secret. Share i (from 0) is the polynomials at x = i + 1.
+*/
+var split = function(secret, k, n) {
+  if ((k < MIN_THRESHOLD) || (k > n) || (n > MAX_SHARES)) throw new Error('Can\'t make '+n+' shares with a threshold of '+k+'.');
+  var coefficients = [];
+  for (var c = 1; c < k; c++) coefficients.push(crypto.randomBytes(secret.length));
+
+  var shares = [];
+  for (var x = 1; x <= n; x++) {
+    var share = Buffer.alloc(secret.length);
+    for (var i = 0; i < secret.length; i++) {
+      // Horner's rule, from the highest coefficient down to the secret.
+      var y = 0;
+      for (c = k - 2; c >= 0; c--) y = gf.mul(y, x) ^ coefficients[c][i];
+      share[i] = gf.mul(y, x) ^ secret[i];
+    }
+    shares.push(share);
+  }
+  return shares;
+};
+
+
+/**
+* Give the secret back from shares, as [{x, data}, ...]. Every share must be as long as the others, and no two may
+*  have the same x. Given fewer than the threshold, this returns noise, since nothing says how many were needed.
+*  Returns a Buffer.
+*/
+var combine = function(shares) {
+  var length = shares[0].data.length;
+  var secret = Buffer.alloc(length);
+  for (var j = 0; j < shares.length; j++) {
+    // The Lagrange basis polynomial for share j, at 0. Subtraction is XOR in this field.
+    var basis = 1;
+    for (var m = 0; m < shares.length; m++) {
+      if (m != j) basis = gf.mul(basis, gf.div(shares[m].x, shares[m].x ^ shares[j].x));
+    }
+    for (var i = 0; i < length; i++) secret[i] ^= gf.mul(shares[j].data[i], basis);
+  }
+  return secret;
+};
+
+
+module.exports = {
+  MIN_THRESHOLD: MIN_THRESHOLD,
+  MAX_SHARES:    MAX_SHARES,
+  split:         split,
+  combine:       combine
+};
@@ -0,0 +1,114 @@
+/**
+* File:    lib/wav.js
+*
+* Sound carriers: uncompressed 16-bit PCM WAV, mono or stereo. See Note21 in bury.js, and bury.js for license.
+*
+* The samples are laid out as a single row of one-channel pixels, one sample to a pixel, in the order they are
+*  stored (so the channels of a stereo file alternate). This is just how bury.js already works a grayscale
+*  carrier (Note18), so the offset, the stride, and everything after them count in samples. The result is a
+*  carrier (see lib/carrier)...
+*   getPixel(x, y)              // The low byte of the sample, given as all three channels.
+*   setPixel(x, y, color)       // Replaces the low byte of the sample with red.
+*   resize()                    // Always false.
+*   encode('wav')               // Returns the WAV as a Buffer. Everything but the samples is as it was.
+* ...and...
+*   audio                       // Always true. Tells a sound carrier from an image.
+*   grayscale                   // Always true. There is one channel per pixel.
+*   bitDepth                    // Always 16.
+*/
+'use strict'
+
+var FORMAT_PCM        = 0x0001;
+var FORMAT_EXTENSIBLE = 0xFFFE;
+
+
+/**
+* Find the format and the samples of a WAV (a Buffer).
+*  Returns {channels, sampleRate, offset, length}, where offset and length are in bytes. Throws if the WAV isn't
+*  16-bit PCM, in one or two channels.
+*/
+var parse = function(data) {
+  if ((data.length < 12) || ('RIFF' != data.toString('latin1', 0, 4)) || ('WAVE' != data.toString('latin1', 8, 12))) {
+    throw new Error('Not a WAV.');
+  }
+  var format = false;
+  var pos    = 12;
+  while (pos + 8 <= data.length) {
+    var type   = data.toString('latin1', pos, pos + 4);
+    var length = data.readUInt32LE(pos + 4);
+    var body   = pos + 8;
+    if (body + length > data.length) throw new Error('The '+type+' chunk is truncated.');
+    if ('fmt ' == type) {
+      if (length < 16) throw new Error('The format chunk is too short.');
+      format = {
+        tag:           data.readUInt16LE(body),
+        channels:      data.readUInt16LE(body + 2),
+        sampleRate:    data.readUInt32LE(body + 4),
+        bitsPerSample: data.readUInt16LE(body + 14)
+      };
+      if ((FORMAT_EXTENSIBLE == format.tag) && (length >= 26)) format.tag = data.readUInt16LE(body + 24);   // The sub-format GUID starts with it.
+    }
+    else if ('data' == type) {
+      if (!format) throw new Error('The data chunk comes before the format chunk.');
+      if (FORMAT_PCM != format.tag) throw new Error('Only uncompressed PCM is supported.');
+      if (16 != format.bitsPerSample) throw new Error(format.bitsPerSample+'-bit samples are not supported. Only 16-bit.');
+      if ((1 != format.channels) && (2 != format.channels)) throw new Error(format.channels+' channels are not supported. Only mono or stereo.');
+      if (length < 2) throw new Error('There are no samples.');
+      return { channels: format.channels, sampleRate: format.sampleRate, offset: body, length: length - (length % 2) };
+    }
+    pos = body + length + (length % 2);   // Chunks are padded to an even length.
+  }
+  throw new Error('There is no data chunk.');
+};
+
+
+/**
+* A carrier backed by the samples of a WAV.
+*/
+function SoundImage(data, wav) {
+  var bytes = Buffer.from(data);   // The whole file. Samples are little-endian, so each low byte comes first.
+
+  this.audio      = true;
+  this.grayscale  = true;
+  this.bitDepth   = 16;
+  this.trueColor  = true;
+  this.format     = 'wav';
+  this.channels   = wav.channels;
+  this.sampleRate = wav.sampleRate;
+  this.width      = wav.length / 2;
+  this.height     = 1;
+
+  this.getPixel = function(x, y) {
+    var v = bytes[wav.offset + (x * 2)];
+    return (v << 16) | (v << 8) | v;
+  };
+
+  this.setPixel = function(x, y, color) {
+    bytes[wav.offset + (x * 2)] = (color >> 16) & 0xFF;
+  };
+
+  this.resize = function() {
+    return false;
+  };
+
+  this.encode = function(format) {
+    return ('wav' == format) ? Buffer.from(bytes) : false;
+  };
+
+  this.destroy = function() {};
+}
+
+
+/**
+* Open a WAV (a Buffer) as a carrier.
+*  Throws if it isn't 16-bit PCM, in one or two channels.
+*/
+var open = function(data) {
+  return new SoundImage(data, parse(data));
+};
+
+
+module.exports = {
+  open:  open,
+  parse: parse
+};
@@ -0,0 +1,80 @@
+/**
+* File:    test/adaptive.js
+*
+* Adaptive selection, which keeps to the busiest pixels on the path. See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+var SIDE  = 128;
+var BLOCK = 8;
+var TOP   = 3 * BLOCK;    // Rows kept noisy, to hold the preamble and header, which are never subject to selection.
+
+
+/**
+* Noise in the top rows, and below them a checkerboard of noisy and flat gray blocks, so that the path crosses both.
+*/
+var carrier = function() {
+  var samples = helpers.noise(SIDE * SIDE * 3, 5);
+  for (var i = 0; i < samples.length; i++) {
+    var pixel = Math.floor(i / 3);
+    if (isFlat(pixel % SIDE, Math.floor(pixel / SIDE))) samples[i] = 128;
+  }
+  return helpers.writePng('adaptive.png', { width: SIDE, height: SIDE, colorType: 2, bitDepth: 8, samples: samples });
+};
+
+var isFlat = function(x, y) {
+  return (y >= TOP) && (1 == ((Math.floor(x / BLOCK) + Math.floor(y / BLOCK)) % 2));
+};
+
+
+/**
+* Is the pixel inside a flat block, and not on its edge? The edges border noise, so they aren't flat by
+*  textureScore()'s measure.
+*/
+var isInsideFlat = function(pixel) {
+  var x = pixel % SIDE;
+  var y = Math.floor(pixel / SIDE);
+  if (!isFlat(x, y)) return false;
+  return [x % BLOCK, y % BLOCK].every(function(offset) { return (offset > 0) && (offset < BLOCK - 1); });
+};
+
+
+/**
+* Bury the message, check that it reads back, and return the pixels that changed.
+*/
+var changedPixels = function(extra) {
+  var original = carrier();
+  var writer   = new Bury(original, helpers.PASSWORD, helpers.options(extra));
+  assert.ok(writer.setMessage(helpers.MESSAGE));
+  var written  = helpers.save(writer, 'adaptive-out.png');
+  assert.strictEqual(String(new Bury(written, helpers.PASSWORD, helpers.options()).getMessage()), helpers.MESSAGE);
+  var before   = helpers.readPng(original).samples;
+  var after    = helpers.readPng(written).samples;
+  var pixels   = [];
+  for (var i = 0; i < before.length; i++) {
+    if (before[i] != after[i]) pixels.push(Math.floor(i / 3));
+  }
+  return pixels;
+};
+
+
+module.exports = {
+  'flat blocks are left alone': function() {
+    var pixels = changedPixels({ adaptive: 0.25 });
+    assert.ok(pixels.length > 0);
+    pixels.forEach(function(pixel) { assert.ok(!isInsideFlat(pixel), 'Pixel '+pixel+' is inside a flat block.'); });
+  },
+
+  'without it, flat blocks are written too': function() {
+    assert.ok(changedPixels({}).some(isInsideFlat));
+  },
+
+  'it can\'t be combined with LSB matching': function() {
+    var writer = new Bury(carrier(), helpers.PASSWORD, helpers.options({ adaptive: 0.25, embedding: 'lsb-matching' }));
+    assert.strictEqual(writer.setMessage(helpers.MESSAGE), false);
+  }
+};
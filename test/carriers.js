@@ -0,0 +1,110 @@
+/**
+* File:    test/carriers.js
+*
+* The carrier adapters: BMPs and PNGs read in plain JavaScript, and the node-gd adapter when it is installed.
+*  See bury.js for license.
+*/
+'use strict'
+
+var assert   = require('assert');
+var fs       = require('fs');
+var path     = require('path');
+var Bury     = require('../bury.js');
+var carriers = require('../lib/carrier');
+var helpers  = require('./helpers.js');
+
+var JPEG = path.join(__dirname, '..', 'test_carrier.jpg');
+
+
+/**
+* Read a BMP with the plain JavaScript adapter, and check every pixel.
+*/
+var readsBmp = function(bits, top_down) {
+  return function() {
+    var bmp   = helpers.makeBmp('carriers.bmp', 37, 23, bits, top_down);
+    var image = carriers.open(bmp.path, 'pure').image;
+    assert.ok(image, 'The BMP could not be read.');
+    assert.strictEqual(!!image.indexed, bits <= 8);
+    for (var p = 0; p < bmp.colors.length; p++) {
+      assert.strictEqual(image.getPixel(p % 37, Math.floor(p / 37)), bmp.colors[p], 'Pixel '+p+' is wrong.');
+    }
+  };
+};
+
+
+var roundTripsBmp = function(bits) {
+  return function() {
+    var bmp = helpers.makeBmp('carriers.bmp', 128, 128, bits, false);
+    assert.strictEqual(helpers.roundTrip(bmp.path, 'carriers-out.png', helpers.MESSAGE, { adapter: 'pure' }), helpers.MESSAGE);
+  };
+};
+
+
+var roundTripsPng = function(color_type, bit_depth) {
+  return function() {
+    var carrier = helpers.makePng('carriers.png', { width: 128, height: 128, colorType: color_type, bitDepth: bit_depth });
+    assert.strictEqual(helpers.roundTrip(carrier, 'carriers-out.png', helpers.MESSAGE, { adapter: 'pure' }), helpers.MESSAGE);
+  };
+};
+
+
+module.exports = {
+  'a 1-bit BMP is read': readsBmp(1, false),
+  'a 4-bit BMP is read': readsBmp(4, true),
+  'an 8-bit BMP is read': readsBmp(8, false),
+  'a 24-bit BMP is read': readsBmp(24, false),
+  'a 24-bit top-down BMP is read': readsBmp(24, true),
+  'a 32-bit BMP is read': readsBmp(32, false),
+
+  'an 8-bit BMP round-trips': roundTripsBmp(8),
+  'a 24-bit BMP round-trips': roundTripsBmp(24),
+  'an RGBA PNG round-trips': roundTripsPng(6, 8),
+  'a 2-bit grayscale PNG round-trips': roundTripsPng(0, 2),
+
+  'an unknown adapter is refused': function() {
+    var carrier = helpers.makePng('carriers.png', { width: 8, height: 8, colorType: 2, bitDepth: 8 });
+    assert.ok(carriers.open(carrier, 'imagemagick').error);
+  },
+
+  'without node-gd, the gd adapter says so': function() {
+    if (carriers.gdAvailable()) helpers.skip('node-gd is installed');
+    var carrier = helpers.makePng('carriers.png', { width: 8, height: 8, colorType: 2, bitDepth: 8 });
+    assert.ok(/node-gd/.test(carriers.open(carrier, 'gd').error));
+  },
+
+  'the format is taken from the file, not its name': function() {
+    var png = helpers.file('carriers-png.jpg');
+    var bmp = helpers.file('carriers-bmp.png');
+    fs.copyFileSync(helpers.makePng('carriers.png', { width: 8, height: 8, colorType: 2, bitDepth: 8 }), png);
+    fs.copyFileSync(helpers.makeBmp('carriers.bmp', 8, 8, 24, false).path, bmp);
+    assert.strictEqual(carriers.formatOf(png), '.png');
+    assert.strictEqual(carriers.formatOf(bmp), '.bmp');
+    assert.strictEqual(carriers.formatOf(JPEG), '.jpg');
+    assert.ok(carriers.open(png, 'pure').image);
+    assert.ok(carriers.open(bmp, 'pure').image);
+  },
+
+  'without node-gd, a JPEG is only worked by its coefficients when asked': function() {
+    if (carriers.gdAvailable()) helpers.skip('node-gd is installed');
+    assert.strictEqual(new Bury(JPEG, helpers.PASSWORD, helpers.options()).setMessage(helpers.MESSAGE), false);
+    var bury = new Bury(JPEG, helpers.PASSWORD, helpers.options({ jpeg: true }));
+    assert.ok(bury.setMessage(helpers.MESSAGE));
+    var written = helpers.save(bury, 'carriers-out.png');   // Still a JPEG, whatever it's named.
+    assert.strictEqual(new Bury(written, helpers.PASSWORD, helpers.options()).getMessage(), false);
+    assert.strictEqual(String(new Bury(written, helpers.PASSWORD, helpers.options({ jpeg: true })).getMessage()), helpers.MESSAGE);
+  },
+
+  'both adapters write the same bytes': function() {
+    if (!carriers.gdAvailable()) helpers.skip('node-gd is not installed');
+    [
+      helpers.makePng('carriers.png', { width: 40, height: 30, colorType: 2, bitDepth: 8 }),
+      helpers.makePng('carriers-palette.png', { width: 40, height: 30, colorType: 3, bitDepth: 8, colors: 16 }),
+      helpers.makeBmp('carriers.bmp', 40, 30, 24, false).path
+    ].forEach(function(carrier) {
+      var pure = carriers.open(carrier, 'pure').image;
+      var gd   = carriers.open(carrier, 'gd').image;
+      assert.ok(pure.encode('png').equals(gd.encode('png')), carrier+' was written differently.');
+      if (!pure.indexed) assert.ok(pure.resize(20, 15).encode('png').equals(gd.resize(20, 15).encode('png')), carrier+' was resized differently.');
+    });
+  }
+};
@@ -0,0 +1,80 @@
+/**
+* File:    test/ciphers.js
+*
+* Every cipher format, through Bury and through each provider that reads it. See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var crypto  = require('crypto');
+var ciphers = require('../lib/ciphers');
+var helpers = require('./helpers.js');
+
+var NAMES = ['node', 'crypto-js', 'mcrypt'];
+
+
+var provider = function(name) {
+  var found = ciphers.byName(name);
+  if (!found) helpers.skip('the '+name+' provider is not installed');
+  return found;
+};
+
+
+/**
+* Bury a message with the named provider, and read it back with whatever reads the format.
+*/
+var throughBury = function(name) {
+  return function() {
+    provider(name);
+    var carrier = helpers.makePng('ciphers.png', { width: 64, height: 64, colorType: 2, bitDepth: 8 });
+    assert.strictEqual(helpers.roundTrip(carrier, 'ciphers-out.png', helpers.MESSAGE, { cipher: name }), helpers.MESSAGE);
+  };
+};
+
+
+/**
+* Encrypt with the given writer, and decrypt with every installed provider that reads its format. Every length
+*  around a block boundary is tried, since that is where padding goes wrong.
+*/
+var readsExactly = function(writer) {
+  var key = crypto.randomBytes(32);
+  NAMES.map(ciphers.byName).filter(function(reader) {
+    return reader && (reader.reads.indexOf(writer.id) >= 0);
+  }).forEach(function(reader) {
+    for (var length = 1; length <= 33; length++) {
+      var data = helpers.noise(length, length);
+      data[length - 1] |= 0x01;   // Zero padding can't tell a trailing zero from padding.
+      var iv = crypto.randomBytes(writer.ivSize);
+      var decrypted = reader.decrypt(writer.id, key, iv, writer.encrypt(key, iv, data));
+      assert.ok(decrypted.equals(data), reader.name+' read '+length+' bytes of format '+writer.id+' as '+decrypted.toString('hex'));
+    }
+  });
+};
+
+
+/**
+* The mcrypt format (AES-256-CBC, zero padded), written without mcrypt, which is seldom installed.
+*/
+var MCRYPT_BY_HAND = {
+  id:     ciphers.CIPHER_MCRYPT,
+  ivSize: 16,
+  encrypt: function(key, iv, data) {
+    var cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+    cipher.setAutoPadding(false);
+    var padded = Buffer.concat([data, Buffer.alloc((16 - (data.length % 16)) % 16)]);
+    return Buffer.concat([cipher.update(padded), cipher.final()]);
+  }
+};
+
+
+var checks = {};
+NAMES.forEach(function(name) {
+  checks['the '+name+' format round-trips'] = throughBury(name);
+  checks['the '+name+' format is read back exactly by every provider'] = function() {
+    readsExactly(provider(name));
+  };
+});
+checks['the mcrypt format, written without mcrypt, is read back exactly'] = function() {
+  readsExactly(MCRYPT_BY_HAND);
+};
+module.exports = checks;
@@ -0,0 +1,45 @@
+/**
+* File:    test/codecs.js
+*
+* The compression codecs, each on its own and through Bury. See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var codecs  = require('../lib/codecs');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+
+/**
+* Compress and decompress with the named codec, then bury a message compressed with it and read it back.
+*/
+var roundTrip = function(name) {
+  return function() {
+    var codec = codecs.byName(name);
+    if (!codec) helpers.skip(name+' is not installed');
+    var data = Buffer.from(new Array(40).join(helpers.MESSAGE));
+    assert.ok(Buffer.from(codec.decompress(codec.compress(data))).equals(data));
+
+    var carrier = helpers.makePng('codecs.png', { width: 96, height: 96, colorType: 2, bitDepth: 8 });
+    assert.strictEqual(helpers.roundTrip(carrier, 'codecs-out.png', helpers.MESSAGE, { compress: name }), helpers.MESSAGE);
+  };
+};
+
+
+module.exports = {
+  'bzip2 round-trips': roundTrip('bzip2'),
+  'deflate round-trips': roundTrip('deflate'),
+  'brotli round-trips': roundTrip('brotli'),
+  'lzma round-trips': roundTrip('lzma'),
+
+  'auto round-trips': function() {
+    var carrier = helpers.makePng('codecs.png', { width: 96, height: 96, colorType: 2, bitDepth: 8 });
+    assert.strictEqual(helpers.roundTrip(carrier, 'codecs-out.png', helpers.MESSAGE, { compress: 'auto' }), helpers.MESSAGE);
+  },
+
+  'an unknown codec is refused': function() {
+    var carrier = helpers.makePng('codecs.png', { width: 96, height: 96, colorType: 2, bitDepth: 8 });
+    assert.strictEqual(new Bury(carrier, helpers.PASSWORD, helpers.options({ compress: 'zstd' })).setMessage(helpers.MESSAGE), false);
+  }
+};
@@ -0,0 +1,83 @@
+/**
+* File:    test/compatibility.js
+*
+* The report testPasswordCompatibility() gives. Where exactly two paths cross is checked in placement.js.
+*  See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+var PASSWORDS = ['first-password', 'second-password', 'third-password'];
+
+
+var test = function(extra, passwords) {
+  var options = { width: 80, height: 60, kdfWorkFactor: 10 };
+  for (var key in (extra || {})) options[key] = extra[key];
+  return Bury.testPasswordCompatibility(passwords || PASSWORDS, Bury.generateSalt(), options);
+};
+
+
+/**
+* What every report must agree with itself about.
+*/
+var consistent = function(report, width) {
+  var collisions = report.overlaps.filter(function(overlap) { return overlap.sharesChannels; }).length;
+  assert.strictEqual(report.collisions, collisions);
+  report.overlaps.forEach(function(overlap) {
+    assert.strictEqual(overlap.pixel, (overlap.y * width) + overlap.x);
+    assert.strictEqual(overlap.sharesChannels, overlap.channels.length > 0);
+    assert.ok(overlap.passwords[0] < overlap.passwords[1]);
+  });
+  report.passwords.forEach(function(password) {
+    assert.ok(password.usableCapacity <= password.capacity);
+    if (password.payloadSize) assert.strictEqual(password.fits, password.payloadSize <= password.capacity);
+  });
+  var fit = report.passwords.every(function(password) { return password.fits; });
+  assert.strictEqual(report.compatible, (0 == collisions) && fit);
+};
+
+
+module.exports = {
+  'the report has every field': function() {
+    var report = test({ channels: [['red'], ['green'], ['blue']], payloadSizes: [100, 200, 300] });
+    assert.deepStrictEqual(Object.keys(report).sort(), ['collisions', 'compatible', 'overlaps', 'passwords']);
+    assert.strictEqual(report.passwords.length, 3);
+    assert.deepStrictEqual(Object.keys(report.passwords[0]).sort(),
+      ['capacity', 'channels', 'fits', 'maxStride', 'offset', 'payloadSize', 'usableCapacity']);
+    assert.deepStrictEqual(report.passwords.map(function(password) { return password.channels; }), [['red'], ['green'], ['blue']]);
+    assert.deepStrictEqual(report.passwords.map(function(password) { return password.payloadSize; }), [100, 200, 300]);
+    consistent(report, 80);
+  },
+
+  'paths on the same channel collide, and their usable capacity shrinks': function() {
+    var report = test({ channels: [['red'], ['red'], ['red']] });
+    assert.ok(report.collisions > 0);
+    assert.strictEqual(report.compatible, false);
+    assert.ok(report.passwords.some(function(password) { return password.usableCapacity < password.capacity; }));
+    consistent(report, 80);
+  },
+
+  'a payload too large is reported as not fitting': function() {
+    var report = test({ channels: [['red'], ['green'], ['blue']], payloadSizes: 100000 });
+    assert.ok(report.passwords.every(function(password) { return !password.fits; }));
+    assert.strictEqual(report.compatible, false);
+    consistent(report, 80);
+  },
+
+  'the size can be taken from a carrier': function() {
+    var carrier = helpers.makePng('compatibility.png', { width: 80, height: 60, colorType: 2, bitDepth: 8 });
+    var salt    = Bury.generateSalt();
+    var given   = Bury.testPasswordCompatibility(PASSWORDS, salt, { width: 80, height: 60, kdfWorkFactor: 10 });
+    var taken   = Bury.testPasswordCompatibility(PASSWORDS, salt, { carrier: carrier, kdfWorkFactor: 10 });
+    assert.deepStrictEqual(taken, given);
+  },
+
+  'arguments that make no sense are refused': function() {
+    assert.strictEqual(test({}, ['only-one-password']), false);
+    assert.strictEqual(Bury.testPasswordCompatibility(PASSWORDS, Buffer.alloc(3), { width: 80, height: 60 }), false);
+    assert.strictEqual(test({ width: 0 }), false);
+  }
+};
@@ -0,0 +1,49 @@
+/**
+* File:    test/ecc.js
+*
+* Error correction, which lets a message survive some damage to the carrier. See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+var MESSAGE = helpers.noise(256, 7).toString('binary');
+
+
+/**
+* Bury the message, and flip the low bit of red in 20 of the changed pixels, well past the header and short of
+*  the end of the payload (see the tampered carrier in message.js). Returns what is read back.
+*/
+var damaged = function(extra) {
+  var original = helpers.makePng('ecc.png', { width: 128, height: 128, colorType: 2, bitDepth: 8 });
+  var bury     = new Bury(original, helpers.PASSWORD, helpers.options(extra));
+  assert.ok(bury.setMessage(MESSAGE));
+  var written  = helpers.readPng(helpers.save(bury, 'ecc-out.png'));
+  var before   = helpers.readPng(original).samples;
+  var changed  = [];
+  for (var p = 0; p < written.width * written.height; p++) {
+    if ((before[p * 3] != written.samples[p * 3]) || (before[(p * 3) + 1] != written.samples[(p * 3) + 1]) || (before[(p * 3) + 2] != written.samples[(p * 3) + 2])) changed.push(p);
+  }
+  assert.ok(changed.length > 520, 'Only '+changed.length+' pixels changed.');
+  changed.slice(500, 520).forEach(function(p) { written.samples[p * 3] ^= 1; });
+  var tampered = helpers.writePng('ecc-tampered.png', written);
+  return new Bury(tampered, helpers.PASSWORD, helpers.options()).getMessage();
+};
+
+
+module.exports = {
+  'a damaged carrier still reads, with error correction': function() {
+    assert.strictEqual(String(damaged({ errorCorrection: 32 })), MESSAGE);
+  },
+
+  'the same damage without it reads nothing': function() {
+    assert.strictEqual(damaged({}), false);
+  },
+
+  'parity outside the range is refused': function() {
+    var bury = new Bury(helpers.makePng('ecc.png', { width: 128, height: 128, colorType: 2, bitDepth: 8 }), helpers.PASSWORD, helpers.options({ errorCorrection: 1 }));
+    assert.strictEqual(bury.setMessage(MESSAGE), false);
+  }
+};
@@ -0,0 +1,83 @@
+/**
+* File:    test/embedding.js
+*
+* How bits are laid into the channels: LSB replacement or matching, and how many low bits of each are used.
+*  See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+
+var carrier = function() {
+  return helpers.makePng('embedding.png', { width: 96, height: 96, colorType: 2, bitDepth: 8 });
+};
+
+
+/**
+* Bury the message with the given options, and read it back. Returns every sample as {before, after},
+*  for the samples that changed.
+*/
+var bury = function(extra) {
+  var original = carrier();
+  var writer   = new Bury(original, helpers.PASSWORD, helpers.options(extra));
+  assert.ok(writer.setMessage(helpers.MESSAGE));
+  var written  = helpers.save(writer, 'embedding-out.png');
+  assert.strictEqual(String(new Bury(written, helpers.PASSWORD, helpers.options()).getMessage()), helpers.MESSAGE);
+  var before   = helpers.readPng(original).samples;
+  var after    = helpers.readPng(written).samples;
+  var changed  = [];
+  for (var i = 0; i < before.length; i++) {
+    if (before[i] != after[i]) changed.push({ before: before[i], after: after[i] });
+  }
+  assert.ok(changed.length > 0);
+  return changed;
+};
+
+
+module.exports = {
+  'LSB replacement changes nothing but the low bit': function() {
+    bury({ embedding: 'lsb-replacement' }).forEach(function(sample) {
+      assert.strictEqual(sample.before ^ sample.after, 1);
+    });
+  },
+
+  /**
+  * Matching moves a sample up or down by one, so some changes carry into (or borrow from) the higher bits,
+  *  which replacement never does. Nothing wraps around.
+  */
+  'LSB matching moves samples by one, either way': function() {
+    var changed = bury({ embedding: 'lsb-matching' });
+    changed.forEach(function(sample) {
+      assert.strictEqual(Math.abs(sample.before - sample.after), 1);
+    });
+    assert.ok(changed.some(function(sample) { return (sample.before ^ sample.after) > 1; }), 'No change reached past the low bit.');
+    assert.ok(changed.some(function(sample) { return sample.after > sample.before; }));
+    assert.ok(changed.some(function(sample) { return sample.after < sample.before; }));
+  },
+
+  'bit depths 2 to 4 round-trip, and change only that many low bits': function() {
+    [2, 3, 4].forEach(function(depth) {
+      var changed = bury({ bitDepth: depth });
+      changed.forEach(function(sample) {
+        assert.ok((sample.before ^ sample.after) < (1 << depth), sample.before+' became '+sample.after+' at bit depth '+depth+'.');
+      });
+      assert.ok(changed.some(function(sample) { return (sample.before ^ sample.after) >= (1 << (depth - 1)); }), 'Bit '+depth+' was never used.');
+    });
+  },
+
+  /**
+  * Without filler, so that only the payload's changes are counted.
+  */
+  'matrix embedding round-trips, and changes fewer samples': function() {
+    var plain  = bury({ filler: 'none' });
+    var matrix = bury({ filler: 'none', matrixEmbedding: true });
+    assert.ok(matrix.length < plain.length, matrix.length+' samples changed with matrix embedding, and '+plain.length+' without.');
+  },
+
+  'a bit depth past 4 is refused': function() {
+    assert.strictEqual(new Bury(carrier(), helpers.PASSWORD, helpers.options({ bitDepth: 5 })).setMessage(helpers.MESSAGE), false);
+  }
+};
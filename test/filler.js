@@ -0,0 +1,74 @@
+/**
+* File:    test/filler.js
+*
+* What is written along the rest of the path, after the payload. See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+var SIDE = 128;
+
+
+/**
+* Noise in the top half, which holds the payload, and flat gray in the bottom half. The low bit of every
+*  sample in the gray is clear.
+*/
+var carrier = function() {
+  var samples = helpers.noise(SIDE * SIDE * 3, 5);
+  samples.fill(128, (SIDE * SIDE * 3) / 2);
+  return helpers.writePng('filler.png', { width: SIDE, height: SIDE, colorType: 2, bitDepth: 8, samples: samples });
+};
+
+
+/**
+* Bury the message, check that it reads back, and return the pixels that changed.
+*/
+var changedPixels = function(extra) {
+  var original = carrier();
+  var writer   = new Bury(original, helpers.PASSWORD, helpers.options(extra));
+  assert.ok(writer.setMessage(helpers.MESSAGE));
+  var written  = helpers.save(writer, 'filler-out.png');
+  assert.strictEqual(String(new Bury(written, helpers.PASSWORD, helpers.options()).getMessage()), helpers.MESSAGE);
+  var before   = helpers.readPng(original).samples;
+  var after    = helpers.readPng(written).samples;
+  var pixels   = [];
+  for (var i = 0; i < before.length; i++) {
+    if ((before[i] != after[i]) && (pixels[pixels.length - 1] !== Math.floor(i / 3))) pixels.push(Math.floor(i / 3));
+  }
+  return pixels;
+};
+
+var inGray = function(pixel) {
+  return pixel >= (SIDE * SIDE) / 2;
+};
+
+
+module.exports = {
+  'noise is written to the end of the path': function() {
+    assert.ok(changedPixels({}).filter(inGray).length > 100);
+  },
+
+  'none leaves the rest of the path as it was': function() {
+    var pixels = changedPixels({ filler: 'none' });
+    assert.ok(pixels.length > 0);
+    assert.ok(pixels.length < 1000, pixels.length+' pixels changed.');
+    assert.strictEqual(pixels.filter(inGray).length, 0);
+  },
+
+  /**
+  * Shaped filler sets a low bit about as often as the region had it set, which in the gray is never. (Not quite
+  *  never, since measureLsbStats() keeps the odds off 0.)
+  */
+  'shaped filler looks like the region it is in': function() {
+    var noise  = changedPixels({}).filter(inGray).length;
+    var shaped = changedPixels({ filler: 'shaped' }).filter(inGray).length;
+    assert.ok(shaped < (noise / 5), shaped+' gray pixels changed with shaped filler, and '+noise+' with noise.');
+  },
+
+  'an unknown filler is refused': function() {
+    assert.strictEqual(new Bury(carrier(), helpers.PASSWORD, helpers.options({ filler: 'zeros' })).setMessage(helpers.MESSAGE), false);
+  }
+};
@@ -0,0 +1,28 @@
+/**
+* File:    test/header.js
+*
+* Header fields this version doesn't know, as a later version might write them. See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+
+module.exports = {
+  /**
+  * Written with an extra field of type 0x7E between PAYLOAD SIZE and KDF PARAMS. The critical bit isn't set.
+  */
+  'an unknown field is skipped': function() {
+    var read = new Bury(helpers.fixture('unknown-field.png'), helpers.PASSWORD, helpers.options()).getMessage();
+    assert.strictEqual(String(read), helpers.MESSAGE);
+  },
+
+  /**
+  * As above, but of type 0xFE, which has the critical bit set.
+  */
+  'an unknown critical field is refused': function() {
+    assert.strictEqual(new Bury(helpers.fixture('critical-field.png'), helpers.PASSWORD, helpers.options()).getMessage(), false);
+  }
+};
@@ -0,0 +1,328 @@
+/**
+* File:    test/helpers.js
+*
+* Carriers made up for the checks, and the round trip they all go through. See bury.js for license.
+*
+* Carriers are generated here, from a seeded noise source, so that nothing binary is kept in the repo but the
+*  fixtures under test/fixtures, which were written by older versions. Files go into a scratch directory that
+*  cleanup() removes. PNGs are written and read by the small codec here, rather than by anything the checks
+*  are checking.
+*/
+'use strict'
+
+var fs   = require('fs');
+var os   = require('os');
+var path = require('path');
+var zlib = require('zlib');
+var Bury = require('../bury.js');
+
+var PASSWORD = 'saddroPs';
+var MESSAGE  = 'This is the worst green-text on the whole internet.';
+
+var CHANNELS  = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };   // Samples per pixel, by PNG color type.
+var SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+var scratch   = false;
+var crc_table = false;
+
+
+/**
+* Thrown by a check that can't run here.
+*/
+function Skip(message) {
+  this.message = message;
+}
+
+var skip = function(reason) {
+  throw new Skip(reason);
+};
+
+
+/**
+* The path of a file in the scratch directory.
+*/
+var file = function(name) {
+  if (!scratch) scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'bury-test-'));
+  return path.join(scratch, name);
+};
+
+
+/**
+* The path of a fixture.
+*/
+var fixture = function(name) {
+  return path.join(__dirname, 'fixtures', name);
+};
+
+
+var cleanup = function() {
+  if (scratch) {
+    fs.readdirSync(scratch).forEach(function(name) { fs.unlinkSync(path.join(scratch, name)); });
+    fs.rmdirSync(scratch);
+    scratch = false;
+  }
+};
+
+
+/**
+* Options for a Bury instance that keep it quiet and quick. Anything given is added.
+*/
+var options = function(extra) {
+  var result = { verbosity: 0, kdfWorkFactor: 10, rescaleCarrier: false, writeFile: false };
+  for (var key in (extra || {})) result[key] = extra[key];
+  return result;
+};
+
+
+/**
+* Deterministic bytes, so that a failing check fails the same way every time.
+*/
+var noise = function(length, seed) {
+  var state = (seed || 1) >>> 0;
+  var out   = Buffer.alloc(length);
+  for (var i = 0; i < length; i++) {
+    state = ((state * 1103515245) + 12345) >>> 0;
+    out[i] = state >>> 16;
+  }
+  return out;
+};
+
+
+var crc32 = function(bytes) {
+  if (!crc_table) {
+    crc_table = new Int32Array(256);
+    for (var n = 0; n < 256; n++) {
+      var c = n;
+      for (var k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      crc_table[n] = c;
+    }
+  }
+  var crc = -1;
+  for (var i = 0; i < bytes.length; i++) crc = crc_table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+};
+
+
+/**
+* Write a PNG. Takes {width, height, colorType, bitDepth, samples, palette}, where samples run across each
+*  row, a channel at a time, and palette is the PLTE data (for color type 3). Every row is stored unfiltered.
+*  Returns its path.
+*/
+var writePng = function(name, image) {
+  var channels = CHANNELS[image.colorType];
+  var row      = Math.ceil((image.width * channels * image.bitDepth) / 8);
+  var raw      = Buffer.alloc((row + 1) * image.height);
+  var n        = 0;
+  for (var y = 0; y < image.height; y++) {
+    var at = (y * (row + 1)) + 1;
+    for (var s = 0; s < image.width * channels; s++) {
+      var value = image.samples[n++];
+      if (16 == image.bitDepth) raw.writeUInt16BE(value, at + (s * 2));
+      else if (8 == image.bitDepth) raw[at + s] = value;
+      else raw[at + ((s * image.bitDepth) >> 3)] |= value << (8 - image.bitDepth - ((s * image.bitDepth) & 7));
+    }
+  }
+  var chunk = function(type, data) {
+    var out = Buffer.alloc(data.length + 12);
+    out.writeUInt32BE(data.length, 0);
+    out.write(type, 4, 'latin1');
+    data.copy(out, 8);
+    out.writeUInt32BE(crc32(out.slice(4, out.length - 4)), out.length - 4);
+    return out;
+  };
+  var ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(image.width, 0);
+  ihdr.writeUInt32BE(image.height, 4);
+  ihdr[8] = image.bitDepth;
+  ihdr[9] = image.colorType;
+  var chunks = [SIGNATURE, chunk('IHDR', ihdr)];
+  if (image.palette) chunks.push(chunk('PLTE', image.palette));
+  chunks.push(chunk('IDAT', zlib.deflateSync(raw)));
+  chunks.push(chunk('IEND', Buffer.alloc(0)));
+  fs.writeFileSync(file(name), Buffer.concat(chunks));
+  return file(name);
+};
+
+
+/**
+* Read a PNG (not interlaced). Returns {width, height, colorType, bitDepth, samples, palette}, as writePng() takes.
+*/
+var readPng = function(png_path) {
+  var data  = fs.readFileSync(png_path);
+  var image = { palette: false };
+  var idat  = [];
+  for (var at = 8; at < data.length; at += data.readUInt32BE(at) + 12) {
+    var type = data.toString('latin1', at + 4, at + 8);
+    var body = data.slice(at + 8, at + 8 + data.readUInt32BE(at));
+    if ('IHDR' == type) {
+      image.width     = body.readUInt32BE(0);
+      image.height    = body.readUInt32BE(4);
+      image.bitDepth  = body[8];
+      image.colorType = body[9];
+    }
+    else if ('PLTE' == type) image.palette = Buffer.from(body);
+    else if ('IDAT' == type) idat.push(body);
+  }
+  var channels = CHANNELS[image.colorType];
+  var bpp      = Math.max(1, (channels * image.bitDepth) >> 3);
+  var row      = Math.ceil((image.width * channels * image.bitDepth) / 8);
+  var raw      = zlib.inflateSync(Buffer.concat(idat));
+  var prior    = Buffer.alloc(row);
+  var samples  = [];
+  for (var y = 0; y < image.height; y++) {
+    var filter = raw[y * (row + 1)];
+    var line   = Buffer.from(raw.slice((y * (row + 1)) + 1, (y + 1) * (row + 1)));
+    for (var i = 0; i < row; i++) {
+      var a = (i >= bpp) ? line[i - bpp] : 0;
+      var b = prior[i];
+      var c = (i >= bpp) ? prior[i - bpp] : 0;
+      var p = a + b - c;
+      var paeth = ((Math.abs(p - a) <= Math.abs(p - b)) && (Math.abs(p - a) <= Math.abs(p - c))) ? a : ((Math.abs(p - b) <= Math.abs(p - c)) ? b : c);
+      line[i] += [0, a, b, (a + b) >> 1, paeth][filter];
+    }
+    for (var s = 0; s < image.width * channels; s++) {
+      if (16 == image.bitDepth) samples.push(line.readUInt16BE(s * 2));
+      else if (8 == image.bitDepth) samples.push(line[s]);
+      else samples.push((line[(s * image.bitDepth) >> 3] >> (8 - image.bitDepth - ((s * image.bitDepth) & 7))) & ((1 << image.bitDepth) - 1));
+    }
+    prior = line;
+  }
+  image.samples = samples;
+  return image;
+};
+
+
+/**
+* Write a PNG of noise. Takes {width, height, colorType, bitDepth, colors}, where colors is the size of the
+*  palette, for color type 3. Returns its path.
+*/
+var makePng = function(name, spec) {
+  var count   = spec.width * spec.height * CHANNELS[spec.colorType];
+  var bytes   = noise(count * 2, spec.width + spec.colorType);
+  var samples = [];
+  for (var i = 0; i < count; i++) {
+    if (16 == spec.bitDepth) samples.push(bytes.readUInt16BE(i * 2));
+    else if (3 == spec.colorType) samples.push(bytes[i] % spec.colors);
+    else samples.push(bytes[i] >> (8 - spec.bitDepth));
+  }
+  return writePng(name, {
+    width: spec.width, height: spec.height, colorType: spec.colorType, bitDepth: spec.bitDepth, samples: samples,
+    palette: (3 == spec.colorType) ? noise(spec.colors * 3, spec.colors) : false
+  });
+};
+
+
+/**
+* Write an uncompressed BMP of noise, of 1, 4, 8, 24, or 32 bits per pixel. Rows are stored bottom-up, unless
+*  top_down is given. Returns {path, colors}, where colors lists every pixel as 0xRRGGBB, in raster order.
+*/
+var makeBmp = function(name, width, height, bits, top_down) {
+  var palette = (bits <= 8) ? (1 << bits) : 0;
+  var row     = Math.ceil((width * bits) / 32) * 4;
+  var start   = 54 + (palette * 4);
+  var out     = Buffer.alloc(start + (row * height));
+  var values  = noise(width * height * 3, bits);
+  var colors  = [];
+  out.write('BM', 0, 'latin1');
+  out.writeUInt32LE(out.length, 2);
+  out.writeUInt32LE(start, 10);
+  out.writeUInt32LE(40, 14);
+  out.writeInt32LE(width, 18);
+  out.writeInt32LE(top_down ? -height : height, 22);
+  out.writeUInt16LE(1, 26);
+  out.writeUInt16LE(bits, 28);
+  out.writeUInt32LE(palette, 46);
+  var table = noise(palette * 3, palette + 1);
+  for (var i = 0; i < palette; i++) {
+    out[54 + (i * 4)]     = table[(i * 3) + 2];   // Stored blue, green, red.
+    out[54 + (i * 4) + 1] = table[(i * 3) + 1];
+    out[54 + (i * 4) + 2] = table[i * 3];
+  }
+  for (var y = 0; y < height; y++) {
+    var at = start + ((top_down ? y : (height - 1 - y)) * row);
+    for (var x = 0; x < width; x++) {
+      var p = (y * width) + x;
+      if (palette) {
+        var index = values[p] % palette;
+        var bit   = x * bits;
+        out[at + (bit >> 3)] |= index << (8 - bits - (bit & 7));
+        colors.push((table[index * 3] << 16) | (table[(index * 3) + 1] << 8) | table[(index * 3) + 2]);
+      }
+      else {
+        var q = at + (x * (bits / 8));
+        out[q]     = values[(p * 3) + 2];
+        out[q + 1] = values[(p * 3) + 1];
+        out[q + 2] = values[p * 3];
+        colors.push((values[p * 3] << 16) | (values[(p * 3) + 1] << 8) | values[(p * 3) + 2]);
+      }
+    }
+  }
+  fs.writeFileSync(file(name), out);
+  return { path: file(name), colors: colors };
+};
+
+
+/**
+* Write a 16-bit PCM WAV of noise. Returns its path.
+*/
+var makeWav = function(name, channels, frames) {
+  var data = noise(channels * frames * 2, channels);
+  var head = Buffer.alloc(44);
+  head.write('RIFF', 0, 'latin1');
+  head.writeUInt32LE(36 + data.length, 4);
+  head.write('WAVEfmt ', 8, 'latin1');
+  head.writeUInt32LE(16, 16);
+  head.writeUInt16LE(1, 20);
+  head.writeUInt16LE(channels, 22);
+  head.writeUInt32LE(44100, 24);
+  head.writeUInt32LE(44100 * channels * 2, 28);
+  head.writeUInt16LE(channels * 2, 32);
+  head.writeUInt16LE(16, 34);
+  head.write('data', 36, 'latin1');
+  head.writeUInt32LE(data.length, 40);
+  fs.writeFileSync(file(name), Buffer.concat([head, data]));
+  return file(name);
+};
+
+
+/**
+* Write what a Bury instance holds to the scratch directory, at once. Returns its path.
+*/
+var save = function(bury, name) {
+  var encoded = bury.outputImage();
+  if (!encoded) throw new Error('The carrier could not be written.');
+  fs.writeFileSync(file(name), Buffer.from(encoded, 'base64'));
+  return file(name);
+};
+
+
+/**
+* Bury the message in the carrier, write it out under the given name, and read it back.
+*  Returns what was read, as a string (or false).
+*/
+var roundTrip = function(carrier, output, message, extra) {
+  var bury = new Bury(carrier, PASSWORD, options(extra));
+  if (!bury.setMessage(message)) throw new Error('Could not bury the message in '+path.basename(carrier)+'.');
+  var read = new Bury(save(bury, output), PASSWORD, options()).getMessage();
+  return (false === read) ? false : read.toString('binary');
+};
+
+
+module.exports = {
+  PASSWORD:  PASSWORD,
+  MESSAGE:   MESSAGE,
+  Skip:      Skip,
+  skip:      skip,
+  file:      file,
+  fixture:   fixture,
+  cleanup:   cleanup,
+  options:   options,
+  noise:     noise,
+  writePng:  writePng,
+  readPng:   readPng,
+  makePng:   makePng,
+  makeBmp:   makeBmp,
+  makeWav:   makeWav,
+  save:      save,
+  roundTrip: roundTrip
+};
@@ -0,0 +1,45 @@
+/**
+* File:    test/jpeg.js
+*
+* JPEG carriers, worked in their DCT coefficients. See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var fs      = require('fs');
+var path    = require('path');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+var CARRIER = path.join(__dirname, '..', 'test_carrier.jpg');
+
+
+/**
+* Bury the message in the coefficients. Returns the path written.
+*/
+var bury = function(extra) {
+  var options = helpers.options({ jpeg: true });
+  for (var key in (extra || {})) options[key] = extra[key];
+  var writer = new Bury(CARRIER, helpers.PASSWORD, options);
+  assert.ok(writer.setMessage(helpers.MESSAGE));
+  return helpers.save(writer, 'jpeg-out.jpg');
+};
+
+
+module.exports = {
+  'a message round-trips, and the output is still a JPEG': function() {
+    var written = bury();
+    var bytes   = fs.readFileSync(written);
+    assert.ok((0xFF == bytes[0]) && (0xD8 == bytes[1]), 'The output does not start with an SOI marker.');
+    assert.strictEqual(String(new Bury(written, helpers.PASSWORD, helpers.options({ jpeg: true })).getMessage()), helpers.MESSAGE);
+  },
+
+  'matrix embedding and error correction round-trip': function() {
+    var written = bury({ matrixEmbedding: true, errorCorrection: 8 });
+    assert.strictEqual(String(new Bury(written, helpers.PASSWORD, helpers.options({ jpeg: true })).getMessage()), helpers.MESSAGE);
+  },
+
+  'the wrong password reads nothing': function() {
+    assert.strictEqual(new Bury(bury(), 'not the password', helpers.options({ jpeg: true })).getMessage(), false);
+  }
+};
@@ -0,0 +1,49 @@
+/**
+* File:    test/kdf.js
+*
+* The salt and the KDF cost stored in the carrier. See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+var SIDE = 100;
+
+
+/**
+* The pixels a message lands on, found by burying it with visibleResult on a black carrier, which paints each
+*  of them red. Returns their indices, in raster order.
+*/
+var footprint = function(extra) {
+  var black   = helpers.writePng('kdf-black.png', { width: SIDE, height: SIDE, colorType: 2, bitDepth: 8, samples: new Uint8Array(SIDE * SIDE * 3) });
+  var options = helpers.options({ visibleResult: true, enableGreen: false, enableBlue: false });
+  for (var key in (extra || {})) options[key] = extra[key];
+  var writer  = new Bury(black, helpers.PASSWORD, options);
+  assert.ok(writer.setMessage('x'));
+  var painted = helpers.readPng(helpers.save(writer, 'kdf-visible.png')).samples;
+  var pixels  = [];
+  for (var p = 0; p < SIDE * SIDE; p++) {
+    if ((0xFF == painted[p * 3]) && (0 == painted[(p * 3) + 1]) && (0 == painted[(p * 3) + 2])) pixels.push(p);
+  }
+  return pixels.join(',');
+};
+
+
+module.exports = {
+  'the salt moves the message, for the same password': function() {
+    var salt = Bury.generateSalt();
+    assert.strictEqual(footprint({ salt: salt }), footprint({ salt: salt }));
+    assert.notStrictEqual(footprint({ salt: salt }), footprint({ salt: Bury.generateSalt() }));
+    assert.notStrictEqual(footprint(), footprint());
+  },
+
+  'the work factor is read from the carrier': function() {
+    var carrier = helpers.makePng('kdf.png', { width: 64, height: 64, colorType: 2, bitDepth: 8 });
+    var writer  = new Bury(carrier, helpers.PASSWORD, helpers.options({ kdfWorkFactor: 11 }));
+    assert.ok(writer.setMessage(helpers.MESSAGE));
+    var written = helpers.save(writer, 'kdf-out.png');
+    assert.strictEqual(String(new Bury(written, helpers.PASSWORD, helpers.options({ kdfWorkFactor: 10 })).getMessage()), helpers.MESSAGE);
+  }
+};
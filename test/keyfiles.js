@@ -0,0 +1,61 @@
+/**
+* File:    test/keyfiles.js
+*
+* Keyfiles, alone and alongside a password. See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+
+var carrier = function() {
+  return helpers.makePng('keyfiles.png', { width: 64, height: 64, colorType: 2, bitDepth: 8 });
+};
+
+var KEYFILE = helpers.noise(64, 11);
+
+
+/**
+* Bury the message under the given password and keyfiles. Returns the path written.
+*/
+var bury = function(password, keyfiles) {
+  var writer = new Bury(carrier(), password, helpers.options({ keyfiles: keyfiles }));
+  assert.ok(writer.setMessage(helpers.MESSAGE));
+  return helpers.save(writer, 'keyfiles-out.png');
+};
+
+
+module.exports = {
+  'a password and a keyfile round-trip': function() {
+    var written = bury(helpers.PASSWORD, [KEYFILE]);
+    assert.strictEqual(String(new Bury(written, helpers.PASSWORD, helpers.options({ keyfiles: [KEYFILE] })).getMessage()), helpers.MESSAGE);
+    assert.strictEqual(new Bury(written, helpers.PASSWORD, helpers.options()).getMessage(), false);
+  },
+
+  'a keyfile alone round-trips': function() {
+    var written = bury('', [KEYFILE]);
+    assert.strictEqual(String(new Bury(written, '', helpers.options({ keyfiles: [KEYFILE] })).getMessage()), helpers.MESSAGE);
+    assert.strictEqual(new Bury(written, '', helpers.options({ keyfiles: [helpers.noise(64, 12)] })).getMessage(), false);
+  },
+
+  'a short password alongside a keyfile is refused': function() {
+    var writer = new Bury(carrier(), 'short', helpers.options({ keyfiles: [KEYFILE] }));
+    assert.strictEqual(writer.setMessage(helpers.MESSAGE), false);
+  },
+
+  'a short password alone is refused, quietly at verbosity 0': function() {
+    var logged = [];
+    var log    = console.log;
+    console.log = function(line) { logged.push(line); };
+    try {
+      var writer = new Bury(carrier(), 'short', helpers.options());
+      assert.strictEqual(writer.setMessage(helpers.MESSAGE), false);
+    }
+    finally {
+      console.log = log;
+    }
+    assert.deepStrictEqual(logged, []);
+  }
+};
@@ -0,0 +1,92 @@
+/**
+* File:    test/message.js
+*
+* Messages in and out of a truecolor carrier, and refused when they should be. See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var fs      = require('fs');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+
+var carrier = function() {
+  return helpers.makePng('message.png', { width: 96, height: 96, colorType: 2, bitDepth: 8 });
+};
+
+
+module.exports = {
+  'a text message round-trips': function() {
+    assert.strictEqual(helpers.roundTrip(carrier(), 'message-out.png', helpers.MESSAGE), helpers.MESSAGE);
+  },
+
+  'every byte value round-trips': function() {
+    var message = helpers.noise(256, 7).toString('binary');
+    assert.strictEqual(helpers.roundTrip(carrier(), 'message-out.png', message), message);
+  },
+
+  'the wrong password reads nothing': function() {
+    var bury = new Bury(carrier(), helpers.PASSWORD, helpers.options());
+    assert.ok(bury.setMessage(helpers.MESSAGE));
+    var written = helpers.save(bury, 'message-out.png');
+    assert.strictEqual(new Bury(written, 'not the password', helpers.options()).getMessage(), false);
+  },
+
+  'a message too large for the carrier is refused': function() {
+    var bury = new Bury(carrier(), helpers.PASSWORD, helpers.options());
+    assert.strictEqual(bury.setMessage(helpers.noise(20000, 3).toString('binary')), false);
+  },
+
+  'a string keeps its surrounding whitespace': function() {
+    var message = '  short  \n';
+    assert.strictEqual(helpers.roundTrip(carrier(), 'message-out.png', message), message);
+  },
+
+  /**
+  * Bytes that aren't UTF-8, and whitespace at both ends, which a string's padding would have been trimmed with.
+  */
+  'a file comes back byte for byte, with its name': function() {
+    var bytes = Buffer.concat([Buffer.from(' \t'), helpers.noise(300, 5), Buffer.from([0xFF, 0xFE, 0x20, 0x0A, 0x00, 0x20])]);
+    var path  = helpers.file('payload.bin');
+    fs.writeFileSync(path, bytes);
+    [true, false].forEach(function(store_filename) {
+      var bury = new Bury(carrier(), helpers.PASSWORD, helpers.options({ storeFilename: store_filename }));
+      assert.ok(bury.setMessage(path));
+      var reader = new Bury(helpers.save(bury, 'message-out.png'), helpers.PASSWORD, helpers.options());
+      var read   = reader.getMessage();
+      assert.ok(Buffer.from(read, 'binary').equals(bytes), 'The file came back changed, with storeFilename '+store_filename+'.');
+      if (store_filename) assert.strictEqual(reader.filename(), 'payload.bin');
+    });
+  },
+
+  /**
+  * The path runs forward through the carrier, so the pixels that changed are in the order they were written.
+  *  A 256-byte message runs to about the 700th of them, and the header is in the first 100 or so. Flipping bits
+  *  in between changes the ciphertext and nothing else, which the MAC has to catch.
+  */
+  'a tampered carrier reads nothing': function() {
+    var original = carrier();
+    var bury     = new Bury(original, helpers.PASSWORD, helpers.options());
+    assert.ok(bury.setMessage(helpers.noise(256, 7).toString('binary')));
+    var written  = helpers.readPng(helpers.save(bury, 'message-out.png'));
+    var before   = helpers.readPng(original).samples;
+    var changed  = [];
+    for (var p = 0; p < written.width * written.height; p++) {
+      if ((before[p * 3] != written.samples[p * 3]) || (before[(p * 3) + 1] != written.samples[(p * 3) + 1]) || (before[(p * 3) + 2] != written.samples[(p * 3) + 2])) changed.push(p);
+    }
+    assert.ok(changed.length > 520, 'Only '+changed.length+' pixels changed.');
+    changed.slice(500, 520).forEach(function(p) { written.samples[p * 3] ^= 1; });
+    var tampered = helpers.writePng('message-tampered.png', written);
+    assert.strictEqual(new Bury(tampered, helpers.PASSWORD, helpers.options()).getMessage(), false);
+  },
+
+  /**
+  * Written by version 0x02, which ended the payload with an unkeyed MD5 instead of a MAC, and zero padded
+  *  the plaintext.
+  */
+  'a version 0x02 carrier still reads': function() {
+    var read = new Bury(helpers.fixture('legacy-0x02.png'), helpers.PASSWORD, helpers.options()).getMessage();
+    assert.strictEqual(String(read), helpers.MESSAGE);
+  }
+};
@@ -0,0 +1,61 @@
+/**
+* File:    test/overlay.js
+*
+* Several messages in one carrier, each on its own channels and under its own password. See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var fs      = require('fs');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+var MESSAGES = [
+  { password: 'first-password',  message: 'First message.' },
+  { password: 'second-password', message: 'Second message.' },
+  { password: 'third-password',  message: 'Third message.' }
+];
+
+
+var carrier = function() {
+  return helpers.makePng('overlay.png', { width: 128, height: 128, colorType: 2, bitDepth: 8 });
+};
+
+
+module.exports = {
+  'three messages are each read with their own password': function() {
+    var encoded = Bury.overlay(carrier(), MESSAGES, undefined, helpers.options());
+    assert.ok(encoded, 'The overlay failed.');
+    fs.writeFileSync(helpers.file('overlay-out.png'), Buffer.from(encoded, 'base64'));
+    MESSAGES.forEach(function(entry) {
+      var read = new Bury(helpers.file('overlay-out.png'), entry.password, helpers.options()).getMessage();
+      assert.strictEqual(String(read), entry.message);
+    });
+  },
+
+  'named channels are kept': function() {
+    var named = [
+      { password: 'first-password',  message: 'First message.',  channels: ['blue'] },
+      { password: 'second-password', message: 'Second message.', channels: ['red', 'green'] }
+    ];
+    var encoded = Bury.overlay(carrier(), named, undefined, helpers.options());
+    assert.ok(encoded, 'The overlay failed.');
+    fs.writeFileSync(helpers.file('overlay-out.png'), Buffer.from(encoded, 'base64'));
+    named.forEach(function(entry) {
+      assert.strictEqual(String(new Bury(helpers.file('overlay-out.png'), entry.password, helpers.options()).getMessage()), entry.message);
+    });
+  },
+
+  'a fourth message is refused': function() {
+    var four = MESSAGES.concat([{ password: 'fourth-password', message: 'Fourth message.' }]);
+    assert.strictEqual(Bury.overlay(carrier(), four, undefined, helpers.options()), false);
+  },
+
+  'two messages on the same channel are refused': function() {
+    var clash = [
+      { password: 'first-password',  message: 'First message.',  channels: ['red'] },
+      { password: 'second-password', message: 'Second message.', channels: ['red'] }
+    ];
+    assert.strictEqual(Bury.overlay(carrier(), clash, undefined, helpers.options()), false);
+  }
+};
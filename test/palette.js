@@ -0,0 +1,61 @@
+/**
+* File:    test/palette.js
+*
+* Palette PNGs, worked by their indices. See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+
+/**
+* Bury a message in a palette PNG of the given depth and size of palette, and read it back. Checks that
+*  the output has the same palette, color type, and bit depth, and that a pixel only ever moves to its
+*  partner in the sorted palette (Note17).
+*/
+var roundTrip = function(bit_depth, colors) {
+  return function() {
+    var carrier = helpers.makePng('palette.png', { width: 128, height: 128, colorType: 3, bitDepth: bit_depth, colors: colors });
+    var bury    = new Bury(carrier, helpers.PASSWORD, helpers.options());
+    assert.ok(bury.setMessage(helpers.MESSAGE));
+    var written = helpers.save(bury, 'palette-out.png');
+    assert.strictEqual(String(new Bury(written, helpers.PASSWORD, helpers.options()).getMessage()), helpers.MESSAGE);
+
+    var before = helpers.readPng(carrier);
+    var after  = helpers.readPng(written);
+    assert.strictEqual(after.colorType, 3);
+    assert.strictEqual(after.bitDepth, bit_depth);
+    assert.ok(after.palette.equals(before.palette), 'The palette changed.');
+    // Sort the palette as lib/palette does.
+    var pal   = after.palette;
+    var order = [];
+    for (var c = 0; c < colors; c++) order.push(c);
+    order.sort(function(a, b) {
+      var luma = function(i) { return (299 * pal[i * 3]) + (587 * pal[(i * 3) + 1]) + (114 * pal[(i * 3) + 2]); };
+      return (luma(a) - luma(b)) || (a - b);
+    });
+    var place = [];
+    order.forEach(function(index, p) { place[index] = p; });
+    var changed = 0;
+    for (var i = 0; i < before.samples.length; i++) {
+      if (before.samples[i] == after.samples[i]) continue;
+      changed++;
+      assert.strictEqual(place[after.samples[i]], place[before.samples[i]] ^ 1, 'Pixel '+i+' moved too far.');
+    }
+    assert.ok(changed > 0);
+  };
+};
+
+
+module.exports = {
+  'an 8-bit palette of 16 colors stays 8-bit': roundTrip(8, 16),
+  'an 8-bit palette of 200 colors round-trips': roundTrip(8, 200),
+  'a 4-bit palette round-trips': roundTrip(4, 16),
+
+  'upgrading to truecolor round-trips': function() {
+    var carrier = helpers.makePng('palette.png', { width: 64, height: 64, colorType: 3, bitDepth: 8, colors: 16 });
+    assert.strictEqual(helpers.roundTrip(carrier, 'palette-out.png', helpers.MESSAGE, { palette: false }), helpers.MESSAGE);
+  }
+};
@@ -0,0 +1,82 @@
+/**
+* File:    test/placement.js
+*
+* The stride and permutation placements, and how testPasswordCompatibility() finds where two passwords
+*  cross. See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var crypto  = require('crypto');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+var PASSWORDS = ['first-password', 'second-password'];
+var SIDE      = 100;
+
+
+/**
+* Every pixel a password's payload lands on, found by burying a message with visibleResult on a black carrier,
+*  which paints each of them red. Returns the pixels, as a set of their indices.
+*/
+var footprint = function(password, salt, placement) {
+  var black = helpers.writePng('placement-black.png', { width: SIDE, height: SIDE, colorType: 2, bitDepth: 8, samples: new Uint8Array(SIDE * SIDE * 3) });
+  var writer = new Bury(black, password, helpers.options({
+    salt: salt, placement: placement, visibleResult: true, enableGreen: false, enableBlue: false
+  }));
+  assert.ok(writer.setMessage('x'));
+  var painted = helpers.readPng(helpers.save(writer, 'placement-visible.png')).samples;
+  var pixels  = new Set();
+  for (var p = 0; p < SIDE * SIDE; p++) {
+    if ((0xFF == painted[p * 3]) && (0 == painted[(p * 3) + 1]) && (0 == painted[(p * 3) + 2])) pixels.add(p);
+  }
+  return pixels;
+};
+
+
+/**
+* Compare what testPasswordCompatibility() reports against the overlap of the painted footprints.
+*/
+var overlapsMatch = function(placement) {
+  return function() {
+    var salt  = crypto.randomBytes(16);
+    var sets  = PASSWORDS.map(function(password) { return footprint(password, salt, placement); });
+    var sizes = sets.map(function(pixels) { return pixels.size / 8; });   // One bit per pixel, on red alone.
+    var report = Bury.testPasswordCompatibility(PASSWORDS, salt, {
+      width: SIDE, height: SIDE, placement: placement, channels: [['red'], ['red']], payloadSizes: sizes, kdfWorkFactor: 10
+    });
+    assert.ok(report, 'No report.');
+
+    // The offsets aren't painted, so leave out anything that lands on one.
+    var offsets  = report.passwords.map(function(password) { return password.offset; });
+    var expected = 0;
+    sets[0].forEach(function(p) { if (sets[1].has(p) && (offsets.indexOf(p) < 0)) expected++; });
+    var reported = report.overlaps.filter(function(overlap) { return offsets.indexOf(overlap.pixel) < 0; });
+    assert.ok(expected > 0, 'The footprints should cross on a carrier this small.');
+    assert.strictEqual(reported.length, expected);
+    reported.forEach(function(overlap) {
+      assert.ok(sets[0].has(overlap.pixel) && sets[1].has(overlap.pixel), 'Pixel '+overlap.pixel+' is not in both footprints.');
+    });
+    assert.strictEqual(report.compatible, false);
+  };
+};
+
+
+var carrier = function() {
+  return helpers.makePng('placement.png', { width: 64, height: 64, colorType: 2, bitDepth: 8 });
+};
+
+
+module.exports = {
+  'the stride placement round-trips': function() {
+    assert.strictEqual(helpers.roundTrip(carrier(), 'placement-out.png', helpers.MESSAGE, { placement: 'stride' }), helpers.MESSAGE);
+  },
+
+  'the permutation placement round-trips': function() {
+    assert.strictEqual(helpers.roundTrip(carrier(), 'placement-out.png', helpers.MESSAGE, { placement: 'permutation' }), helpers.MESSAGE);
+  },
+
+  'overlaps of stride paths are all found': overlapsMatch('stride'),
+
+  'overlaps of permutation paths are all found': overlapsMatch('permutation')
+};
@@ -0,0 +1,64 @@
+/**
+* File:    test/publickey.js
+*
+* Public-key mode: messages buried for an X25519 or RSA recipient, and read with their private key.
+*  See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var crypto  = require('crypto');
+var fs      = require('fs');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+var X25519 = crypto.generateKeyPairSync('x25519');
+var RSA    = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+
+var carrier = function() {
+  return helpers.makePng('publickey.png', { width: 96, height: 96, colorType: 2, bitDepth: 8 });
+};
+
+
+/**
+* Bury the message for the recipient's public key. Returns the path written.
+*/
+var bury = function(public_key) {
+  var writer = new Bury(carrier(), { recipientPublicKey: public_key }, helpers.options());
+  assert.ok(writer.setMessage(helpers.MESSAGE));
+  return helpers.save(writer, 'publickey-out.png');
+};
+
+
+var roundTrips = function(pair) {
+  return function() {
+    var written = bury(pair.publicKey);
+    assert.strictEqual(String(new Bury(written, null, helpers.options()).getMessage({ privateKey: pair.privateKey })), helpers.MESSAGE);
+    assert.strictEqual(String(new Bury(written, { privateKey: pair.privateKey }, helpers.options()).getMessage()), helpers.MESSAGE);
+  };
+};
+
+
+module.exports = {
+  'an X25519 recipient round-trips': roundTrips(X25519),
+
+  'an RSA recipient round-trips': roundTrips(RSA),
+
+  'keys can be given as PEM files': function() {
+    [X25519, RSA].forEach(function(pair, n) {
+      var private_pem = helpers.file('recipient-'+n+'.pem');
+      var public_pem  = helpers.file('recipient-'+n+'.pub.pem');
+      fs.writeFileSync(private_pem, pair.privateKey.export({ type: 'pkcs8', format: 'pem' }));
+      fs.writeFileSync(public_pem, pair.publicKey.export({ type: 'spki', format: 'pem' }));
+      var written = bury(public_pem);
+      assert.strictEqual(String(new Bury(written, null, helpers.options()).getMessage({ privateKey: private_pem })), helpers.MESSAGE);
+    });
+  },
+
+  'the wrong private key reads nothing': function() {
+    var written = bury(X25519.publicKey);
+    assert.strictEqual(new Bury(written, null, helpers.options()).getMessage({ privateKey: crypto.generateKeyPairSync('x25519').privateKey }), false);
+    assert.strictEqual(new Bury(written, null, helpers.options()).getMessage({ privateKey: RSA.privateKey }), false);
+  }
+};
@@ -0,0 +1,52 @@
+/**
+* File:    test/run.js
+*
+* Runs every check under test/. See bury.js for license.
+*
+* Each file here (but this one, and helpers.js) exports an object of named checks. A check throws if it fails,
+*  or calls helpers.skip() if something it needs isn't installed. Exits non-zero if any check failed.
+*   node test/run.js [file ...]
+*/
+'use strict'
+
+var fs      = require('fs');
+var path    = require('path');
+var helpers = require('./helpers.js');
+
+var NOT_CHECKS = ['run.js', 'helpers.js'];
+
+
+var files = process.argv.slice(2);
+if (0 == files.length) {
+  files = fs.readdirSync(__dirname).filter(function(name) {
+    return /\.js$/.test(name) && (NOT_CHECKS.indexOf(name) < 0);
+  }).sort();
+}
+
+var counts = { passed: 0, failed: 0, skipped: 0 };
+files.forEach(function(file) {
+  var checks = require(path.resolve(__dirname, path.basename(file)));
+  Object.keys(checks).forEach(function(name) {
+    var label = path.basename(file, '.js')+': '+name;
+    try {
+      checks[name]();
+      counts.passed++;
+      console.log('ok       '+label);
+    }
+    catch (e) {
+      if (e instanceof helpers.Skip) {
+        counts.skipped++;
+        console.log('skipped  '+label+' ('+e.message+')');
+      }
+      else {
+        counts.failed++;
+        console.log('FAILED   '+label);
+        console.log('         '+(e.stack || e).toString().split('\n').join('\n         '));
+      }
+    }
+  });
+});
+helpers.cleanup();
+
+console.log('\n'+counts.passed+' passed, '+counts.failed+' failed, '+counts.skipped+' skipped.');
+process.exit(counts.failed ? 1 : 0);
@@ -0,0 +1,51 @@
+/**
+* File:    test/samples.js
+*
+* Grayscale and 16-bit PNGs, worked by their samples. See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var fs      = require('fs');
+var png     = require('../lib/png');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+
+/**
+* Bury a message in a PNG of the given color type and bit depth, and read it back. Checks that the output
+*  has the same color type and bit depth, that alpha is untouched, and that only the low byte of a sample
+*  ever changes.
+*/
+var roundTrip = function(color_type, bit_depth) {
+  return function() {
+    var carrier = helpers.makePng('samples.png', { width: 128, height: 128, colorType: color_type, bitDepth: bit_depth });
+    var bury    = new Bury(carrier, helpers.PASSWORD, helpers.options());
+    assert.ok(bury.setMessage(helpers.MESSAGE));
+    var written = helpers.save(bury, 'samples-out.png');
+    assert.strictEqual(String(new Bury(written, helpers.PASSWORD, helpers.options()).getMessage()), helpers.MESSAGE);
+
+    var before = png.decode(fs.readFileSync(carrier));
+    var after  = png.decode(fs.readFileSync(written));
+    assert.strictEqual(after.colorType, color_type);
+    assert.strictEqual(after.bitDepth, bit_depth);
+    var has_alpha = (4 == color_type) || (6 == color_type);
+    var changed   = 0;
+    for (var i = 0; i < before.samples.length; i++) {
+      if (before.samples[i] == after.samples[i]) continue;
+      changed++;
+      assert.ok(!has_alpha || ((i % before.channels) != (before.channels - 1)), 'Alpha changed at sample '+i+'.');
+      assert.strictEqual(before.samples[i] >> 8, after.samples[i] >> 8, 'More than the low byte changed at sample '+i+'.');
+    }
+    assert.ok(changed > 0);
+  };
+};
+
+
+module.exports = {
+  '8-bit grayscale round-trips': roundTrip(0, 8),
+  '16-bit grayscale round-trips': roundTrip(0, 16),
+  '16-bit grayscale with alpha round-trips': roundTrip(4, 16),
+  '16-bit color round-trips': roundTrip(2, 16),
+  '16-bit color with alpha round-trips': roundTrip(6, 16)
+};
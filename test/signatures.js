@@ -0,0 +1,73 @@
+/**
+* File:    test/signatures.js
+*
+* Signed carriers, and readers that insist on a signature, or on a signer they trust. See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var crypto  = require('crypto');
+var fs      = require('fs');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+var SIGNER   = crypto.generateKeyPairSync('ed25519');
+var STRANGER = crypto.generateKeyPairSync('ed25519');
+
+
+var carrier = function() {
+  return helpers.makePng('signatures.png', { width: 128, height: 128, colorType: 2, bitDepth: 8 });
+};
+
+
+/**
+* Bury the message, signed with the given key (or not at all). Returns the path written.
+*/
+var bury = function(signing_key) {
+  var writer = new Bury(carrier(), helpers.PASSWORD, helpers.options(signing_key ? { signingKey: signing_key } : {}));
+  assert.ok(writer.setMessage(helpers.MESSAGE));
+  return helpers.save(writer, 'signatures-out.png');
+};
+
+
+var read = function(written, opts) {
+  return new Bury(written, helpers.PASSWORD, helpers.options()).getMessage(opts);
+};
+
+
+module.exports = {
+  'a signed carrier reports its signer': function() {
+    var written = bury(SIGNER.privateKey);
+    var report  = read(written, { requireSignature: true });
+    assert.strictEqual(String(report.message), helpers.MESSAGE);
+    assert.strictEqual(report.verified, true);
+    assert.strictEqual(report.signerFingerprint, Bury.fingerprint(SIGNER.publicKey));
+
+    var reader = new Bury(written, helpers.PASSWORD, helpers.options());
+    assert.strictEqual(String(reader.getMessage()), helpers.MESSAGE);
+    assert.deepStrictEqual(reader.signer(), { verified: true, signerFingerprint: Bury.fingerprint(SIGNER.publicKey) });
+  },
+
+  'an unsigned carrier is refused when a signature is required': function() {
+    var written = bury(false);
+    assert.strictEqual(read(written, { requireSignature: true }), false);
+    assert.strictEqual(String(read(written)), helpers.MESSAGE);
+  },
+
+  'a carrier signed by someone else is refused': function() {
+    var written = bury(STRANGER.privateKey);
+    assert.strictEqual(read(written, { trusted: [SIGNER.publicKey] }), false);
+    assert.strictEqual(read(written, { trusted: [Bury.fingerprint(SIGNER.publicKey)] }), false);
+    assert.strictEqual(read(written, { trusted: [SIGNER.publicKey, STRANGER.publicKey] }).verified, true);
+  },
+
+  'keys can be given as PEM files': function() {
+    var private_pem = helpers.file('signer.pem');
+    var public_pem  = helpers.file('signer.pub.pem');
+    fs.writeFileSync(private_pem, SIGNER.privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    fs.writeFileSync(public_pem, SIGNER.publicKey.export({ type: 'spki', format: 'pem' }));
+    var report = read(bury(private_pem), { trusted: [public_pem] });
+    assert.strictEqual(String(report.message), helpers.MESSAGE);
+    assert.strictEqual(report.signerFingerprint, Bury.fingerprint(public_pem));
+  }
+};
@@ -0,0 +1,116 @@
+/**
+* File:    test/slots.js
+*
+* Key slots: several credentials for one carrier, and slots added and revoked afterward. See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var crypto  = require('crypto');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+var BOB   = crypto.generateKeyPairSync('x25519');
+var ALICE = 'alices-password';
+var CAROL = 'carols-password';
+
+
+var carrier = function() {
+  return helpers.makePng('slots.png', { width: 128, height: 128, colorType: 2, bitDepth: 8 });
+};
+
+
+/**
+* Bury the message for the given credentials. Returns the path written.
+*/
+var bury = function(credentials) {
+  var writer = new Bury(carrier(), credentials, helpers.options());
+  assert.ok(writer.setMessage(helpers.MESSAGE));
+  return helpers.save(writer, 'slots-out.png');
+};
+
+
+var read = function(written, credential) {
+  var result = (credential && credential.privateKey) ?
+    new Bury(written, null, helpers.options()).getMessage(credential) :
+    new Bury(written, credential, helpers.options()).getMessage();
+  return (false === result) ? false : String(result);
+};
+
+
+/**
+* How many pixels the key-slot table takes. Its length is in the first four bytes, laid into the red, green, and
+*  blue LSBs of the first pixels, least-significant bit first. See Note2.
+*/
+var tablePixels = function(samples) {
+  var bytes = [0, 0, 0, 0];
+  for (var bit = 0; bit < 32; bit++) bytes[bit >> 3] |= (samples[bit] & 1) << (bit & 7);
+  return Math.ceil(((20 + (bytes[1] * (bytes[2] | (bytes[3] << 8)))) * 8) / 3);
+};
+
+
+/**
+* The pixels that differ between two truecolor PNGs, by index.
+*/
+var changedPixels = function(before, after) {
+  var changed = [];
+  for (var p = 0; p < before.width * before.height; p++) {
+    for (var c = 0; c < 3; c++) {
+      if (before.samples[(p * 3) + c] != after.samples[(p * 3) + c]) {
+        changed.push(p);
+        break;
+      }
+    }
+  }
+  return changed;
+};
+
+
+/**
+* Open the carrier with a credential that works, change its slots, and write it out.
+*  Returns the path written, and the pixels that changed.
+*/
+var edit = function(written, change) {
+  var opened = new Bury(written, ALICE, helpers.options());
+  change(opened);
+  var edited = helpers.save(opened, 'slots-edited.png');
+  var before = helpers.readPng(written);
+  return { path: edited, changed: changedPixels(before, helpers.readPng(edited)), table: tablePixels(before.samples) };
+};
+
+
+module.exports = {
+  'every credential in the list reads it': function() {
+    var written = bury([ALICE, { recipientPublicKey: BOB.publicKey }]);
+    assert.strictEqual(read(written, ALICE), helpers.MESSAGE);
+    assert.strictEqual(read(written, { privateKey: BOB.privateKey }), helpers.MESSAGE);
+    assert.strictEqual(read(written, CAROL), false);
+    assert.deepStrictEqual(new Bury(written, null, helpers.options()).keySlots().slice(0, 3), ['password', 'x25519', 'empty']);
+  },
+
+  'a slot added later reads it, and only the table changes': function() {
+    var written = bury([ALICE]);
+    var edited  = edit(written, function(opened) { assert.strictEqual(opened.addKeySlot(CAROL), 1); });
+    assert.strictEqual(read(edited.path, CAROL), helpers.MESSAGE);
+    assert.strictEqual(read(edited.path, ALICE), helpers.MESSAGE);
+    assert.ok(edited.changed.length > 0);
+    edited.changed.forEach(function(p) { assert.ok(p < edited.table, 'Pixel '+p+' is past the key-slot table.'); });
+  },
+
+  'a revoked credential reads nothing, and only the table changes': function() {
+    var written = bury([ALICE, CAROL, { recipientPublicKey: BOB.publicKey }]);
+    var edited  = edit(written, function(opened) {
+      assert.ok(opened.revokeKeySlot(CAROL));
+      assert.ok(opened.revokeKeySlot({ privateKey: BOB.privateKey }));
+    });
+    assert.strictEqual(read(edited.path, CAROL), false);
+    assert.strictEqual(read(edited.path, { privateKey: BOB.privateKey }), false);
+    assert.strictEqual(read(edited.path, ALICE), helpers.MESSAGE);
+    edited.changed.forEach(function(p) { assert.ok(p < edited.table, 'Pixel '+p+' is past the key-slot table.'); });
+  },
+
+  'the last working slot can\'t be revoked': function() {
+    var opened = new Bury(bury([ALICE]), ALICE, helpers.options());
+    assert.strictEqual(opened.revokeKeySlot(ALICE), false);
+  }
+};
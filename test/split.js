@@ -0,0 +1,86 @@
+/**
+* File:    test/split.js
+*
+* One message split across several carriers, or shared out among them, and read back. See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+var MESSAGE = helpers.noise(600, 11).toString('binary');
+
+
+/**
+* Split the message (MESSAGE, unless another is given) across three carriers, with the given options, and return the
+*  paths they were written to.
+*/
+var split = function(extra, message) {
+  var carriers = [0, 1, 2].map(function(n) {
+    return helpers.makePng('split-'+n+'.png', { width: 80, height: 80, colorType: 2, bitDepth: 8 });
+  });
+  var written = Bury.splitAcross(carriers, helpers.PASSWORD, message || MESSAGE, helpers.options(extra));
+  assert.ok(written, 'The split failed.');
+  assert.strictEqual(written.length, 3);
+  return written.map(function(bury, n) { return helpers.save(bury, 'split-out-'+n+'.png'); });
+};
+
+
+module.exports = {
+  'the pieces join, in any order': function() {
+    var paths  = split();
+    var result = Bury.join([paths[2], paths[0], paths[1]], helpers.PASSWORD, helpers.options());
+    assert.strictEqual(String(result.message), MESSAGE);
+    assert.strictEqual(result.count, 3);
+    assert.deepStrictEqual(result.found, [0, 1, 2]);
+    assert.deepStrictEqual(result.missing, []);
+  },
+
+  'a missing piece is reported': function() {
+    var paths  = split();
+    var result = Bury.join([paths[2], paths[0]], helpers.PASSWORD, helpers.options());
+    assert.strictEqual(result.message, false);
+    assert.strictEqual(result.count, 3);
+    assert.deepStrictEqual(result.found, [0, 2]);
+    assert.deepStrictEqual(result.missing, [1]);
+  },
+
+  'a carrier holding something else is skipped': function() {
+    var paths = split();
+    var other = new Bury(helpers.makePng('split-other.png', { width: 80, height: 80, colorType: 2, bitDepth: 8 }), helpers.PASSWORD, helpers.options());
+    assert.ok(other.setMessage(helpers.MESSAGE));
+    var result = Bury.join([helpers.save(other, 'split-other-out.png')].concat(paths), helpers.PASSWORD, helpers.options());
+    assert.strictEqual(String(result.message), MESSAGE);
+  },
+
+  'the wrong password finds no pieces': function() {
+    assert.strictEqual(Bury.join(split(), 'not-the-password', helpers.options()), false);
+  },
+
+  /**
+  * Each share is as long as the whole message, so a short one is shared out.
+  */
+  'any two of three shares recover the message, in any order': function() {
+    var paths = split({ threshold: 2 }, helpers.MESSAGE);
+    [[paths[0], paths[1]], [paths[2], paths[0]], [paths[1], paths[2]]].forEach(function(pair) {
+      var result = Bury.recover(pair, helpers.PASSWORD, helpers.options());
+      assert.strictEqual(String(result.message), helpers.MESSAGE);
+      assert.strictEqual(result.threshold, 2);
+      assert.strictEqual(result.count, 3);
+      assert.strictEqual(result.found.length, 2);
+    });
+  },
+
+  'one share short recovers nothing': function() {
+    var paths  = split({ threshold: 2 }, helpers.MESSAGE);
+    var result = Bury.recover([paths[1]], helpers.PASSWORD, helpers.options());
+    assert.strictEqual(result.message, false);
+    assert.deepStrictEqual(result.found, [1]);
+  },
+
+  'pieces and shares are each refused by the other\'s reader': function() {
+    assert.strictEqual(Bury.join(split({ threshold: 2 }, helpers.MESSAGE), helpers.PASSWORD, helpers.options()), false);
+    assert.strictEqual(Bury.recover(split(), helpers.PASSWORD, helpers.options()), false);
+  }
+};
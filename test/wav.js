@@ -0,0 +1,51 @@
+/**
+* File:    test/wav.js
+*
+* WAV carriers, worked by their samples. See bury.js for license.
+*/
+'use strict'
+
+var assert  = require('assert');
+var fs      = require('fs');
+var Bury    = require('../bury.js');
+var helpers = require('./helpers.js');
+
+
+/**
+* Bury a message in a WAV of the given number of channels, and read it back. Checks that the output is as
+*  long as the input, and that nothing but the low byte of a sample changed.
+*/
+var roundTrip = function(channels) {
+  return function() {
+    var carrier = helpers.makeWav('wav.wav', channels, 32000);
+    var bury    = new Bury(carrier, helpers.PASSWORD, helpers.options());
+    assert.ok(bury.setMessage(helpers.MESSAGE));
+    var written = helpers.save(bury, 'wav-out.wav');
+    assert.strictEqual(String(new Bury(written, helpers.PASSWORD, helpers.options()).getMessage()), helpers.MESSAGE);
+
+    var before = fs.readFileSync(carrier);
+    var after  = fs.readFileSync(written);
+    assert.strictEqual(after.length, before.length);
+    var changed = 0;
+    for (var i = 0; i < before.length; i++) {
+      if (before[i] == after[i]) continue;
+      changed++;
+      assert.ok((i >= 44) && (0 == (i % 2)), 'Byte '+i+' changed, which isn\'t the low byte of a sample.');
+    }
+    assert.ok(changed > 0);
+  };
+};
+
+
+module.exports = {
+  'a mono WAV round-trips': roundTrip(1),
+  'a stereo WAV round-trips': roundTrip(2),
+
+  'an 8-bit WAV is refused': function() {
+    var carrier = helpers.makeWav('wav.wav', 1, 8000);
+    var bytes   = fs.readFileSync(carrier);
+    bytes.writeUInt16LE(8, 34);
+    fs.writeFileSync(carrier, bytes);
+    assert.strictEqual(new Bury(carrier, helpers.PASSWORD, helpers.options()).setMessage(helpers.MESSAGE), false);
+  }
+};